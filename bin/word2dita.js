@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/**
+ * word2dita 命令行: 不启动服务，直接将文件或标准输入转换为 DITA 主题
+ *
+ * 与页面和接口使用相同的转换流程 (cleanHtml/formatHtml)，每个文件输出一个完整的主题文档，
+ * 图片保存到输出目录的 images/ 下。提示信息输出到标准错误，标准输出只包含转换结果。
+ *
+ * 退出码: 0 成功；1 失败 (任一文件转换失败或参数错误)；2 转换成功但有警告
+ */
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { transformContent, transformDocx, transformBatchDocument } = require('../server/services/transformService');
+const { getDocumentType, isIgnoredEntry, decodeHtmlFile } = require('../server/utils/batchUtils');
+const { parseOutputOptions } = require('../server/utils/optionUtils');
+
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURE = 1;
+const EXIT_WARNINGS = 2;
+
+// 监视模式下文件保存后等待的时间，Word 保存时会多次写入文件
+const WATCH_DELAY = 500;
+
+// docx (zip) 文件头，用于识别标准输入中的 docx
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+const USAGE = `用法:
+  word2dita [选项] <文件...>          将 .docx、.htm/.html、.md 文件转换为同名的 .dita 文件
+  word2dita [选项] < 输入文件          从标准输入读取，结果输出到标准输出
+  word2dita --watch [选项] <目录...>   监视目录，其中的文件保存后重新转换
+
+选项:
+  -t, --topic-type <类型>         主题类型: topic (默认)、concept、task、reference
+  -p, --profile <名称|文件>        流水线配置: server/pipelineProfiles 下的名称或 JSON 文件
+  -s, --style-mapping <名称|文件>  样式映射: server/styleMappings 下的名称或 JSON 文件
+  -o, --out-dir <目录>            输出目录，默认与输入文件相同；读取标准输入时图片保存到此目录
+  -f, --format <格式>             标准输入的格式: html (默认) 或 markdown，docx 自动识别
+      --title <标题>              文档中没有一级标题时使用的标题，默认为文件名
+  -w, --watch                     监视模式
+  -q, --quiet                     只输出错误
+  -h, --help                      显示帮助
+
+退出码: 0 成功，1 失败，2 转换成功但有警告`;
+
+// 带参数的选项 -> 参数名
+const VALUE_OPTIONS = {
+    '-t': 'topicType', '--topic-type': 'topicType',
+    '-p': 'pipelineProfile', '--profile': 'pipelineProfile',
+    '-s': 'styleMapping', '--style-mapping': 'styleMapping',
+    '-o': 'outDir', '--out-dir': 'outDir',
+    '-f': 'format', '--format': 'format',
+    '--title': 'title'
+};
+
+const FLAG_OPTIONS = {
+    '-w': 'watch', '--watch': 'watch',
+    '-q': 'quiet', '--quiet': 'quiet',
+    '-h': 'help', '--help': 'help'
+};
+
+let quiet = false;
+
+function info(message) {
+    if (!quiet) process.stderr.write(`${message}\n`);
+}
+
+function error(message) {
+    process.stderr.write(`${message}\n`);
+}
+
+function parseArgs(argv) {
+    const args = { format: 'html', paths: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (VALUE_OPTIONS[arg]) {
+            if (i + 1 >= argv.length) {
+                throw new Error(`${arg} 缺少参数`);
+            }
+            args[VALUE_OPTIONS[arg]] = argv[++i];
+        } else if (FLAG_OPTIONS[arg]) {
+            args[FLAG_OPTIONS[arg]] = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`未知选项: ${arg}`);
+        } else {
+            args.paths.push(arg);
+        }
+    }
+    return args;
+}
+
+/**
+ * 样式映射和流水线配置可以是 JSON 文件路径，读取后与接口中的 JSON 字符串参数相同
+ */
+function readJsonOption(value) {
+    if (value === undefined || !/\.json$/i.test(value)) return value;
+    try {
+        return fs.readFileSync(value, 'utf8');
+    } catch (e) {
+        throw new Error(`无法读取 ${value}: ${e.message}`);
+    }
+}
+
+/**
+ * 将命令行参数转换为转换选项，校验规则与接口相同 (见 parseOutputOptions)
+ */
+function buildOptions(args) {
+    if (!['html', 'markdown'].includes(args.format)) {
+        throw new Error(`不支持的输入格式: ${args.format}`);
+    }
+
+    const { options, error: optionsError } = parseOutputOptions({
+        topicType: args.topicType,
+        pipelineProfile: readJsonOption(args.pipelineProfile),
+        styleMapping: readJsonOption(args.styleMapping),
+        title: args.title
+    });
+    if (optionsError) {
+        throw new Error(optionsError);
+    }
+    // 命令行输出完整的主题文档，不在 debug 目录生成调试文件
+    return { ...options, fullDocument: true, debugFile: false };
+}
+
+// 转换结果中的警告 (处理步骤中以 "警告: " 开头的项)
+function getWarnings(result) {
+    return result.steps
+        .filter(step => step.startsWith('警告: '))
+        .map(step => step.slice('警告: '.length));
+}
+
+// 多个文件的退出码: 失败优先于警告
+function combineExitCodes(a, b) {
+    if (a === EXIT_FAILURE || b === EXIT_FAILURE) return EXIT_FAILURE;
+    return Math.max(a, b);
+}
+
+function toPosixPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * 读取 Word 另存为网页时生成的图片目录: 中文版为 xxx.files，英文版为 xxx_files
+ * @param {string} file - HTML 文件路径
+ * @returns {Promise<Map<string, Buffer>>} - 绝对路径 (/ 分隔) -> 文件内容，见 inlineRelativeImages
+ */
+async function readWordResources(file) {
+    const resources = new Map();
+    const base = path.resolve(path.dirname(file), path.basename(file, path.extname(file)));
+    for (const dir of [`${base}.files`, `${base}_files`]) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (e) {
+            continue;
+        }
+        for (const entry of entries.filter(entry => entry.isFile())) {
+            const filePath = path.join(dir, entry.name);
+            resources.set(toPosixPath(filePath), await fs.promises.readFile(filePath));
+        }
+    }
+    return resources;
+}
+
+/**
+ * 保存图片文件
+ * @param {Array<{path: string, data: Buffer}>} images - 转换结果中的图片，path 相对于主题文件
+ * @param {string} dir - 主题文件所在目录
+ */
+async function writeImages(images, dir) {
+    for (const image of images) {
+        const imagePath = path.join(dir, image.path);
+        await fs.promises.mkdir(path.dirname(imagePath), { recursive: true });
+        await fs.promises.writeFile(imagePath, image.data);
+    }
+}
+
+/**
+ * 转换一个文件，输出 <输出目录>/<文件名>.dita 和图片
+ * @returns {Promise<number>} - 退出码
+ */
+async function convertFile(file, options, outDir) {
+    const type = getDocumentType(file);
+    if (!type) {
+        error(`${file}: 不支持的文件类型，仅支持 .docx、.htm、.html、.md`);
+        return EXIT_FAILURE;
+    }
+
+    const startTime = performance.now();
+    try {
+        const data = await fs.promises.readFile(file);
+        const resources = type === 'html' ? await readWordResources(file) : new Map();
+        const document = { path: toPosixPath(path.resolve(file)), type, data };
+        const result = await transformBatchDocument(document, resources, options);
+        if (!result.success) {
+            error(`${file}: 转换失败: ${result.error}`);
+            return EXIT_FAILURE;
+        }
+
+        const dir = outDir || path.dirname(file);
+        const output = path.join(dir, `${path.basename(file, path.extname(file))}.dita`);
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(output, result.html, 'utf8');
+        await writeImages(result.images, dir);
+
+        const warnings = getWarnings(result);
+        info(`${file} -> ${output} (${Math.round(performance.now() - startTime)} ms)`);
+        warnings.forEach(warning => info(`  警告: ${warning}`));
+        return warnings.length ? EXIT_WARNINGS : EXIT_SUCCESS;
+    } catch (e) {
+        error(`${file}: ${e.message}`);
+        return EXIT_FAILURE;
+    }
+}
+
+async function convertFiles(files, options, outDir) {
+    let exitCode = EXIT_SUCCESS;
+    for (const file of files) {
+        exitCode = combineExitCodes(exitCode, await convertFile(file, options, outDir));
+    }
+    return exitCode;
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * 转换标准输入，结果输出到标准输出；指定输出目录时保存图片
+ * @returns {Promise<number>} - 退出码
+ */
+async function convertStdin(options, format, outDir) {
+    const data = await readStdin();
+    let result;
+    if (data.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+        result = await transformDocx(data, options);
+    } else {
+        const content = format === 'markdown' ? data.toString('utf8') : decodeHtmlFile(data);
+        result = await transformContent(content, { ...options, format });
+    }
+    if (!result.success) {
+        error(`转换失败: ${result.error}`);
+        return EXIT_FAILURE;
+    }
+
+    process.stdout.write(result.html);
+    const warnings = getWarnings(result);
+    if (outDir) {
+        await writeImages(result.images, outDir);
+    } else if (result.images.length) {
+        warnings.push(`${result.images.length} 张图片未保存，使用 --out-dir 指定保存目录`);
+    }
+    warnings.forEach(warning => info(`警告: ${warning}`));
+    return warnings.length ? EXIT_WARNINGS : EXIT_SUCCESS;
+}
+
+/**
+ * 监视目录 (不含子目录)，其中的文档保存后重新转换
+ * 转换依次执行；输出的 .dita 文件不会再次触发转换
+ */
+function watchDirectories(dirs, options, outDir) {
+    const timers = new Map();
+    let queue = Promise.resolve();
+
+    for (const dir of dirs) {
+        if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+            throw new Error(`${dir} 不是目录`);
+        }
+    }
+
+    for (const dir of dirs) {
+        fs.watch(dir, (eventType, name) => {
+            // 忽略 Word 的临时文件 (~$ 开头) 和隐藏文件
+            if (!name || !getDocumentType(name) || isIgnoredEntry(name)) return;
+
+            const file = path.join(dir, name);
+            clearTimeout(timers.get(file));
+            timers.set(file, setTimeout(() => {
+                timers.delete(file);
+                queue = queue.then(() => {
+                    // 文件已被删除或重命名
+                    if (!fs.existsSync(file)) return;
+                    return convertFile(file, options, outDir);
+                });
+            }, WATCH_DELAY));
+        }).on('error', e => error(`监视 ${dir} 出错: ${e.message}`));
+        info(`监视目录: ${dir}`);
+    }
+
+    process.on('SIGINT', () => {
+        info('已停止监视');
+        process.exit(EXIT_SUCCESS);
+    });
+}
+
+async function main() {
+    let args;
+    let options;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        options = buildOptions(args);
+    } catch (e) {
+        error(`word2dita: ${e.message}`);
+        error('使用 --help 查看用法');
+        return EXIT_FAILURE;
+    }
+
+    if (args.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return EXIT_SUCCESS;
+    }
+
+    quiet = Boolean(args.quiet);
+
+    if (args.watch) {
+        if (!args.paths.length) {
+            error('word2dita: --watch 需要指定要监视的目录');
+            return EXIT_FAILURE;
+        }
+        try {
+            watchDirectories(args.paths, options, args.outDir);
+        } catch (e) {
+            error(`word2dita: ${e.message}`);
+            return EXIT_FAILURE;
+        }
+        return undefined;
+    }
+
+    if (args.paths.length && !(args.paths.length === 1 && args.paths[0] === '-')) {
+        return convertFiles(args.paths, options, args.outDir);
+    }
+
+    if (process.stdin.isTTY) {
+        error(USAGE);
+        return EXIT_FAILURE;
+    }
+    return convertStdin(options, args.format, args.outDir);
+}
+
+main().then(exitCode => {
+    if (exitCode !== undefined) {
+        process.exitCode = exitCode;
+    }
+});
@@ -1,11 +1,35 @@
 document.addEventListener('DOMContentLoaded', () => {
     const pasteArea = document.getElementById('pasteArea');
+    const markdownArea = document.getElementById('markdownArea');
+    const inputFormat = document.getElementById('inputFormat');
+    const topicType = document.getElementById('topicType');
+    const headingMode = document.getElementById('headingMode');
+    const splitLevel = document.getElementById('splitLevel');
+    const definitionLists = document.getElementById('definitionLists');
+    const dropStrikethrough = document.getElementById('dropStrikethrough');
+    const lineBreaks = document.getElementById('lineBreaks');
+    const styleMapping = document.getElementById('styleMapping');
+    const pipelineProfile = document.getElementById('pipelineProfile');
+    const inspectStages = document.getElementById('inspectStages');
     const outputArea = document.getElementById('outputArea');
     const clearBtn = document.getElementById('clearBtn');
     const transformBtn = document.getElementById('transformBtn');
+    const packageBtn = document.getElementById('packageBtn');
+    const splitBtn = document.getElementById('splitBtn');
     const copyBtn = document.getElementById('copyBtn');
     const errorAlert = document.getElementById('errorAlert');
     const successAlert = document.getElementById('successAlert');
+    const inspector = document.getElementById('inspector');
+    const stageList = document.getElementById('stageList');
+    const stageDiff = document.getElementById('stageDiff');
+    const diffFrom = document.getElementById('diffFrom');
+    const diffTo = document.getElementById('diffTo');
+    const showAllLines = document.getElementById('showAllLines');
+    const prevStageBtn = document.getElementById('prevStageBtn');
+    const nextStageBtn = document.getElementById('nextStageBtn');
+    const batchDropZone = document.getElementById('batchDropZone');
+    const batchFiles = document.getElementById('batchFiles');
+    const batchStatus = document.getElementById('batchStatus');
 
     // 显示当前页面URL
     console.log('当前页面URL:', window.location.href);
@@ -22,6 +46,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }, duration);
     }
 
+    // 切换输入类型: Markdown 使用纯文本输入框，保留换行和缩进
+    inputFormat.addEventListener('change', () => {
+        const isMarkdown = inputFormat.value === 'markdown';
+        pasteArea.hidden = isMarkdown;
+        markdownArea.hidden = !isMarkdown;
+    });
+
     // 处理粘贴事件
     pasteArea.addEventListener('paste', (e) => {
         e.preventDefault();
@@ -35,9 +66,15 @@ document.addEventListener('DOMContentLoaded', () => {
             pastedData = clipboardData.getData('text/html');
         } else {
             // 如果没有HTML格式，获取纯文本并转换为HTML
-            pastedData = clipboardData.getData('text/plain');
-            // 转换换行符为<br>
-            pastedData = pastedData.replace(/\n/g, '<br>');
+            // 空行分隔的文字作为段落，段落内的换行保留为 <br>，由服务端按换行处理方式转换
+            pastedData = clipboardData.getData('text/plain')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .split(/\r?\n\s*\r?\n/)
+                .filter(paragraph => paragraph.trim())
+                .map(paragraph => `<p>${paragraph.trim().replace(/\r?\n/g, '<br>')}</p>`)
+                .join('');
         }
         
         // 将内容显示在粘贴区域，保持HTML格式
@@ -47,14 +84,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // 清空按钮事件
     clearBtn.addEventListener('click', () => {
         pasteArea.innerHTML = '';
+        markdownArea.value = '';
         outputArea.textContent = '';
+        showInspector(null);
         showAlert('success', '内容已清空');
     });
 
     // 转换按钮事件
     transformBtn.addEventListener('click', async () => {
-        // 获取粘贴区域的HTML内容
-        const content = pasteArea.innerHTML;
+        // 获取输入内容: Markdown 取纯文本，其他取粘贴区域的HTML
+        const format = inputFormat.value;
+        const content = format === 'markdown' ? markdownArea.value : pasteArea.innerHTML;
         
         if (!content.trim()) {
             showAlert('error', '请先粘贴内容！');
@@ -66,32 +106,270 @@ document.addEventListener('DOMContentLoaded', () => {
             transformBtn.classList.add('loading');
             transformBtn.textContent = '转换中...';
 
-            const response = await fetch('/api/transform', {
+            const result = await runTransformJob({
+                content,
+                format,
+                // 选择了主题类型时输出完整的 DITA 文档
+                fullDocument: Boolean(topicType.value),
+                topicType: topicType.value || undefined,
+                headingMode: headingMode.value,
+                definitionLists: definitionLists.checked,
+                strikethrough: dropStrikethrough.checked ? 'drop' : 'keep',
+                lineBreaks: lineBreaks.value,
+                styleMapping: styleMapping.value || undefined,
+                pipelineProfile: pipelineProfile.value || undefined,
+                snapshots: inspectStages.checked
+            });
+
+            // 在右侧显示原始HTML文本
+            outputArea.textContent = result.html;
+            showInspector(result.snapshots);
+            showAlert('success', '转换成功！');
+            
+        } catch (error) {
+            console.error('请求错误:', error);
+            showAlert('error', `转换失败: ${error.message}`);
+        } finally {
+            transformBtn.disabled = false;
+            transformBtn.classList.remove('loading');
+            transformBtn.textContent = '转换';
+        }
+    });
+
+    /**
+     * 通过 SSE 等待转换任务结束
+     * @param {string} eventsUrl - 任务的事件地址
+     * @param {string} progressEvent - 进度事件: stage (处理阶段) 或 file (批量任务中的文件)
+     * @param {Function} onProgress - 收到进度事件时调用，参数为事件数据
+     * @returns {Promise<void>} - 任务失败或连接中断时 reject
+     */
+    function waitForJob(eventsUrl, progressEvent, onProgress) {
+        return new Promise((resolve, reject) => {
+            const events = new EventSource(eventsUrl);
+            events.addEventListener(progressEvent, event => onProgress(JSON.parse(event.data)));
+            events.addEventListener('done', () => {
+                events.close();
+                resolve();
+            });
+            events.addEventListener('failed', event => {
+                events.close();
+                reject(new Error(JSON.parse(event.data).error));
+            });
+            // 任务结束后服务端关闭连接，此前的中断 (如服务重启) 不再自动重连
+            events.onerror = () => {
+                events.close();
+                reject(new Error('进度连接中断'));
+            };
+        });
+    }
+
+    /**
+     * 创建异步转换任务，转换在服务端的工作线程中执行
+     * 通过 SSE 在按钮上显示处理阶段的进度，完成后读取转换结果
+     * @param {Object} body - 转换参数，同 /api/transform
+     * @returns {Promise<Object>} - 转换结果，同 /api/transform 的响应
+     */
+    async function runTransformJob(body) {
+        const response = await fetch('/api/jobs', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`请求失败: ${response.status}`);
+        }
+        const { statusUrl, eventsUrl } = await response.json();
+
+        await waitForJob(eventsUrl, 'stage', ({ index, total }) => {
+            transformBtn.textContent = `转换中 ${index}/${total}...`;
+        });
+
+        const jobResponse = await fetch(statusUrl);
+        if (!jobResponse.ok) {
+            throw new Error(`请求失败: ${jobResponse.status}`);
+        }
+        const { job } = await jobResponse.json();
+        return job.result;
+    }
+
+    /**
+     * 请求返回 zip 的接口，通过 blob 链接下载
+     * @param {HTMLButtonElement} button - 触发下载的按钮
+     * @param {string} url - 接口地址
+     * @param {Object} options - 除 content/format 外的请求参数
+     * @param {Function} describe - 根据文件数生成成功提示
+     */
+    async function downloadZip(button, url, options, describe) {
+        const format = inputFormat.value;
+        const content = format === 'markdown' ? markdownArea.value : pasteArea.innerHTML;
+
+        if (!content.trim()) {
+            showAlert('error', '请先粘贴内容！');
+            return;
+        }
+
+        const label = button.textContent;
+        try {
+            button.disabled = true;
+            button.classList.add('loading');
+            button.textContent = '打包中...';
+
+            const response = await fetch(url, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ content })
+                body: JSON.stringify({
+                    content,
+                    format,
+                    ...options
+                })
             });
 
             if (!response.ok) {
                 throw new Error(`请求失败: ${response.status}`);
             }
 
-            const result = await response.json();
-            
-            // 在右侧显示原始HTML文本
-            outputArea.textContent = result.html;
-            showAlert('success', '转换成功！');
-            
+            // 从响应头中取文件名
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const fileName = match ? decodeURIComponent(match[1]) : 'dita.zip';
+
+            const blob = await response.blob();
+            const blobUrl = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = blobUrl;
+            link.download = fileName;
+            link.click();
+            URL.revokeObjectURL(blobUrl);
+
+            showAlert('success', describe(Number(response.headers.get('X-File-Count'))));
+
         } catch (error) {
             console.error('请求错误:', error);
-            showAlert('error', '转换失败，请重试');
+            showAlert('error', '打包失败，请重试');
         } finally {
-            transformBtn.disabled = false;
-            transformBtn.classList.remove('loading');
-            transformBtn.textContent = '转换';
+            button.disabled = false;
+            button.classList.remove('loading');
+            button.textContent = label;
         }
+    }
+
+    // 打包下载按钮事件: 完整的主题文档和图片
+    packageBtn.addEventListener('click', () => {
+        downloadZip(packageBtn, '/api/transform/package', {
+            topicType: topicType.value || undefined,
+            headingMode: headingMode.value,
+            definitionLists: definitionLists.checked,
+            strikethrough: dropStrikethrough.checked ? 'drop' : 'keep',
+            lineBreaks: lineBreaks.value,
+            styleMapping: styleMapping.value || undefined,
+            pipelineProfile: pipelineProfile.value || undefined
+        }, count => `打包成功，共 ${count} 个文件`);
+    });
+
+    // 拆分下载按钮事件: ditamap、主题文件和图片
+    splitBtn.addEventListener('click', () => {
+        downloadZip(splitBtn, '/api/transform/split', {
+            topicType: topicType.value || undefined,
+            splitLevel: Number(splitLevel.value),
+            definitionLists: definitionLists.checked,
+            strikethrough: dropStrikethrough.checked ? 'drop' : 'keep',
+            lineBreaks: lineBreaks.value,
+            styleMapping: styleMapping.value || undefined,
+            pipelineProfile: pipelineProfile.value || undefined
+        }, count => `拆分成功，共 ${count} 个文件`);
+    });
+
+    /**
+     * 批量转换: 上传文件创建后台任务，显示每个文件的进度，完成后下载 zip
+     * @param {File[]} files - 文档或 zip
+     */
+    let batchRunning = false;
+    async function runBatchJob(files) {
+        if (!files.length) return;
+        if (batchRunning) {
+            showAlert('error', '批量转换进行中，请稍候');
+            return;
+        }
+
+        try {
+            batchRunning = true;
+            batchDropZone.classList.add('loading');
+            batchStatus.textContent = `上传中，共 ${files.length} 个文件...`;
+
+            // 批量转换总是输出完整的主题文档，未选择主题类型时为 topic
+            const options = {
+                topicType: topicType.value || 'topic',
+                headingMode: headingMode.value,
+                definitionLists: definitionLists.checked,
+                strikethrough: dropStrikethrough.checked ? 'drop' : 'keep',
+                lineBreaks: lineBreaks.value,
+                styleMapping: styleMapping.value,
+                pipelineProfile: pipelineProfile.value
+            };
+            const form = new FormData();
+            files.forEach(file => form.append('files', file));
+            Object.entries(options).forEach(([name, value]) => {
+                if (value !== '') form.append(name, String(value));
+            });
+
+            const response = await fetch('/api/jobs/batch', { method: 'POST', body: form });
+            if (!response.ok) {
+                throw new Error(`请求失败: ${response.status}`);
+            }
+            const { eventsUrl, downloadUrl } = await response.json();
+
+            let failed = 0;
+            await waitForJob(eventsUrl, 'file', ({ file, index, total, status }) => {
+                if (status === 'failed') failed++;
+                batchStatus.textContent = `转换中 ${index}/${total}: ${file}`;
+            });
+
+            const link = document.createElement('a');
+            link.href = downloadUrl;
+            link.download = 'dita-batch.zip';
+            link.click();
+
+            batchStatus.textContent = failed
+                ? `转换完成，${failed} 个文件失败，详见 zip 中的 manifest.json`
+                : '转换完成';
+            showAlert('success', '批量转换完成，已开始下载');
+
+        } catch (error) {
+            console.error('批量转换错误:', error);
+            batchStatus.textContent = '';
+            showAlert('error', `批量转换失败: ${error.message}`);
+        } finally {
+            batchRunning = false;
+            batchDropZone.classList.remove('loading');
+        }
+    }
+
+    // 批量转换: 点击选择文件或拖入文件
+    batchDropZone.addEventListener('click', () => batchFiles.click());
+    batchDropZone.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            batchFiles.click();
+        }
+    });
+    batchFiles.addEventListener('change', () => {
+        runBatchJob(Array.from(batchFiles.files));
+        batchFiles.value = '';
+    });
+    ['dragenter', 'dragover'].forEach(type => batchDropZone.addEventListener(type, (e) => {
+        e.preventDefault();
+        batchDropZone.classList.add('dragover');
+    }));
+    ['dragleave', 'drop'].forEach(type => batchDropZone.addEventListener(type, () => {
+        batchDropZone.classList.remove('dragover');
+    }));
+    batchDropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        runBatchJob(Array.from(e.dataTransfer.files));
     });
 
     // 复制结果按钮事件
@@ -113,6 +391,191 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // =================================================================
+    // 逐阶段检查: 查看每个处理阶段之后的 HTML，对比任意两个阶段
+    // =================================================================
+
+    // 折叠未变化的行时，变化处前后保留的行数
+    const DIFF_CONTEXT_LINES = 3;
+    // 超过该规模 (行数乘积) 时不逐行对比，整段显示为删除和新增
+    const MAX_DIFF_CELLS = 4000000;
+
+    // 补齐 html 后的快照 (服务端省略了与上一个阶段相同的 HTML)
+    let stageSnapshots = [];
+
+    /**
+     * 显示检查面板
+     * @param {Array<{stage: string, changed: boolean, duration: number, html?: string}>} snapshots - 转换接口返回的快照
+     */
+    function showInspector(snapshots) {
+        stageList.innerHTML = '';
+        diffFrom.innerHTML = '';
+        diffTo.innerHTML = '';
+        stageDiff.textContent = '';
+        if (!snapshots || !snapshots.length) {
+            stageSnapshots = [];
+            inspector.hidden = true;
+            return;
+        }
+
+        let html = '';
+        stageSnapshots = snapshots.map(snapshot => {
+            if (snapshot.changed) html = snapshot.html;
+            return { ...snapshot, html };
+        });
+
+        stageSnapshots.forEach((snapshot, index) => {
+            const item = document.createElement('li');
+            item.classList.toggle('unchanged', !snapshot.changed);
+            item.title = snapshot.changed ? snapshot.stage : `${snapshot.stage} (无变化)`;
+            const name = document.createElement('span');
+            name.textContent = snapshot.stage;
+            const duration = document.createElement('span');
+            duration.className = 'stage-duration';
+            duration.textContent = `${snapshot.duration} ms`;
+            item.append(name, duration);
+            item.addEventListener('click', () => selectStage(index));
+            stageList.appendChild(item);
+
+            [diffFrom, diffTo].forEach(select => {
+                select.add(new Option(`${index}. ${snapshot.stage}`, String(index)));
+            });
+        });
+
+        inspector.hidden = false;
+        selectStage(findChangedStage(0, 1));
+    }
+
+    /**
+     * 从 index 开始按 step 方向查找有变化的阶段，找不到时返回边界
+     */
+    function findChangedStage(index, step) {
+        for (let i = index + step; i >= 0 && i < stageSnapshots.length; i += step) {
+            if (stageSnapshots[i].changed) return i;
+        }
+        return step > 0 ? stageSnapshots.length - 1 : 0;
+    }
+
+    // 选中阶段: 与上一个阶段对比
+    function selectStage(index) {
+        diffTo.value = String(index);
+        diffFrom.value = String(Math.max(index - 1, 0));
+        renderDiff();
+    }
+
+    // 按标签拆分为行，忽略标签之间的空白和缩进，使格式化前后的 HTML 可以对比
+    function toLines(html) {
+        return html.replace(/>\s*</g, '>\n<').split('\n').map(line => line.trim()).filter(Boolean);
+    }
+
+    /**
+     * 逐行对比 (最长公共子序列)
+     * @returns {Array<{type: string, text: string}>} - type: same | del | add
+     */
+    function diffLines(before, after) {
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) start++;
+        let endBefore = before.length;
+        let endAfter = after.length;
+        while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+            endBefore--;
+            endAfter--;
+        }
+
+        const same = text => ({ type: 'same', text });
+        const head = before.slice(0, start).map(same);
+        const tail = before.slice(endBefore).map(same);
+        const a = before.slice(start, endBefore);
+        const b = after.slice(start, endAfter);
+
+        if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+            return [
+                ...head,
+                ...a.map(text => ({ type: 'del', text })),
+                ...b.map(text => ({ type: 'add', text })),
+                ...tail
+            ];
+        }
+
+        // lengths[i][j]: a[i..] 和 b[j..] 的最长公共子序列长度
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const middle = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                middle.push(same(a[i]));
+                i++;
+                j++;
+            } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                middle.push({ type: 'del', text: a[i++] });
+            } else {
+                middle.push({ type: 'add', text: b[j++] });
+            }
+        }
+        return [...head, ...middle, ...tail];
+    }
+
+    // 显示两个阶段的对比，未变化的行默认折叠
+    function renderDiff() {
+        const from = Number(diffFrom.value);
+        const to = Number(diffTo.value);
+        Array.from(stageList.children).forEach((item, index) => {
+            item.classList.toggle('active', index === to);
+        });
+        prevStageBtn.disabled = to === 0;
+        nextStageBtn.disabled = to === stageSnapshots.length - 1;
+
+        const lines = diffLines(toLines(stageSnapshots[from].html), toLines(stageSnapshots[to].html));
+        const changed = lines.map(line => line.type !== 'same');
+        const isVisible = index => showAllLines.checked || changed
+            .slice(Math.max(index - DIFF_CONTEXT_LINES, 0), index + DIFF_CONTEXT_LINES + 1)
+            .some(Boolean);
+
+        stageDiff.textContent = '';
+        if (!changed.some(Boolean)) {
+            stageDiff.textContent = '两个阶段的 HTML 相同 (不计标签之间的空白)';
+            return;
+        }
+
+        let hidden = 0;
+        const flushHidden = () => {
+            if (!hidden) return;
+            const row = document.createElement('div');
+            row.className = 'diff-line diff-skip';
+            row.textContent = `… ${hidden} 行未变化 …`;
+            stageDiff.appendChild(row);
+            hidden = 0;
+        };
+        lines.forEach((line, index) => {
+            if (!isVisible(index)) {
+                hidden++;
+                return;
+            }
+            flushHidden();
+            const row = document.createElement('div');
+            row.className = `diff-line diff-${line.type}`;
+            row.textContent = `${{ same: ' ', del: '-', add: '+' }[line.type]} ${line.text}`;
+            stageDiff.appendChild(row);
+        });
+        flushHidden();
+    }
+
+    diffFrom.addEventListener('change', renderDiff);
+    diffTo.addEventListener('change', renderDiff);
+    showAllLines.addEventListener('change', renderDiff);
+    prevStageBtn.addEventListener('click', () => selectStage(findChangedStage(Number(diffTo.value), -1)));
+    nextStageBtn.addEventListener('click', () => selectStage(findChangedStage(Number(diffTo.value), 1)));
+
     // 处理粘贴区域的placeholder
     pasteArea.addEventListener('focus', () => {
         if (!pasteArea.innerHTML.trim()) {
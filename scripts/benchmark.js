@@ -0,0 +1,208 @@
+/**
+ * 流水线性能测试: 对比共用文档 (默认) 和每个 DOM 阶段单独解析 (sharedDom: false) 的耗时，
+ * 以及与之前版本的实现 (--baseline) 的耗时
+ *
+ * 用法:
+ *   npm run benchmark
+ *   npm run benchmark -- --pages 400 --runs 5
+ *   npm run benchmark -- --baseline <git 提交或分支>
+ *   npm run benchmark -- 文档1.html 文档2.docx
+ *
+ * 默认测试数据由 testInput/benchmark-section.html 重复 --pages 次生成 (模拟大文档)，
+ * 同时测试命令行中给出的 HTML 或 docx 文件。两种模式的输出必须一致，否则退出码为 1。
+ * 之前版本的功能不同，输出不做比较，只对比耗时；之前版本在子进程中执行，其调试输出被丢弃。
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, fork } = require('child_process');
+const { performance } = require('perf_hooks');
+const { cleanHtml } = require('../server/utils/htmlUtilsDita');
+const { docxToHtml } = require('../server/utils/docxUtils');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SECTION_FILE = path.join(ROOT_DIR, 'testInput', 'benchmark-section.html');
+const DEFAULT_PAGES = 200;
+const DEFAULT_RUNS = 3;
+
+function parseArgs(argv) {
+    const args = { pages: DEFAULT_PAGES, runs: DEFAULT_RUNS, files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--pages' || arg === '--runs') {
+            const value = parseInt(argv[++i], 10);
+            if (!(value > 0)) {
+                throw new Error(`${arg} 必须是正整数`);
+            }
+            args[arg.slice(2)] = value;
+        } else if (arg === '--baseline') {
+            if (!argv[i + 1]) {
+                throw new Error('--baseline 缺少 git 提交或分支');
+            }
+            args.baseline = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new Error(`未知参数: ${arg}`);
+        } else {
+            args.files.push(arg);
+        }
+    }
+    return args;
+}
+
+/**
+ * 重复章节模板生成大文档，模板中的 {n} 替换为章节序号，保证书签、链接等不重复
+ */
+function buildSections(pages) {
+    const section = fs.readFileSync(SECTION_FILE, 'utf8');
+    const body = Array.from({ length: pages }, (_, index) => section.replace(/\{n\}/g, index + 1)).join('\n');
+    return `<html><body>${body}</body></html>`;
+}
+
+async function loadFixtures(args) {
+    const fixtures = [{ name: `benchmark-section.html x ${args.pages}`, html: buildSections(args.pages) }];
+    for (const file of args.files) {
+        const html = path.extname(file).toLowerCase() === '.docx'
+            ? await docxToHtml(fs.readFileSync(file))
+            : fs.readFileSync(file, 'utf8');
+        fixtures.push({ name: path.basename(file), html });
+    }
+    return fixtures;
+}
+
+/**
+ * 从 git 中取出指定版本的 server 目录，依赖使用当前项目的 node_modules
+ * @returns {string} - 临时目录，测试结束后删除
+ */
+function extractBaseline(ref) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'word2dita-baseline-'));
+    const archive = execFileSync('git', ['archive', '--format=tar', ref, 'server'], {
+        cwd: ROOT_DIR,
+        maxBuffer: 256 * 1024 * 1024
+    });
+    execFileSync('tar', ['-x', '-C', dir], { input: archive });
+    fs.symlinkSync(path.join(ROOT_DIR, 'node_modules'), path.join(dir, 'node_modules'), 'junction');
+    return dir;
+}
+
+/**
+ * 在子进程中执行之前版本的 cleanHtml，返回每次的耗时
+ * 子进程的标准输出被丢弃 (之前版本可能输出调试信息)，错误输出保留
+ * @param {string} dir - extractBaseline 的结果
+ * @param {string} html
+ * @param {number} runs
+ * @returns {Promise<number[]>}
+ */
+function measureBaseline(dir, html, runs) {
+    return new Promise((resolve, reject) => {
+        const child = fork(__filename, ['--baseline-worker', dir], {
+            stdio: ['ignore', 'ignore', 'inherit', 'ipc'],
+            execArgv: process.execArgv
+        });
+        child.once('message', message => {
+            child.kill();
+            message.error ? reject(new Error(message.error)) : resolve(message.durations);
+        });
+        child.once('exit', code => reject(new Error(`基线子进程退出，退出码 ${code}`)));
+        child.send({ html, runs });
+    });
+}
+
+// 子进程: 加载之前版本的 cleanHtml，预热后执行指定次数
+function runBaselineWorker(dir) {
+    process.once('message', ({ html, runs }) => {
+        try {
+            const { cleanHtml: clean } = require(path.join(dir, 'server', 'utils', 'htmlUtilsDita'));
+            convert(buildSections(5), true, clean);
+            const durations = Array.from({ length: runs }, () => convert(html, true, clean).duration);
+            process.send({ durations });
+        } catch (error) {
+            process.send({ error: error.message });
+        }
+    });
+}
+
+function convert(html, sharedDom, clean = cleanHtml) {
+    const startTime = performance.now();
+    const result = clean(html, { warnings: [], sharedDom });
+    return { result, duration: performance.now() - startTime };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+// 按显示宽度补齐 (中文字符占两列)
+function pad(text, width, alignRight = true) {
+    const displayWidth = Array.from(text).reduce((sum, char) => sum + (char.charCodeAt(0) > 0x2e80 ? 2 : 1), 0);
+    const padding = ' '.repeat(Math.max(0, width - displayWidth));
+    return alignRight ? padding + text : text + padding;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const fixtures = await loadFixtures(args);
+    const baselineDir = args.baseline ? extractBaseline(args.baseline) : null;
+
+    try {
+        await run(args, fixtures, baselineDir);
+    } finally {
+        if (baselineDir) fs.rmSync(baselineDir, { recursive: true, force: true });
+    }
+}
+
+async function run(args, fixtures, baselineDir) {
+    const baseline = Boolean(baselineDir);
+    // 预热: 让 JSDOM 和各阶段完成 JIT 编译
+    const warmup = buildSections(5);
+    convert(warmup, false);
+    convert(warmup, true);
+
+    console.log(`每个文档每种模式执行 ${args.runs} 次，取中位数${baseline ? `；基线为 ${args.baseline}` : ''}\n`);
+    console.log(`${pad('文档', 36, false)}${pad('大小', 10)}` +
+        (baseline ? pad('基线', 12) : '') +
+        `${pad('单独解析', 12)}${pad('共用文档', 12)}${pad('加速', 8)}` +
+        (baseline ? pad('对比基线', 10) : ''));
+
+    let mismatch = false;
+    for (const fixture of fixtures) {
+        const timings = { isolated: [], shared: [] };
+        let isolatedResult;
+        let sharedResult;
+        // 两种模式交替执行，减少 GC 等因素对某一种模式的影响
+        for (let run = 0; run < args.runs; run++) {
+            const isolated = convert(fixture.html, false);
+            const shared = convert(fixture.html, true);
+            timings.isolated.push(isolated.duration);
+            timings.shared.push(shared.duration);
+            isolatedResult = isolated.result;
+            sharedResult = shared.result;
+        }
+
+        const isolatedMs = median(timings.isolated);
+        const sharedMs = median(timings.shared);
+        const size = `${Math.round(Buffer.byteLength(fixture.html) / 1024)} KB`;
+        const speedup = `${(isolatedMs / sharedMs).toFixed(2)}x`;
+        const baselineMs = baseline ? median(await measureBaseline(baselineDir, fixture.html, args.runs)) : 0;
+        console.log(`${pad(fixture.name, 36, false)}${pad(size, 10)}` +
+            (baseline ? pad(`${Math.round(baselineMs)} ms`, 12) : '') +
+            `${pad(`${Math.round(isolatedMs)} ms`, 12)}${pad(`${Math.round(sharedMs)} ms`, 12)}${pad(speedup, 8)}` +
+            (baseline ? pad(`${(baselineMs / sharedMs).toFixed(2)}x`, 10) : ''));
+
+        if (isolatedResult !== sharedResult) {
+            console.error(`  输出不一致: ${fixture.name}`);
+            mismatch = true;
+        }
+    }
+
+    process.exitCode = mismatch ? 1 : 0;
+}
+
+if (process.argv[2] === '--baseline-worker') {
+    runBaselineWorker(process.argv[3]);
+} else {
+    main().catch(error => {
+        console.error('性能测试失败:', error.message);
+        process.exitCode = 1;
+    });
+}
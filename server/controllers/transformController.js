@@ -1,15 +1,76 @@
-const { transformContent } = require('../services/transformService');
+const {
+    transformContent, transformDocx, splitContent, splitDocx, packageContent, packageDocx
+} = require('../services/transformService');
+const jobService = require('../services/jobService');
+const { stageRegistry } = require('../utils/htmlUtilsDita');
+const { listPipelineProfiles } = require('../utils/pipeline');
+const { parseOutputOptions } = require('../utils/optionUtils');
+const { INVALID_DOCX } = require('../utils/docxUtils');
+
+// 支持的输入格式
+const SUPPORTED_FORMATS = ['html', 'markdown'];
+
+/**
+ * 以 zip 附件形式返回打包或拆分结果
+ * @param {Object} res - express 响应
+ * @param {Object} result - packageContent 或 splitContent 的返回值
+ */
+function sendZip(res, result) {
+    res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${encodeURIComponent(result.fileName)}"`,
+        'X-File-Count': String(result.files.length)
+    });
+    res.send(result.zip);
+}
+
+/**
+ * JSON 响应中只返回图片路径，图片文件通过打包接口下载
+ * @param {Object} result - transformContent 的返回值
+ * @returns {Object}
+ */
+function toJsonResult(result) {
+    return { ...result, images: (result.images || []).map(image => image.path) };
+}
+
+/**
+ * 解析批量转换请求: 上传的文件和转换选项
+ * @param {Object} req - express 请求 (经过 multer 处理)
+ * @returns {{files: Array<{name: string, data: Buffer}>, options: Object, error: string|null}}
+ */
+function parseBatchRequest(req) {
+    const uploaded = req.files || [];
+    if (!uploaded.length) {
+        return { files: [], options: {}, error: '请上传要转换的文件' };
+    }
+
+    const { options, error } = parseOutputOptions(req.body || {});
+    const files = uploaded.map(file => ({ name: file.originalname, data: file.buffer }));
+    return { files, options, error };
+}
 
 /**
  * 内容转换控制器
  */
 class TransformController {
+    /**
+     * 列出处理阶段和可用的流水线配置
+     */
+    handlePipeline(req, res) {
+        res.json({
+            success: true,
+            stages: stageRegistry.list(),
+            profiles: listPipelineProfiles()
+        });
+    }
+
     /**
      * 处理内容转换请求
      */
     async handleTransform(req, res) {
         try {
-            const { content } = req.body;
+            const { content, format = 'html' } = req.body;
+            const { options, error } = parseOutputOptions(req.body);
             
             if (!content) {
                 return res.status(400).json({ 
@@ -18,14 +79,25 @@ class TransformController {
                 });
             }
 
+            if (!SUPPORTED_FORMATS.includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `不支持的输入格式: ${format}`
+                });
+            }
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
             // 调用服务层处理转换逻辑
-            const result = await transformContent(content);
+            const result = await transformContent(content, { ...options, format });
             
             if (!result.success) {
                 return res.status(500).json(result);
             }
 
-            res.json(result);
+            res.json(toJsonResult(result));
             
         } catch (error) {
             console.error('转换处理错误:', error);
@@ -36,6 +108,340 @@ class TransformController {
             });
         }
     }
+
+    /**
+     * 创建异步转换任务，参数同 handleTransform
+     * 返回任务 id，通过 handleJob 查询进度和结果，或通过 handleJobEvents 订阅进度
+     */
+    handleCreateJob(req, res) {
+        try {
+            const { content, format = 'html' } = req.body;
+            const { options, error } = parseOutputOptions(req.body);
+
+            if (!content) {
+                return res.status(400).json({
+                    success: false,
+                    error: '内容不能为空'
+                });
+            }
+
+            if (!SUPPORTED_FORMATS.includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `不支持的输入格式: ${format}`
+                });
+            }
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const job = jobService.createJob(content, { ...options, format });
+            if (!job) {
+                return res.status(503).json({
+                    success: false,
+                    error: '排队中的转换任务过多，请稍后重试'
+                });
+            }
+
+            res.status(202).json({
+                success: true,
+                job,
+                statusUrl: `/api/jobs/${job.id}`,
+                eventsUrl: `/api/jobs/${job.id}/events`
+            });
+
+        } catch (error) {
+            console.error('创建转换任务错误:', error);
+            res.status(500).json({
+                success: false,
+                error: '处理失败: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * 查询转换任务的状态、各阶段进度，完成后包含转换结果 (格式同 handleTransform 的响应)
+     */
+    handleJob(req, res) {
+        const job = jobService.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: '转换任务不存在或已过期'
+            });
+        }
+
+        if (job.result && job.type === 'transform') {
+            job.result = toJsonResult(job.result);
+        }
+        res.json({ success: true, job });
+    }
+
+    /**
+     * 以 Server-Sent Events 推送转换任务的进度
+     * 事件: status (任务开始执行)、stage (处理阶段完成) 或 file (批量任务中的文件完成)、
+     * done / failed (任务结束，之后关闭连接)
+     * 连接时先补发已完成的阶段或文件；结果通过 handleJob 或 handleJobDownload 获取
+     */
+    handleJobEvents(req, res) {
+        const job = jobService.getJob(req.params.id, { includeResult: false });
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: '转换任务不存在或已过期'
+            });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        send('status', { status: job.status });
+        if (job.type === 'batch') {
+            job.files.forEach(file => send('file', file));
+        } else {
+            job.stages.forEach(stage => send('stage', stage));
+        }
+        if (job.status === 'done' || job.status === 'failed') {
+            send(job.status, job.error ? { error: job.error } : {});
+            return res.end();
+        }
+
+        const unsubscribe = jobService.subscribe(job.id, event => {
+            if (event.type === 'status') {
+                send('status', { status: event.status });
+            } else if (event.type === 'stage') {
+                send('stage', event.stage);
+            } else if (event.type === 'file') {
+                send('file', event.file);
+            } else {
+                send(event.type, event.error ? { error: event.error } : {});
+                unsubscribe();
+                res.end();
+            }
+        });
+        req.on('close', unsubscribe);
+    }
+
+    /**
+     * 下载批量转换任务的 zip
+     */
+    handleJobDownload(req, res) {
+        const job = jobService.getJob(req.params.id, { includeResult: false });
+        if (!job || job.type !== 'batch') {
+            return res.status(404).json({
+                success: false,
+                error: '批量转换任务不存在或已过期'
+            });
+        }
+
+        const result = jobService.getResult(job.id);
+        if (!result) {
+            return res.status(409).json({
+                success: false,
+                error: '批量转换任务尚未完成'
+            });
+        }
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+        sendZip(res, result);
+    }
+
+    /**
+     * 创建批量转换任务 (multipart/form-data，字段名 files，可以是多个文档或 zip)
+     * 返回任务 id，完成后通过 handleJobDownload 下载 zip
+     */
+    handleCreateBatchJob(req, res) {
+        try {
+            const { files, options, error } = parseBatchRequest(req);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const job = jobService.createBatchJob(files, options);
+            if (!job) {
+                return res.status(503).json({
+                    success: false,
+                    error: '排队中的转换任务过多，请稍后重试'
+                });
+            }
+
+            res.status(202).json({
+                success: true,
+                job,
+                statusUrl: `/api/jobs/${job.id}`,
+                eventsUrl: `/api/jobs/${job.id}/events`,
+                downloadUrl: `/api/jobs/${job.id}/download`
+            });
+
+        } catch (error) {
+            console.error('创建批量转换任务错误:', error);
+            res.status(500).json({
+                success: false,
+                error: '处理失败: ' + error.message
+            });
+        }
+    }
+
+    /**
+     * 批量转换，参数同 handleCreateBatchJob，等待转换完成后直接返回 zip
+     * 转换同样在工作线程中执行
+     */
+    async handleBatch(req, res) {
+        try {
+            const { files, options, error } = parseBatchRequest(req);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const job = jobService.createBatchJob(files, options);
+            if (!job) {
+                return res.status(503).json({
+                    success: false,
+                    error: '排队中的转换任务过多，请稍后重试'
+                });
+            }
+
+            const result = await jobService.waitForResult(job.id);
+            if (!result.success) {
+                return res.status(500).json(result);
+            }
+
+            sendZip(res, result);
+
+        } catch (error) {
+            console.error('批量转换处理错误:', error);
+            res.status(500).json({
+                success: false,
+                error: '处理失败: ' + error.message,
+                steps: []
+            });
+        }
+    }
+
+    /**
+     * 处理打包请求，返回包含主题文档和图片的 zip
+     */
+    async handlePackage(req, res) {
+        return this.handleZipRequest(req, res, packageContent);
+    }
+
+    /**
+     * 处理拆分请求，返回包含 ditamap、主题文件和图片的 zip
+     */
+    async handleSplit(req, res) {
+        return this.handleZipRequest(req, res, splitContent);
+    }
+
+    /**
+     * 处理返回 zip 的转换请求
+     * @param {Function} convert - packageContent 或 splitContent
+     */
+    async handleZipRequest(req, res, convert) {
+        try {
+            const { content, format = 'html' } = req.body;
+            const { options, error } = parseOutputOptions(req.body);
+
+            if (!content) {
+                return res.status(400).json({
+                    success: false,
+                    error: '内容不能为空'
+                });
+            }
+
+            if (!SUPPORTED_FORMATS.includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `不支持的输入格式: ${format}`
+                });
+            }
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const result = await convert(content, { ...options, format });
+
+            if (!result.success) {
+                return res.status(500).json(result);
+            }
+
+            sendZip(res, result);
+
+        } catch (error) {
+            console.error('打包处理错误:', error);
+            res.status(500).json({
+                success: false,
+                error: '处理失败: ' + error.message,
+                steps: []
+            });
+        }
+    }
+
+    /**
+     * 处理 docx 文件上传转换请求
+     * 表单中传入 splitLevel 时按标题拆分并返回 zip，传入 package=true 时打包主题文档和图片
+     */
+    async handleDocxUpload(req, res) {
+        try {
+            const file = req.file;
+
+            if (!file) {
+                return res.status(400).json({
+                    success: false,
+                    error: '请上传docx文件'
+                });
+            }
+
+            if (!/\.docx$/i.test(file.originalname)) {
+                return res.status(400).json({
+                    success: false,
+                    error: '仅支持 .docx 格式的文件'
+                });
+            }
+
+            const { options, error } = parseOutputOptions(req.body || {});
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const isPackage = req.body && (req.body.package === true || req.body.package === 'true');
+            let result;
+            if (options.splitLevel) {
+                result = await splitDocx(file.buffer, options);
+            } else if (isPackage) {
+                result = await packageDocx(file.buffer, options);
+            } else {
+                result = await transformDocx(file.buffer, options);
+            }
+
+            if (!result.success) {
+                // 损坏或不是 docx 的文件是请求的问题
+                return res.status(result.code === INVALID_DOCX ? 400 : 500).json(result);
+            }
+
+            if (options.splitLevel || isPackage) {
+                return sendZip(res, result);
+            }
+
+            res.json(toJsonResult(result));
+
+        } catch (error) {
+            console.error('docx转换处理错误:', error);
+            res.status(500).json({
+                success: false,
+                error: '处理失败: ' + error.message,
+                steps: []
+            });
+        }
+    }
 }
 
 module.exports = new TransformController(); 
\ No newline at end of file
@@ -1,8 +1,43 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const transformController = require('../controllers/transformController');
 
+// 上传文件保存在内存中，大小限制与 JSON 请求体保持一致；浏览器以 UTF-8 发送中文文件名
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024 },
+    defParamCharset: 'utf8'
+});
+
+// 批量转换一次上传的文件数上限
+const MAX_BATCH_FILES = 500;
+
+// 处理阶段和流水线配置列表
+router.get('/pipeline', transformController.handlePipeline.bind(transformController));
+
 // 转换接口
 router.post('/transform', transformController.handleTransform.bind(transformController));
 
+// 异步转换任务: 创建任务、查询进度和结果、订阅进度事件 (SSE)
+router.post('/jobs', transformController.handleCreateJob.bind(transformController));
+router.get('/jobs/:id', transformController.handleJob.bind(transformController));
+router.get('/jobs/:id/events', transformController.handleJobEvents.bind(transformController));
+
+// 批量转换任务 (multipart/form-data，字段名 files，多个文档或 zip)，完成后下载 zip
+router.post('/jobs/batch', upload.array('files', MAX_BATCH_FILES), transformController.handleCreateBatchJob.bind(transformController));
+router.get('/jobs/:id/download', transformController.handleJobDownload.bind(transformController));
+
+// 打包接口，返回完整主题文档和图片的 zip
+router.post('/transform/package', transformController.handlePackage.bind(transformController));
+
+// 拆分接口，返回 ditamap 和主题文件的 zip
+router.post('/transform/split', transformController.handleSplit.bind(transformController));
+
+// 批量转换接口，等待转换完成后返回包含主题文件和 manifest.json 的 zip
+router.post('/transform/batch', upload.array('files', MAX_BATCH_FILES), transformController.handleBatch.bind(transformController));
+
+// docx 文件上传转换接口 (multipart/form-data，字段名 file；传入 splitLevel 或 package=true 时返回 zip)
+router.post('/transform/docx', upload.single('file'), transformController.handleDocxUpload.bind(transformController));
+
 module.exports = router; 
\ No newline at end of file
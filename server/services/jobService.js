@@ -0,0 +1,271 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, '../workers/transformWorker.js');
+
+// 同时执行转换的工作线程数，可通过环境变量 JOB_WORKERS 指定，默认保留一个 CPU 给主线程
+const MAX_WORKERS = parseInt(process.env.JOB_WORKERS, 10) > 0
+    ? parseInt(process.env.JOB_WORKERS, 10)
+    : Math.max(1, os.cpus().length - 1);
+
+// 排队中的任务上限，超过时拒绝新任务
+const MAX_QUEUED_JOBS = 100;
+
+// 完成的任务保留时间，之后无法再查询结果
+const JOB_TTL = 10 * 60 * 1000;
+
+/**
+ * 异步转换任务服务
+ *
+ * 转换在工作线程中执行，大文档不会阻塞主线程上的其他请求。
+ * 任务类型: transform (单个文档，见 transformContent)、batch (批量文档，见 batchContent)
+ * 任务状态: queued -> running -> done | failed
+ * 每个处理阶段 (transform) 或文件 (batch) 完成后记录进度，并通过 subscribe 通知订阅者 (SSE)。
+ */
+class JobService {
+    constructor() {
+        // 确保单例
+        if (!JobService.instance) {
+            JobService.instance = this;
+            this.jobs = new Map();
+            this.queue = [];
+            this.workers = new Set();
+            this.idleWorkers = [];
+            // 工作线程 -> 正在执行的任务
+            this.runningJobs = new Map();
+            this.events = new EventEmitter();
+            this.events.setMaxListeners(0);
+        }
+        return JobService.instance;
+    }
+
+    /**
+     * 获取服务实例
+     */
+    static getInstance() {
+        if (!JobService.instance) {
+            JobService.instance = new JobService();
+        }
+        return JobService.instance;
+    }
+
+    /**
+     * 创建转换任务并加入队列
+     * @param {string} content - 要转换的内容
+     * @param {Object} [options] - 转换选项，同 transformService.transformContent
+     * @returns {Object|null} - 任务 (见 toJSON)，队列已满时返回 null
+     */
+    createJob(content, options = {}) {
+        return this.addJob('transform', { content, options });
+    }
+
+    /**
+     * 创建批量转换任务并加入队列
+     * @param {Array<{name: string, data: Buffer}>} files - 上传的文件
+     * @param {Object} [options] - 转换选项，同 transformService.batchContent
+     * @returns {Object|null} - 任务 (见 toJSON)，队列已满时返回 null
+     */
+    createBatchJob(files, options = {}) {
+        return this.addJob('batch', { files, options });
+    }
+
+    addJob(type, input) {
+        if (this.queue.length >= MAX_QUEUED_JOBS) {
+            return null;
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            // 已完成的处理阶段 (transform) 或文件 (batch)
+            progress: [],
+            result: null,
+            error: null,
+            input
+        };
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.dispatch();
+        return this.toJSON(job);
+    }
+
+    /**
+     * 查询任务
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {boolean} [options.includeResult=true] - 是否包含转换结果
+     * @returns {Object|null} - 任务 (见 toJSON)，不存在或已过期时返回 null
+     */
+    getJob(id, { includeResult = true } = {}) {
+        const job = this.jobs.get(id);
+        return job ? this.toJSON(job, includeResult) : null;
+    }
+
+    /**
+     * 任务结束后的结果 (含批量转换的 zip)
+     * @param {string} id
+     * @returns {Object|null} - transformContent 或 batchContent 的返回值，任务不存在或未结束时返回 null
+     */
+    getResult(id) {
+        const job = this.jobs.get(id);
+        if (!job || (job.status !== 'done' && job.status !== 'failed')) return null;
+        return job.result || { success: false, error: job.error, steps: [] };
+    }
+
+    /**
+     * 等待任务结束
+     * @param {string} id
+     * @returns {Promise<Object|null>} - 同 getResult，任务不存在时为 null
+     */
+    waitForResult(id) {
+        return new Promise(resolve => {
+            if (!this.jobs.has(id) || this.getResult(id)) {
+                return resolve(this.getResult(id));
+            }
+            const unsubscribe = this.subscribe(id, event => {
+                if (event.type === 'done' || event.type === 'failed') {
+                    unsubscribe();
+                    resolve(this.getResult(id));
+                }
+            });
+        });
+    }
+
+    /**
+     * 订阅任务事件
+     * 事件: {type: 'status', status} | {type: 'stage', stage} | {type: 'file', file} | {type: 'done'} | {type: 'failed', error}
+     * @param {string} id - 任务 id
+     * @param {Function} listener
+     * @returns {Function} - 取消订阅
+     */
+    subscribe(id, listener) {
+        this.events.on(id, listener);
+        return () => this.events.off(id, listener);
+    }
+
+    /**
+     * 任务的公开信息
+     * - transform: stages 为已完成的处理阶段，progress 为最近完成的阶段 {stage, index, total}，
+     *   result 为 transformContent 的返回值
+     * - batch: files 为已完成的文件，progress 为最近完成的文件 {file, index, total}，
+     *   result 为 batchContent 的返回值 (不含 zip)
+     */
+    toJSON(job, includeResult = true) {
+        const isBatch = job.type === 'batch';
+        const last = job.progress[job.progress.length - 1];
+        let progress = null;
+        if (last) {
+            progress = isBatch
+                ? { file: last.file, index: last.index, total: last.total }
+                : { stage: last.stage, index: last.index, total: last.total };
+        }
+        const data = {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            progress
+        };
+        data[isBatch ? 'files' : 'stages'] = job.progress;
+        if (job.error) data.error = job.error;
+        if (includeResult && job.result) {
+            const { zip, ...result } = job.result;
+            data.result = result;
+        }
+        return data;
+    }
+
+    /**
+     * 将排队的任务分配给空闲的工作线程，工作线程不足时创建新的
+     */
+    dispatch() {
+        while (this.queue.length && (this.idleWorkers.length || this.workers.size < MAX_WORKERS)) {
+            const worker = this.idleWorkers.pop() || this.createWorker();
+            const job = this.queue.shift();
+
+            job.status = 'running';
+            job.startedAt = new Date().toISOString();
+            this.runningJobs.set(worker, job);
+            worker.ref();
+            worker.postMessage({ jobId: job.id, type: job.type, ...job.input });
+            // 内容已交给工作线程，不再保留
+            job.input = null;
+            this.events.emit(job.id, { type: 'status', status: job.status });
+        }
+    }
+
+    createWorker() {
+        const worker = new Worker(WORKER_FILE);
+        this.workers.add(worker);
+        worker.on('message', message => this.handleMessage(worker, message));
+        worker.on('error', error => {
+            console.error('转换工作线程错误:', error);
+            this.finishJob(worker, null, `转换工作线程出错: ${error.message}`);
+        });
+        // 工作线程异常退出时，丢弃该线程，由 dispatch 按需重建
+        worker.on('exit', code => {
+            this.workers.delete(worker);
+            this.idleWorkers = this.idleWorkers.filter(idle => idle !== worker);
+            this.finishJob(worker, null, `转换工作线程已退出 (退出码 ${code})`);
+            this.dispatch();
+        });
+        return worker;
+    }
+
+    handleMessage(worker, message) {
+        const job = this.runningJobs.get(worker);
+        if (!job || job.id !== message.jobId) return;
+
+        if (message.type === 'stage') {
+            job.progress.push(message.stage);
+            this.events.emit(job.id, { type: 'stage', stage: message.stage });
+        } else if (message.type === 'file') {
+            job.progress.push(message.file);
+            this.events.emit(job.id, { type: 'file', file: message.file });
+        } else if (message.type === 'result') {
+            const { result } = message;
+            // 结构化克隆后 Buffer 变为 Uint8Array
+            if (result.zip) {
+                result.zip = Buffer.from(result.zip.buffer, result.zip.byteOffset, result.zip.byteLength);
+            }
+            this.finishJob(worker, result, result.success ? null : result.error);
+            // 空闲的工作线程不阻止进程退出
+            worker.unref();
+            this.idleWorkers.push(worker);
+            this.dispatch();
+        }
+    }
+
+    /**
+     * 结束工作线程上正在执行的任务
+     * @param {Worker} worker
+     * @param {Object|null} result - transformContent 或 batchContent 的返回值
+     * @param {string|null} error - 失败原因
+     */
+    finishJob(worker, result, error) {
+        const job = this.runningJobs.get(worker);
+        if (!job) return;
+        this.runningJobs.delete(worker);
+
+        job.status = error ? 'failed' : 'done';
+        job.finishedAt = new Date().toISOString();
+        job.result = result;
+        job.error = error;
+        this.events.emit(job.id, error ? { type: 'failed', error } : { type: 'done' });
+
+        setTimeout(() => this.jobs.delete(job.id), JOB_TTL).unref();
+    }
+}
+
+// 创建并导出单例实例
+const instance = new JobService();
+module.exports = instance;
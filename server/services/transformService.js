@@ -1,6 +1,13 @@
 const fs = require('fs').promises;
 const path = require('path');
-const { cleanHtml, formatHtml, } = require('../utils/htmlUtilsDita');
+const { performance } = require('perf_hooks');
+const JSZip = require('jszip');
+const { cleanHtml, cleanMarkdownHtml, splitHtml, splitMarkdownHtml, formatHtml, } = require('../utils/htmlUtilsDita');
+const { docxToHtml } = require('../utils/docxUtils');
+const { markdownToHtml } = require('../utils/markdownUtils');
+const { extractImages } = require('../utils/imageUtils');
+const { recordSnapshot } = require('../utils/pipeline');
+const { expandBatchFiles, decodeHtmlFile, inlineRelativeImages } = require('../utils/batchUtils');
 
 // 定义基础路径
 const BASE_DIR = path.join(__dirname, '../..');
@@ -16,8 +23,14 @@ class TransformService {
             TransformService.instance = this;
             // 绑定方法到实例
             this.transformContent = this.transformContent.bind(this);
-            // 初始化debug目录
-            this.initializeDebugDir();
+            this.transformDocx = this.transformDocx.bind(this);
+            this.splitContent = this.splitContent.bind(this);
+            this.splitDocx = this.splitDocx.bind(this);
+            this.packageContent = this.packageContent.bind(this);
+            this.packageDocx = this.packageDocx.bind(this);
+            this.batchContent = this.batchContent.bind(this);
+            this.transformBatchDocument = this.transformBatchDocument.bind(this);
+            // debug 目录在生成调试文件时才创建 (见 generateDebugHtml)，命令行等不生成调试文件时不创建
         }
         return TransformService.instance;
     }
@@ -107,37 +120,82 @@ class TransformService {
         return TransformService.instance;
     }
 
+    /**
+     * 解析输入内容并提取图片
+     * Markdown 先解析为 HTML；图片保存为 images/ 下的文件，见 extractImages
+     * @param {string} content - 要转换的内容
+     * @param {string} format - 输入格式
+     * @returns {Promise<{html: string, images: Array<{path: string, data: Buffer}>, warnings: string[]}>}
+     */
+    async prepareContent(content, format) {
+        const html = format === 'markdown' ? markdownToHtml(content) : content;
+        return extractImages(html);
+    }
+
     /**
      * 转换内容
      * @param {string} content - 要转换的内容
-     * @returns {Promise<Object>} 转换结果，包含处理步骤和转换后的内容
+     * @param {Object} [options] - 转换选项
+     * @param {string} [options.format='html'] - 输入格式: 'html' (Word/剪贴板HTML) 或 'markdown'
+     * @param {boolean} [options.fullDocument] - 是否输出完整的 DITA 主题文档
+     * @param {string} [options.topicType] - 主题类型: topic | concept | task | reference
+     * @param {string|boolean} [options.shortdesc] - 短描述文本，true 表示使用第一个段落
+     * @param {boolean} [options.snapshots] - 是否返回每个处理阶段之后的 HTML 和耗时
+     * @param {Function} [options.onStage] - 每个处理阶段完成后调用，用于报告进度 (见 pipeline.runStages)
+     * @param {boolean} [options.debugFile=true] - 是否在 debug 目录生成调试文件
+     * @returns {Promise<Object>} 转换结果，包含处理步骤和转换后的内容；
+     *   images 为图片文件 (path 为相对于主题文件的路径，data 为文件内容)；
+     *   snapshots 为阶段快照 [{stage, changed, duration, html}]，与上一个快照相同时省略 html
      */
-    async transformContent(content) {
+    async transformContent(content, options = {}) {
+        const { format = 'html' } = options;
         const processingSteps = [];
         try {
-            // 1. 清理空标签（使用JSDOM处理标准HTML结构）
-            // 2. 进行HTML清理和DITA转换
-            processingSteps.push('2. HTML内容清理和DITA转换完成');
-            const cleanedContent = cleanHtml(content);
+            const { html, images, warnings } = await this.prepareContent(content, format);
+            if (images.length) {
+                processingSteps.push(`图片提取完成，共 ${images.length} 张`);
+            }
+            warnings.forEach(warning => processingSteps.push(`警告: ${warning}`));
+
+            // 转换阶段的警告 (如找不到对应图表的题注)
+            const stageWarnings = [];
+            const snapshots = options.snapshots ? [] : undefined;
+            const stageOptions = { ...options, warnings: stageWarnings, snapshots };
+            let cleanedContent;
+            if (format === 'markdown') {
+                // Markdown 先解析为 HTML，再执行表格、标题等 DITA 转换
+                cleanedContent = cleanMarkdownHtml(html, stageOptions);
+                processingSteps.push('2. Markdown解析和DITA转换完成');
+            } else {
+                // 1. 清理空标签（使用JSDOM处理标准HTML结构）
+                // 2. 进行HTML清理和DITA转换
+                processingSteps.push('2. HTML内容清理和DITA转换完成');
+                cleanedContent = cleanHtml(html, stageOptions);
+            }
+            stageWarnings.forEach(warning => processingSteps.push(`警告: ${warning}`));
 
             processingSteps.push('1. 空标签清理完成');
             // const noEmptyTagsContent = cleanEmptyTags(cleanedContent);
 
             // 生成调试用的HTML文件
-            const debugFilePath = await this.generateDebugHtml(cleanedContent);
+            const debugFilePath = options.debugFile === false ? null : await this.generateDebugHtml(cleanedContent);
             if (debugFilePath) {
                 processingSteps.push(`调试文件已生成: ${debugFilePath}`);
             }
 
             // 3. 格式化处理后的HTML
+            const formatStart = performance.now();
             const formattedContent = formatHtml(cleanedContent);
+            recordSnapshot(stageOptions, 'formatHtml', formattedContent, formatStart);
             processingSteps.push('3. HTML格式化完成');
 
             return {
                 success: true,
                 steps: processingSteps,
                 html: formattedContent,
-                debugFile: debugFilePath
+                images,
+                debugFile: debugFilePath,
+                snapshots
             };
         } catch (error) {
             console.error('内容处理错误:', error);
@@ -148,6 +206,299 @@ class TransformService {
             };
         }
     }
+
+    /**
+     * 转换 docx 文件
+     * 直接解析 OOXML 生成 HTML，再走与剪贴板内容相同的清理和格式化流程
+     * @param {Buffer} buffer - docx 文件内容
+     * @param {Object} [options] - 转换选项，同 transformContent (format 除外)
+     * @returns {Promise<Object>} 转换结果，格式与 transformContent 相同；文件不是有效的 docx 时 code 为 INVALID_DOCX
+     */
+    async transformDocx(buffer, options = {}) {
+        let html;
+        try {
+            html = await docxToHtml(buffer);
+        } catch (error) {
+            console.error('docx解析错误:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                steps: []
+            };
+        }
+
+        const result = await this.transformContent(html, { ...options, format: 'html' });
+        result.steps.unshift('0. docx文件解析完成');
+        return result;
+    }
+
+    /**
+     * 转换为完整的 DITA 主题文档，与图片一起打包为 zip
+     * zip 结构: <topicId>.dita 和 images/<图片>
+     * @param {string} content - 要转换的内容
+     * @param {Object} [options] - 转换选项，同 transformContent (fullDocument 固定为 true)
+     * @returns {Promise<Object>} 转换结果，zip 为 Buffer，fileName 为建议的下载文件名
+     */
+    async packageContent(content, options = {}) {
+        const result = await this.transformContent(content, { ...options, fullDocument: true });
+        return this.packageResult(result);
+    }
+
+    /**
+     * 打包 docx 文件的转换结果，见 packageContent
+     * @param {Buffer} buffer - docx 文件内容
+     * @param {Object} [options] - 转换选项，同 packageContent (format 除外)
+     * @returns {Promise<Object>} 转换结果，格式与 packageContent 相同
+     */
+    async packageDocx(buffer, options = {}) {
+        const result = await this.transformDocx(buffer, { ...options, fullDocument: true });
+        return this.packageResult(result);
+    }
+
+    /**
+     * 将 transformContent 的结果打包为 zip
+     */
+    async packageResult(result) {
+        if (!result.success) return result;
+
+        try {
+            const rootId = (result.html.match(/<(?:topic|concept|task|reference) id="([^"]+)"/) || [])[1] || 'topic';
+            const topicPath = `${rootId}.dita`;
+
+            const zip = new JSZip();
+            zip.file(topicPath, result.html);
+            result.images.forEach(image => zip.file(image.path, image.data));
+            const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+            result.steps.push('4. zip打包完成');
+
+            return {
+                success: true,
+                steps: result.steps,
+                zip: buffer,
+                fileName: `${rootId}.zip`,
+                files: [topicPath, ...result.images.map(image => image.path)]
+            };
+        } catch (error) {
+            console.error('打包错误:', error);
+            return {
+                success: false,
+                error: error.message,
+                steps: result.steps
+            };
+        }
+    }
+
+    /**
+     * 按标题拆分为 DITA map 和多个主题文件，打包为 zip
+     * zip 结构: <mapId>.ditamap、topics/<topicId>.dita 和 topics/images/<图片>
+     * @param {string} content - 要转换的内容
+     * @param {Object} [options] - 转换选项，同 transformContent (headingMode 固定为 topics)，另外:
+     * @param {number} [options.splitLevel=2] - 拆分的标题级别，1 表示只拆出根主题，2 表示每个 h2 一个文件
+     * @returns {Promise<Object>} 转换结果，zip 为 Buffer，fileName 为建议的下载文件名
+     */
+    async splitContent(content, options = {}) {
+        const { format = 'html' } = options;
+        const processingSteps = [];
+        try {
+            const { html, images, warnings } = await this.prepareContent(content, format);
+            warnings.forEach(warning => processingSteps.push(`警告: ${warning}`));
+
+            const stageWarnings = [];
+            const stageOptions = { ...options, warnings: stageWarnings };
+            const { topics, map } = format === 'markdown'
+                ? splitMarkdownHtml(html, stageOptions)
+                : splitHtml(html, stageOptions);
+            processingSteps.push(`1. 拆分完成，共 ${topics.length} 个主题`);
+            stageWarnings.forEach(warning => processingSteps.push(`警告: ${warning}`));
+
+            // 图片路径相对于主题文件，主题文件都在 topics/ 目录下
+            const topicDir = path.posix.dirname(topics.length ? topics[0].path : '.');
+            const imagePaths = images.map(image => path.posix.join(topicDir, image.path));
+
+            const zip = new JSZip();
+            zip.file(map.path, formatHtml(map.content));
+            topics.forEach(topic => zip.file(topic.path, formatHtml(topic.content)));
+            images.forEach((image, index) => zip.file(imagePaths[index], image.data));
+            const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+            processingSteps.push('2. zip打包完成');
+
+            return {
+                success: true,
+                steps: processingSteps,
+                zip: buffer,
+                fileName: map.path.replace(/\.ditamap$/, '.zip'),
+                files: [map.path, ...topics.map(topic => topic.path), ...imagePaths]
+            };
+        } catch (error) {
+            console.error('拆分处理错误:', error);
+            return {
+                success: false,
+                error: error.message,
+                steps: processingSteps
+            };
+        }
+    }
+
+    /**
+     * 拆分 docx 文件，见 splitContent
+     * @param {Buffer} buffer - docx 文件内容
+     * @param {Object} [options] - 转换选项，同 splitContent (format 除外)
+     * @returns {Promise<Object>} 转换结果，格式与 splitContent 相同；文件不是有效的 docx 时 code 为 INVALID_DOCX
+     */
+    async splitDocx(buffer, options = {}) {
+        let html;
+        try {
+            html = await docxToHtml(buffer);
+        } catch (error) {
+            console.error('docx解析错误:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                steps: []
+            };
+        }
+
+        const result = await this.splitContent(html, { ...options, format: 'html' });
+        result.steps.unshift('0. docx文件解析完成');
+        return result;
+    }
+
+    /**
+     * 转换批量文档 (或命令行输入的文件) 中的一个文档为完整的主题文档
+     * 文档中没有一级标题时，以文件名作为标题
+     * @param {{path: string, type: string, data: Buffer}} document - expandBatchFiles 返回的文档
+     * @param {Map<string, Buffer>} resources - zip 中的其他文件 (路径 -> 内容)，用于相对路径的图片
+     * @param {Object} options - 转换选项
+     * @returns {Promise<Object>} 转换结果，格式与 transformContent 相同
+     */
+    async transformBatchDocument(document, resources, options) {
+        const title = options.title || path.posix.basename(document.path, path.posix.extname(document.path));
+        // 批量转换不生成调试文件: 每个文档都写入并清理 debug 目录，多个工作线程同时执行时会相互干扰
+        const documentOptions = { ...options, title, id: undefined, fullDocument: true, snapshots: false, debugFile: false };
+
+        if (document.type === 'docx') {
+            return this.transformDocx(document.data, documentOptions);
+        }
+        if (document.type === 'markdown') {
+            return this.transformContent(document.data.toString('utf8'), { ...documentOptions, format: 'markdown' });
+        }
+        const html = inlineRelativeImages(decodeHtmlFile(document.data), document.path, resources);
+        return this.transformContent(html, { ...documentOptions, format: 'html' });
+    }
+
+    /**
+     * 批量转换多个文档，打包为 zip
+     *
+     * 支持 .docx、.htm/.html、.md 文件和包含这些文件的 zip (保留目录结构)。
+     * 每个文档通过 transformContent 转换为完整的主题文档，单个文档失败不影响其他文档。
+     * zip 结构:
+     * - <目录>/<文件名>.dita: 与输入文件同名，重名时加序号
+     * - <目录>/images/<图片>: 同一目录的主题共用，图片按内容哈希命名，不会冲突
+     * - manifest.json: 每个输入文件的 status (success | failed)、输出文件、警告、错误和耗时 (毫秒)
+     *
+     * @param {Array<{name: string, data: Buffer}>} files - 上传的文件
+     * @param {Object} [options] - 转换选项，同 transformContent (fullDocument 固定为 true，id 不使用)
+     * @param {Function} [onFile] - 每个文件完成后调用，参数为 {file, index, total, status, duration}，用于报告进度
+     * @returns {Promise<Object>} 转换结果，zip 为 Buffer，manifest 为清单内容，fileName 为建议的下载文件名
+     */
+    async batchContent(files, options = {}, onFile) {
+        const processingSteps = [];
+        try {
+            const { documents, resources, errors } = await expandBatchFiles(files);
+            const total = documents.length + errors.length;
+            if (!total) {
+                return {
+                    success: false,
+                    error: '没有可转换的文件',
+                    steps: processingSteps
+                };
+            }
+            processingSteps.push(`1. 共 ${documents.length} 个文档`);
+
+            const zip = new JSZip();
+            const entries = [];
+            const writtenFiles = new Set();
+            const report = entry => {
+                entries.push(entry);
+                if (onFile) {
+                    onFile({ file: entry.source, index: entries.length, total, status: entry.status, duration: entry.duration });
+                }
+            };
+
+            for (const document of documents) {
+                const startTime = performance.now();
+                const entry = { source: document.path, status: 'success', output: null, warnings: [] };
+                try {
+                    const result = await this.transformBatchDocument(document, resources, options);
+                    entry.warnings = result.steps
+                        .filter(step => step.startsWith('警告: '))
+                        .map(step => step.slice('警告: '.length));
+                    if (!result.success) {
+                        throw new Error(result.error);
+                    }
+
+                    // 输出文件与输入文件同名，如 a.docx 和 a.htm 同时存在时为 a.dita、a_2.dita
+                    const dir = path.posix.dirname(document.path);
+                    const base = path.posix.basename(document.path, path.posix.extname(document.path));
+                    let output = path.posix.join(dir, `${base}.dita`);
+                    for (let n = 2; writtenFiles.has(output); n++) {
+                        output = path.posix.join(dir, `${base}_${n}.dita`);
+                    }
+                    zip.file(output, result.html);
+                    writtenFiles.add(output);
+                    result.images.forEach(image => {
+                        const imagePath = path.posix.join(dir, image.path);
+                        if (!writtenFiles.has(imagePath)) {
+                            zip.file(imagePath, image.data);
+                            writtenFiles.add(imagePath);
+                        }
+                    });
+                    entry.output = output;
+                } catch (error) {
+                    console.error(`批量转换错误 (${document.path}):`, error);
+                    entry.status = 'failed';
+                    entry.error = error.message;
+                }
+                entry.duration = Math.round(performance.now() - startTime);
+                report(entry);
+            }
+            errors.forEach(({ path: source, error }) => {
+                report({ source, status: 'failed', output: null, warnings: [], error, duration: 0 });
+            });
+
+            const failed = entries.filter(entry => entry.status === 'failed').length;
+            const manifest = {
+                createdAt: new Date().toISOString(),
+                total,
+                succeeded: total - failed,
+                failed,
+                files: entries
+            };
+            zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+            processingSteps.push(`2. 转换完成，成功 ${manifest.succeeded} 个，失败 ${failed} 个`);
+
+            const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+            processingSteps.push('3. zip打包完成');
+
+            return {
+                success: true,
+                steps: processingSteps,
+                zip: buffer,
+                fileName: 'dita-batch.zip',
+                files: ['manifest.json', ...writtenFiles],
+                manifest
+            };
+        } catch (error) {
+            console.error('批量转换错误:', error);
+            return {
+                success: false,
+                error: error.message,
+                steps: processingSteps
+            };
+        }
+    }
 }
 
 // 创建并导出单例实例
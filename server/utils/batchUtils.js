@@ -0,0 +1,150 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { MIME_EXTENSIONS } = require('./imageUtils');
+
+// 批量转换支持的文档类型: 扩展名 -> 类型
+const DOCUMENT_TYPES = {
+    '.docx': 'docx',
+    '.htm': 'html',
+    '.html': 'html',
+    '.md': 'markdown',
+    '.markdown': 'markdown'
+};
+
+// 扩展名 -> MIME 类型，用于将 zip 中的图片转换为 data URI
+const IMAGE_MIME_TYPES = Object.fromEntries(
+    Object.entries(MIME_EXTENSIONS).map(([mime, extension]) => [`.${extension}`, mime])
+);
+IMAGE_MIME_TYPES['.jpeg'] = 'image/jpeg';
+IMAGE_MIME_TYPES['.tiff'] = 'image/tiff';
+
+/**
+ * 获取文档类型
+ * @param {string} filePath
+ * @returns {string|null} - docx | html | markdown，不支持时返回 null
+ */
+function getDocumentType(filePath) {
+    return DOCUMENT_TYPES[path.posix.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * 是否为需要忽略的文件: macOS 的 __MACOSX 目录和隐藏文件、Word 的临时文件 (~$ 开头)
+ */
+function isIgnoredEntry(filePath) {
+    return filePath.split('/').some(part => part === '__MACOSX' || part.startsWith('.') || part.startsWith('~$'));
+}
+
+/**
+ * 展开批量上传的文件
+ *
+ * zip 文件展开为其中的文档，保留目录结构；zip 中的其他文件 (如 Word 另存为网页时
+ * 生成的 xxx.files 目录中的图片) 作为资源，供 HTML 文档中的相对路径图片使用。
+ * 直接上传的不支持类型的文件记录为错误，zip 中的则忽略。
+ *
+ * @param {Array<{name: string, data: Buffer}>} files - 上传的文件
+ * @returns {Promise<{documents: Array<{path: string, type: string, data: Buffer}>,
+ *   resources: Map<string, Buffer>, errors: Array<{path: string, error: string}>}>}
+ */
+async function expandBatchFiles(files) {
+    const documents = [];
+    const resources = new Map();
+    const errors = [];
+
+    for (const file of files) {
+        const name = file.name.replace(/\\/g, '/');
+        if (path.posix.extname(name).toLowerCase() !== '.zip') {
+            const type = getDocumentType(name);
+            if (type) {
+                documents.push({ path: name, type, data: file.data });
+            } else {
+                errors.push({ path: name, error: '不支持的文件类型，仅支持 .docx、.htm、.html、.md 和 .zip' });
+            }
+            continue;
+        }
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(file.data);
+        } catch (error) {
+            errors.push({ path: name, error: `无效的 zip 文件: ${error.message}` });
+            continue;
+        }
+
+        const entries = Object.values(zip.files)
+            .filter(entry => !entry.dir && !isIgnoredEntry(entry.name))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const data = await entry.async('nodebuffer');
+            const type = getDocumentType(entry.name);
+            if (type) {
+                documents.push({ path: entry.name, type, data });
+            } else {
+                resources.set(entry.name, data);
+            }
+        }
+    }
+
+    return { documents, resources, errors };
+}
+
+/**
+ * 解码 HTML 文件
+ * Word 另存为网页的文件常用本地编码 (如 gb2312)，按 BOM 或 <meta charset> 解码，默认 UTF-8
+ * @param {Buffer} data
+ * @returns {string}
+ */
+function decodeHtmlFile(data) {
+    let charset = 'utf-8';
+    if (data[0] === 0xff && data[1] === 0xfe) {
+        charset = 'utf-16le';
+    } else if (data[0] === 0xfe && data[1] === 0xff) {
+        charset = 'utf-16be';
+    } else if (!(data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf)) {
+        const head = data.subarray(0, 4096).toString('latin1');
+        charset = (head.match(/<meta\b[^>]*charset=["']?([\w-]+)/i) || [])[1] || charset;
+    }
+
+    try {
+        return new TextDecoder(charset).decode(data);
+    } catch (error) {
+        // 不支持的编码
+        return new TextDecoder('utf-8').decode(data);
+    }
+}
+
+/**
+ * 将 HTML 中指向 zip 内文件的相对路径图片转换为 data URI，供 extractImages 保存
+ * @param {string} html
+ * @param {string} documentPath - HTML 文件在 zip 中的路径
+ * @param {Map<string, Buffer>} resources - expandBatchFiles 返回的资源文件
+ * @returns {string}
+ */
+function inlineRelativeImages(html, documentPath, resources) {
+    if (!resources.size) return html;
+
+    const baseDir = path.posix.dirname(documentPath);
+    return html.replace(/(<img\b[^>]*?\ssrc\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi, (match, prefix, ...values) => {
+        const src = values.slice(0, 3).find(value => value !== undefined);
+        if (!src || /^[a-z][a-z\d+.-]*:/i.test(src) || src.startsWith('/')) return match;
+
+        let resourcePath;
+        try {
+            resourcePath = path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(src.replace(/[?#].*$/, ''))));
+        } catch (error) {
+            return match;
+        }
+        const data = resources.get(resourcePath);
+        const mime = IMAGE_MIME_TYPES[path.posix.extname(resourcePath).toLowerCase()];
+        if (!data || !mime) return match;
+
+        return `${prefix}"data:${mime};base64,${data.toString('base64')}"`;
+    });
+}
+
+module.exports = {
+    getDocumentType,
+    isIgnoredEntry,
+    expandBatchFiles,
+    decodeHtmlFile,
+    inlineRelativeImages,
+};
@@ -0,0 +1,152 @@
+const { stripLeadingText } = require('./leadPhraseUtils');
+
+/**
+ * 题注编号前缀，如 "图 3 "、"表 2-1："、"Figure 1. "、"Table 4:"
+ * 第 1 组为标签，第 2 组为编号
+ */
+const CAPTION_PREFIX_REGEX = /^(图|表|figure|fig\.?|table|tab\.?)\s*(\d+(?:[-.–—－]\d+)*)(?:\s*[:：.．、\-–—]\s*|\s+|(?=[^\d\s]))/i;
+
+/**
+ * Word 剪贴板 HTML 中的 SEQ 域代码 (位于 <!--[if supportFields]> 条件注释或 mso-field-code 样式中)
+ * 第 1 组为序列名，如 Figure、Table、图、表
+ */
+const SEQ_FIELD_REGEX = /(?:supportFields\]>|mso-field-code\s*:)[\s\S]*?\bSEQ\s+([^\s\\"'<&]+)/i;
+
+// 只凭编号前缀识别的题注最大长度，更长的段落视为正文
+const MAX_PREFIX_CAPTION_LENGTH = 80;
+
+/**
+ * 根据标签或 SEQ 序列名判断题注类型
+ * @returns {'fig'|'table'|null}
+ */
+function getCaptionType(label) {
+    if (!label || label === '图表') return null;
+    if (/^(图|fig)/i.test(label)) return 'fig';
+    if (/^(表|tab)/i.test(label)) return 'table';
+    return null;
+}
+
+/**
+ * 标记题注段落
+ *
+ * 在 basicTextCleanup 之前执行 (此时 MsoCaption class 和 SEQ 域代码所在的条件注释尚未被清理):
+ * 使用题注样式 (MsoCaption) 或包含 SEQ 域的段落替换为 <dita-caption> 占位，
+ * 由 convertCaptions 移入对应的图或表。SEQ 序列名能判断类型时记录在 type 属性中。
+ *
+ * @param {string} html - 要处理的HTML
+ * @returns {string} - 处理后的HTML
+ */
+function markCaptions(html) {
+    if (!html || !/MsoCaption|\bSEQ\b/.test(html)) return html;
+
+    return html.replace(/<p\b([^>]*)>([\s\S]*?)<\/p>/gi, (match, attributes, content) => {
+        const isCaptionStyle = /class=["']?MsoCaption\b/i.test(attributes);
+        const seq = content.match(SEQ_FIELD_REGEX);
+        if (!isCaptionStyle && !seq) return match;
+
+        const type = seq ? getCaptionType(seq[1]) : null;
+        return `<dita-caption${type ? ` type="${type}"` : ''}>${content}</dita-caption>`;
+    });
+}
+
+/**
+ * 将题注转换为图和表的标题
+ *
+ * 在 processTables、convertImages 之后执行，题注来源:
+ * 1. markCaptions 标记的 <dita-caption> (Word 题注样式或 SEQ 域)，以及 HTML 表格的 <caption>
+ * 2. 以 "图 N"、"表 N-N"、"Figure N"、"Table N" 开头的短段落
+ *
+ * 题注移入相邻的 <fig> 或 <dita-table> 作为 <dita-title>，并移除编号前缀
+ * (DITA 在发布时自动编号)。按常见排版习惯，图题优先匹配前一个图，表题优先匹配后一个表；
+ * 无法判断类型的题注依次尝试前一个图、后一个表、后一个图、前一个表。
+ * 图中已有的标题 (来自图片的替代文本) 会被题注替换。
+ *
+ * 找不到对应图表的题注保留为普通段落，并记录到 options.warnings。
+ *
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ * @param {Object} [options]
+ * @param {string[]} [options.warnings] - 收集警告信息
+ */
+function convertCaptions(document, options = {}) {
+    if (!document.body.querySelector('dita-caption') && !/(图|表|fig|tab)[a-z.]*\s*\d/i.test(document.body.textContent)) return;
+
+    const used = new Set();
+
+    function getText(element) {
+        return element.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // 只凭编号前缀识别的段落: 较短且不以句末标点结尾，避免 "表 1 列出了……。" 这类正文被误判
+    function isPrefixCaption(paragraph) {
+        if (paragraph.closest('dita-entry, note, li')) return false;
+        const text = getText(paragraph);
+        return CAPTION_PREFIX_REGEX.test(text) &&
+            text.length <= MAX_PREFIX_CAPTION_LENGTH &&
+            !/[。！？；!?;]$/.test(text);
+    }
+
+    function findTarget(caption, type) {
+        const isTarget = (element, tagName) => element &&
+            element.tagName.toLowerCase() === tagName &&
+            !used.has(element);
+        const previous = caption.previousElementSibling;
+        const next = caption.nextElementSibling;
+        const candidates = {
+            fig: [[previous, 'fig'], [next, 'fig']],
+            table: [[next, 'dita-table'], [previous, 'dita-table']],
+        }[type] || [[previous, 'fig'], [next, 'dita-table'], [next, 'fig'], [previous, 'dita-table']];
+
+        const found = candidates.find(([element, tagName]) => isTarget(element, tagName));
+        return found ? found[0] : null;
+    }
+
+    const captions = Array.from(document.querySelectorAll('dita-caption, p')).filter(element =>
+        element.tagName.toLowerCase() === 'dita-caption' || isPrefixCaption(element)
+    );
+
+    captions.forEach(caption => {
+        const text = getText(caption);
+        // 在原始文本上匹配，使前缀长度与 stripLeadingText 计算的字符数一致
+        const prefix = caption.textContent.replace(/^\s+/, '').match(CAPTION_PREFIX_REGEX);
+        const type = caption.getAttribute('type') || (prefix ? getCaptionType(prefix[1]) : null);
+        const target = findTarget(caption, type);
+
+        if (!target) {
+            if (text) {
+                (options.warnings || []).push(`题注没有对应的图或表: ${text}`);
+            }
+            if (caption.tagName.toLowerCase() === 'dita-caption') {
+                const paragraph = document.createElement('p');
+                while (caption.firstChild) {
+                    paragraph.appendChild(caption.firstChild);
+                }
+                caption.replaceWith(paragraph);
+            }
+            return;
+        }
+
+        // 移除编号前缀，只有编号时保留原文
+        const prefixLength = prefix ? prefix[0].replace(/\s+$/, '').length : 0;
+        if (prefixLength && prefixLength < caption.textContent.trim().length) {
+            stripLeadingText(caption, prefixLength);
+        }
+
+        const title = document.createElement('dita-title');
+        while (caption.firstChild) {
+            title.appendChild(caption.firstChild);
+        }
+        const existingTitle = Array.from(target.children).find(child => child.tagName.toLowerCase() === 'dita-title');
+        if (existingTitle) {
+            existingTitle.replaceWith(title);
+        } else {
+            target.insertBefore(title, target.firstChild);
+        }
+        caption.remove();
+        used.add(target);
+    });
+}
+
+module.exports = {
+    markCaptions,
+    convertCaptions,
+};
@@ -0,0 +1,333 @@
+/**
+ * 等宽字体名称
+ * Consolas、Courier New 等常见代码字体，以及名称中带 "等宽"/"Mono" 的字体
+ */
+const MONOSPACE_FONT_REGEX = /consolas|courier|monaco|menlo|lucida console|lucida sans typewriter|source code|fira code|jetbrains mono|cascadia|inconsolata|monospace|\bmono\b|等宽/i;
+
+/**
+ * 表示代码的段落 class，与单个 class 整体匹配
+ * Word 的 HTML Preformatted / Plain Text 样式 (MsoPlainText)，以及以 Code/代码 开头的自定义样式 (Code、CodeBlock)；
+ * MsoBarcode、Postcode 等只是包含 "code" 的 class 不算
+ */
+const CODE_CLASS_REGEX = /^(?:Mso)?(?:HtmlPreformatted|PlainText|Code\w*|代码.*)$/i;
+
+// markCodeStyles 添加的标记，convertCodeBlocks 使用后移除
+// 属性名中不能含有 "style="、"class="，否则会被之后 cleanSelectiveStyles 等正则阶段当作样式或 class 处理
+// 字体: mono (等宽字体) 或 text (其他字体)，没有字体声明时不标记
+const CODE_FONT_ATTRIBUTE = 'data-code-font';
+// 代码样式的段落 (CODE_CLASS_REGEX)
+const CODE_STYLE_ATTRIBUTE = 'data-code-paragraph';
+
+/**
+ * 判断 font-family 的值是否为等宽字体
+ * 只看第一个字体，避免 "Calibri, monospace" 这类回退列表被误判
+ * @param {string} fontFamily - 如 "'Courier New', monospace"
+ * @returns {boolean}
+ */
+function isMonospaceFont(fontFamily) {
+    if (!fontFamily) return false;
+    const first = fontFamily.split(',')[0].replace(/["']/g, '').trim();
+    return MONOSPACE_FONT_REGEX.test(first);
+}
+
+/**
+ * 读取标签的属性
+ * @param {string} attributes - 标签名之后的属性部分，如 " class=MsoNormal style='font-family:Consolas'"
+ * @returns {Map<string, string>} - 小写的属性名 -> 值
+ */
+function parseAttributes(attributes) {
+    const result = new Map();
+    for (const match of attributes.matchAll(/([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+        result.set(match[1].toLowerCase(), match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return result;
+}
+
+/**
+ * 读取 style 属性中的 font-family (不含 mso-bidi-font-family 等 Word 私有声明) 或 font 标签的 face
+ * @param {string} tagName
+ * @param {Map<string, string>} attributes - parseAttributes 的结果
+ * @returns {string|null}
+ */
+function getFontFamily(tagName, attributes) {
+    const match = (attributes.get('style') || '').match(/(?:^|;)\s*font-family\s*:\s*([^;]+)/i);
+    if (match) return match[1];
+    // <font face="Courier New">
+    return tagName.toLowerCase() === 'font' ? attributes.get('face') || null : null;
+}
+
+/**
+ * 从 <style> 块中收集使用等宽字体的 class
+ * Word 的段落样式 (如 p.MsoPlainText {font-family:Consolas}) 定义在样式表中，而不是行内样式
+ * @param {string} html
+ * @returns {Set<string>}
+ */
+function collectMonospaceClasses(html) {
+    const classes = new Set();
+    const styleBlocks = html.match(/<style[^>]*>[\s\S]*?<\/style>/gi) || [];
+
+    for (const block of styleBlocks) {
+        const rules = block.replace(/<!--|-->/g, '').match(/[^{}]+\{[^}]*\}/g) || [];
+        for (const rule of rules) {
+            const [selector, body] = rule.split('{');
+            const fontMatch = body.match(/(?:^|;|\s)font-family\s*:\s*([^;}]+)/i);
+            if (!fontMatch || !isMonospaceFont(fontMatch[1])) continue;
+            (selector.match(/\.([\w-]+)/g) || []).forEach(name => classes.add(name.slice(1)));
+        }
+    }
+
+    return classes;
+}
+
+/**
+ * 记录样式表中使用等宽字体的 class (options.monospaceClasses)，供 convertCodeBlocks 使用
+ * Word 的样式表整个包在 <!-- --> 中，会被 basicTextCleanup 连同注释一起移除，因此在其之前执行
+ * @param {string} html
+ * @param {Object} [options] - 处理选项，结果记录在其中
+ * @returns {string} - 原样返回
+ */
+function collectCodeStyles(html, options = {}) {
+    if (html) {
+        options.monospaceClasses = collectMonospaceClasses(html);
+    }
+    return html;
+}
+
+/**
+ * 保护 <pre> 中的换行和缩进
+ * 在 basicTextCleanup 合并空白之前执行: 换行转换为 <br>，空格和制表符转换为 &nbsp;，
+ * 之后由 convertCodeBlocks 还原为 codeblock 中的真实换行和空格
+ * @param {string} html
+ * @returns {string}
+ */
+function protectPreformattedText(html) {
+    if (!html || !/<pre\b/i.test(html)) return html;
+
+    return html.replace(/(<pre\b[^>]*>)([\s\S]*?)(<\/pre>)/gi, (match, open, content, close) => {
+        // 只处理标签之间的文本
+        const protectedContent = content
+            .replace(/^\r?\n/, '')
+            .split(/(<[^>]+>)/)
+            .map(part => part.startsWith('<')
+                ? part
+                : part
+                    .replace(/\r?\n/g, '<br>')
+                    .replace(/\t/g, '    ')
+                    .replace(/ /g, '&nbsp;'))
+            .join('');
+        return open + protectedContent + close;
+    });
+}
+
+/**
+ * 读取代码段落的文本，<br> 转换为换行
+ */
+function collectCodeText(element) {
+    let text = '';
+    for (const node of element.childNodes) {
+        if (node.nodeType === 3) {
+            text += node.textContent;
+        } else if (node.nodeType === 1) {
+            text += node.tagName.toLowerCase() === 'br' ? '\n' : collectCodeText(node);
+        }
+    }
+    return text;
+}
+
+/**
+ * 获取一行代码
+ * 段落首尾的普通空白来自 HTML 源码的换行缩进，不属于代码，直接去掉；
+ * 缩进由 &nbsp; 表示，转换为普通空格保留
+ */
+function getCodeLine(element) {
+    return collectCodeText(element)
+        .replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, '')
+        .replace(/\u00a0/g, ' ')
+        .replace(/\s+$/, '');
+}
+
+/**
+ * 用正则检查 HTML 中是否使用了等宽字体或代码样式，没有时 markCodeStyles 不必逐个标签处理
+ * Word 的 HTML 中几乎每个元素都有 font-family，因此只看字体值是否为等宽字体
+ * @param {string} html
+ * @param {Set<string>} monospaceClasses - 等宽字体的 class
+ * @returns {boolean}
+ */
+function hasCodeStyle(html, monospaceClasses) {
+    // style 中的 font-family (不含 mso-bidi-font-family 等) 和 <font face>
+    const fontRegex = /(?:^|[^\w-])font-family\s*:\s*([^;>]+)|<font\b[^>]*?\sface\s*=\s*["']?([^"'>]+)/gi;
+    for (const match of html.matchAll(fontRegex)) {
+        if (isMonospaceFont(match[1] || match[2])) return true;
+    }
+
+    const classRegex = /\sclass\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+    for (const match of html.matchAll(classRegex)) {
+        const names = (match[1] || match[2] || match[3]).split(/\s+/);
+        if (names.some(name => monospaceClasses.has(name) || CODE_CLASS_REGEX.test(name))) return true;
+    }
+    return false;
+}
+
+/**
+ * 标记使用等宽字体和代码样式的元素
+ *
+ * 在 basicTextCleanup 之后、removeUnwantedTags 和 cleanSelectiveStyles 清理 class 和 font-family 之前执行，
+ * 字体和样式记录在 data-code-font、data-code-paragraph 属性上，供之后的 convertCodeBlocks (DOM 阶段) 使用。
+ * 没有等宽字体和代码样式时原样返回。
+ *
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {Set<string>} [options.monospaceClasses] - collectCodeStyles 记录的等宽字体 class
+ * @returns {string}
+ */
+function markCodeStyles(html, options = {}) {
+    if (!html) return '';
+
+    const monospaceClasses = new Set([...(options.monospaceClasses || []), ...collectMonospaceClasses(html)]);
+    if (!hasCodeStyle(html, monospaceClasses)) return html;
+
+    const tagRegex = /<([a-z][\w:-]*)((?:\s+[^\s=\/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)(\s*\/?)>/gi;
+    return html.replace(tagRegex, (tag, tagName, attributes, end) => {
+        const parsed = parseAttributes(attributes);
+        const classNames = (parsed.get('class') || '').split(/\s+/).filter(Boolean);
+        const fontFamily = getFontFamily(tagName, parsed);
+        const markers = [];
+
+        // 字体优先于 class: 等宽字体 class 的段落中单独设置了其他字体的文字不是代码
+        if (fontFamily) {
+            markers.push(`${CODE_FONT_ATTRIBUTE}="${isMonospaceFont(fontFamily) ? 'mono' : 'text'}"`);
+        } else if (classNames.some(name => monospaceClasses.has(name))) {
+            markers.push(`${CODE_FONT_ATTRIBUTE}="mono"`);
+        }
+        if (classNames.some(name => CODE_CLASS_REGEX.test(name))) {
+            markers.push(`${CODE_STYLE_ATTRIBUTE}="true"`);
+        }
+        return markers.length ? `<${tagName} ${markers.join(' ')}${attributes}${end}>` : tag;
+    });
+}
+
+/**
+ * 识别代码块和行内代码
+ *
+ * 在 markCodeStyles 之后的第一个 DOM 阶段执行，此时文档只解析一次:
+ * 1. <pre>、代码样式的段落、所有文字都是等宽字体的段落视为代码行
+ * 2. 连续的代码行合并为一个 <codeblock>，段落之间为换行，段落内的 &nbsp; 保留为缩进
+ * 3. 普通段落中使用等宽字体的文字转换为 <codeph>
+ * 最后移除 markCodeStyles 添加的标记。
+ *
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ */
+function convertCodeBlocks(document) {
+    // 只查询一次 (JSDOM 中属性选择器需要遍历整个文档)，之后的判断都基于这些元素
+    const elements = Array.from(document.body.querySelectorAll(
+        `pre, code, tt, kbd, samp, [${CODE_FONT_ATTRIBUTE}], [${CODE_STYLE_ATTRIBUTE}]`));
+    if (!elements.length) return;
+
+    const isMonospaceMarked = element => element.getAttribute(CODE_FONT_ATTRIBUTE) === 'mono';
+
+    // 可能是代码行的元素 (按文档顺序): <pre>、代码样式的段落、包含等宽字体的段落，其余段落不必逐个检查文字
+    const candidates = new Set();
+    elements.forEach(element => {
+        const tagName = element.tagName.toLowerCase();
+        if (tagName === 'pre' || (tagName === 'p' && element.hasAttribute(CODE_STYLE_ATTRIBUTE))) {
+            candidates.add(element);
+        } else if (isMonospaceMarked(element)) {
+            const paragraph = element.closest('p');
+            if (paragraph) candidates.add(paragraph);
+        }
+    });
+
+    // 元素自身或到 boundary 为止的祖先使用等宽字体 (最近的字体声明为准)
+    function isMonospaceElement(element, boundary) {
+        for (let current = element; current; current = current.parentElement) {
+            const font = current.getAttribute(CODE_FONT_ATTRIBUTE);
+            if (font) return font === 'mono';
+            if (current === boundary) break;
+        }
+        return false;
+    }
+
+    function isCodeParagraph(element) {
+        if (!candidates.has(element)) return false;
+        const tagName = element.tagName.toLowerCase();
+        if (tagName === 'pre') return true;
+        if (element.hasAttribute(CODE_STYLE_ATTRIBUTE)) return true;
+
+        // 所有非空白文字都使用等宽字体
+        const walker = document.createTreeWalker(element, document.defaultView.NodeFilter.SHOW_TEXT);
+        let hasText = false;
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (!node.textContent.trim()) continue;
+            hasText = true;
+            if (!isMonospaceElement(node.parentElement, element)) return false;
+        }
+        return hasText || isMonospaceElement(element, element);
+    }
+
+    function isBlankParagraph(element) {
+        return element.tagName.toLowerCase() === 'p' &&
+            !element.textContent.trim() &&
+            !element.querySelector('img');
+    }
+
+    // 1. 连续的代码段落合并为 codeblock
+    const visited = new Set();
+    candidates.forEach(start => {
+        if (visited.has(start) || !start.parentNode || isBlankParagraph(start) || !isCodeParagraph(start)) return;
+
+        // 收集连续的代码段落，中间的空段落作为空行；<pre> 本身就是完整的代码块，不与段落合并
+        const lines = [start];
+        let pendingBlanks = [];
+        const isPre = element => element.tagName.toLowerCase() === 'pre';
+        for (let next = start.nextElementSibling; next && !isPre(start); next = next.nextElementSibling) {
+            if (isPre(next)) {
+                break;
+            } else if (isBlankParagraph(next)) {
+                pendingBlanks.push(next);
+            } else if (isCodeParagraph(next)) {
+                lines.push(...pendingBlanks, next);
+                pendingBlanks = [];
+            } else {
+                break;
+            }
+        }
+
+        const codeblock = document.createElement('codeblock');
+        codeblock.textContent = lines.map(getCodeLine).join('\n');
+        start.parentNode.insertBefore(codeblock, start);
+        lines.forEach(line => {
+            visited.add(line);
+            line.remove();
+        });
+    });
+
+    // 2. 普通文字中的等宽字体和 code/kbd 等标签 -> codeph
+    elements.forEach(element => {
+        const tagName = element.tagName.toLowerCase();
+        const isCodeTag = ['code', 'tt', 'kbd', 'samp'].includes(tagName);
+        if (!isCodeTag && !(['span', 'font'].includes(tagName) && isMonospaceMarked(element))) return;
+        if (!element.isConnected || element.closest('codeblock, codeph')) return;
+        if (!element.textContent.trim()) return;
+
+        const codeph = document.createElement('codeph');
+        while (element.firstChild) {
+            codeph.appendChild(element.firstChild);
+        }
+        element.replaceWith(codeph);
+    });
+
+    elements.forEach(element => {
+        element.removeAttribute(CODE_FONT_ATTRIBUTE);
+        element.removeAttribute(CODE_STYLE_ATTRIBUTE);
+    });
+}
+
+module.exports = {
+    MONOSPACE_FONT_REGEX,
+    isMonospaceFont,
+    collectCodeStyles,
+    protectPreformattedText,
+    markCodeStyles,
+    convertCodeBlocks,
+};
@@ -0,0 +1,217 @@
+/**
+ * 定义列表识别的默认阈值
+ * - minEntries: 连续的 "术语：说明" 段落或两列表格的数据行至少有几条才转换，
+ *   避免单独一个以加粗文字开头的段落被误判
+ * - maxTermLength: 术语的最大字符数，超过时视为普通的加粗句子
+ */
+const DEFAULT_DEFINITION_LIST_THRESHOLDS = {
+    minEntries: 2,
+    maxTermLength: 40
+};
+
+// 术语和说明之间的分隔符
+const TERM_SEPARATOR_REGEX = /^\s*[:：]\s*/;
+
+/**
+ * 识别定义列表 (需要通过 options.definitionLists 开启)
+ *
+ * 在 convertNotes 之后、processTables 之前执行:
+ * 1. 连续的 "<b>术语</b>：说明" 段落 -> <dl>，冒号可以在加粗文字内或其后
+ * 2. 两列表格，第一列都是短文本 -> <dl>，表头行 (th、thead 或第一行全部加粗) 转换为 <dlhead>
+ *
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ * @param {Object} [options]
+ * @param {boolean} [options.definitionLists] - 是否识别定义列表，默认关闭
+ * @param {number} [options.definitionListMinEntries=2] - 最少条目数
+ * @param {number} [options.definitionListMaxTermLength=40] - 术语最大长度
+ */
+function convertDefinitionLists(document, options = {}) {
+    if (!options.definitionLists) return;
+
+    const minEntries = options.definitionListMinEntries || DEFAULT_DEFINITION_LIST_THRESHOLDS.minEntries;
+    const maxTermLength = options.definitionListMaxTermLength || DEFAULT_DEFINITION_LIST_THRESHOLDS.maxTermLength;
+
+    function isBold(node) {
+        return node.nodeType === 1 && ['b', 'strong'].includes(node.tagName.toLowerCase());
+    }
+
+    function isValidTerm(text) {
+        return text.length > 0 && text.length <= maxTermLength;
+    }
+
+    /**
+     * 解析 "术语：说明" 段落
+     * @returns {{boldNodes: Element[], rest: Node[]}|null} - 术语所在的加粗元素和其后的说明
+     */
+    function parseTermParagraph(paragraph) {
+        const nodes = Array.from(paragraph.childNodes);
+        let index = 0;
+        const boldNodes = [];
+        // 开头连续的加粗元素 (Word 中一个术语可能被拆成多个 <b>)
+        while (index < nodes.length && (isBold(nodes[index]) || (nodes[index].nodeType === 3 && !nodes[index].textContent.trim()))) {
+            if (isBold(nodes[index])) boldNodes.push(nodes[index]);
+            index++;
+        }
+        if (!boldNodes.length) return null;
+
+        const termText = boldNodes.map(node => node.textContent).join('').trim();
+        const rest = nodes.slice(index);
+        const restText = rest.map(node => node.textContent).join('');
+        const colonInBold = /[:：]\s*$/.test(termText);
+        if (!colonInBold && !TERM_SEPARATOR_REGEX.test(restText)) return null;
+        if (!restText.replace(TERM_SEPARATOR_REGEX, '').trim()) return null;
+
+        const term = termText.replace(/\s*[:：]\s*$/, '');
+        if (!isValidTerm(term)) return null;
+
+        return { boldNodes, rest };
+    }
+
+    function createEntry(termNodes, descriptionNodes) {
+        const entry = document.createElement('dlentry');
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        termNodes.forEach(node => dt.appendChild(node));
+        descriptionNodes.forEach(node => dd.appendChild(node));
+        entry.appendChild(dt);
+        entry.appendChild(dd);
+        return entry;
+    }
+
+    // 去掉术语末尾或说明开头的冒号和空白
+    function trimText(element, atEnd) {
+        const walker = document.createTreeWalker(element, document.defaultView.NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+        if (atEnd) textNodes.reverse();
+        for (const node of textNodes) {
+            node.textContent = atEnd
+                ? node.textContent.replace(/\s*[:：]?\s*$/, '')
+                : node.textContent.replace(/^\s*[:：]?\s*/, '');
+            if (node.textContent) break;
+        }
+    }
+
+    function paragraphToEntry(paragraph, parsed) {
+        const termNodes = [];
+        parsed.boldNodes.forEach(bold => {
+            while (bold.firstChild) {
+                termNodes.push(bold.firstChild);
+                bold.removeChild(bold.firstChild);
+            }
+        });
+        const entry = createEntry(termNodes, parsed.rest);
+        trimText(entry.querySelector('dt'), true);
+        trimText(entry.querySelector('dd'), false);
+        return entry;
+    }
+
+    // 1. 连续的 "术语：说明" 段落
+    const visited = new Set();
+    document.querySelectorAll('p').forEach(start => {
+        if (visited.has(start) || !start.isConnected || start.closest('li, dita-entry, td, th, note')) return;
+        if (!parseTermParagraph(start)) return;
+
+        const run = [start];
+        for (let next = start.nextElementSibling; next && next.tagName.toLowerCase() === 'p'; next = next.nextElementSibling) {
+            if (!parseTermParagraph(next)) break;
+            run.push(next);
+        }
+        run.forEach(paragraph => visited.add(paragraph));
+        if (run.length < minEntries) return;
+
+        const dl = document.createElement('dl');
+        start.parentNode.insertBefore(dl, start);
+        run.forEach(paragraph => {
+            dl.appendChild(paragraphToEntry(paragraph, parseTermParagraph(paragraph)));
+            paragraph.remove();
+        });
+    });
+
+    // 2. 两列表格
+    // 单元格内只有一个段落时取其内容，避免 <dt><p>...</p></dt>
+    function cellContent(cell) {
+        const children = Array.from(cell.children);
+        const source = children.length === 1 && children[0].tagName.toLowerCase() === 'p' &&
+            !Array.from(cell.childNodes).some(node => node.nodeType === 3 && node.textContent.trim())
+            ? children[0]
+            : cell;
+        return Array.from(source.childNodes);
+    }
+
+    function isTermCell(cell) {
+        const blocks = cell.querySelectorAll('p, ul, ol, table, img');
+        const singleParagraph = blocks.length === 0 ||
+            (blocks.length === 1 && blocks[0].tagName.toLowerCase() === 'p');
+        return singleParagraph && isValidTerm(cell.textContent.replace(/\s+/g, ' ').trim());
+    }
+
+    // 每个单元格都有文字，且文字全部在 <b>/<strong> 内
+    function isBoldRow(row) {
+        return Array.from(row.children).every(cell => {
+            const walker = document.createTreeWalker(cell, document.defaultView.NodeFilter.SHOW_TEXT);
+            let hasText = false;
+            while (walker.nextNode()) {
+                const node = walker.currentNode;
+                if (!node.textContent.trim()) continue;
+                const bold = node.parentNode.closest('b, strong');
+                if (!bold || !cell.contains(bold)) return false;
+                hasText = true;
+            }
+            return hasText;
+        });
+    }
+
+    // 表头单元格的内容，去掉加粗 (dthd/ddhd 本身就是表头样式)
+    function headContent(cell) {
+        cell.querySelectorAll('b, strong').forEach(bold => bold.replaceWith(...bold.childNodes));
+        return cellContent(cell);
+    }
+
+    Array.from(document.querySelectorAll('table')).reverse().forEach(table => {
+        if (table.querySelector('table')) return;
+        const rows = Array.from(table.querySelectorAll('tr'));
+        const isTwoColumns = rows.length && rows.every(row => {
+            const cells = Array.from(row.children).filter(cell => /^t[dh]$/i.test(cell.tagName));
+            return cells.length === 2 &&
+                cells.every(cell => (cell.getAttribute('colspan') || '1') === '1' && (cell.getAttribute('rowspan') || '1') === '1');
+        });
+        if (!isTwoColumns) return;
+
+        const isHeadRow = row => row.closest('thead') ||
+            Array.from(row.children).every(cell => cell.tagName.toLowerCase() === 'th');
+        // 只有第一行可以是表头；Word 表格的表头通常是加粗的 td
+        const headRows = rows.filter(isHeadRow);
+        if (!headRows.length && isBoldRow(rows[0])) headRows.push(rows[0]);
+        if (headRows.length > 1 || (headRows.length && headRows[0] !== rows[0])) return;
+        const bodyRows = rows.filter(row => !headRows.includes(row));
+
+        if (bodyRows.length < minEntries) return;
+        if (!bodyRows.every(row => isTermCell(row.children[0]) && row.children[1].textContent.trim())) return;
+
+        const dl = document.createElement('dl');
+        if (headRows.length) {
+            const [termHead, descriptionHead] = Array.from(headRows[0].children);
+            const dlhead = document.createElement('dlhead');
+            const dthd = document.createElement('dthd');
+            const ddhd = document.createElement('ddhd');
+            headContent(termHead).forEach(node => dthd.appendChild(node));
+            headContent(descriptionHead).forEach(node => ddhd.appendChild(node));
+            dlhead.appendChild(dthd);
+            dlhead.appendChild(ddhd);
+            dl.appendChild(dlhead);
+        }
+        bodyRows.forEach(row => {
+            const [term, description] = Array.from(row.children);
+            dl.appendChild(createEntry(cellContent(term), cellContent(description)));
+        });
+        table.replaceWith(dl);
+    });
+}
+
+module.exports = {
+    DEFAULT_DEFINITION_LIST_THRESHOLDS,
+    convertDefinitionLists,
+};
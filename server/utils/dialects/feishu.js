@@ -0,0 +1,98 @@
+const { JSDOM } = require('jsdom');
+const { classifyListTypeName, renestLists } = require('./listUtils');
+
+/**
+ * 飞书 / Lark 文档剪贴板适配器
+ *
+ * 飞书复制出的 HTML 特点:
+ * - 正文包裹在 data-lark-html-role="root" 的 div 中，直接转换会变成包住列表的 <p>
+ * - 附带隐藏的 data-lark-record-data 节点，存放文档的 JSON 数据
+ * - 列表项层级写在 aria-level 或 list-bullet2 / list-number3 这类 class 上，
+ *   类型写在 data-list 属性或 class 上
+ * - 加粗使用数值字重 (font-weight:700)，由 cleanSelectiveStyles 统一识别
+ */
+
+const LIST_CLASS_REGEX = /(?:^|\s)list-(bullet|number|ordered|check)(\d+)(?:\s|$)/i;
+
+/**
+ * 检测是否为飞书 / Lark 复制的内容
+ * 只根据标签上的属性和 class 判断，不检查文档地址 (见 wecom.detect)
+ * @param {string} html
+ * @returns {boolean}
+ */
+function detect(html) {
+    return /<[^>]+\s(?:data-lark-html-role|data-lark-record|lark-record-data)\b|<[^>]+\sclass=["']?[^"'>]*\bace-line\b/i.test(html);
+}
+
+/**
+ * 获取 li 的层级 (aria-level 或 list-xxxN class)
+ * @returns {number|null}
+ */
+function getLevel(li) {
+    const ariaLevel = li.getAttribute('aria-level');
+    if (ariaLevel !== null && /^\d+$/.test(ariaLevel)) return parseInt(ariaLevel, 10);
+
+    const classMatch = (li.getAttribute('class') || '').match(LIST_CLASS_REGEX);
+    return classMatch ? parseInt(classMatch[2], 10) : null;
+}
+
+/**
+ * 获取 li 的列表类型 (data-list 属性或 list-xxxN class)
+ * @returns {string|null}
+ */
+function getType(li) {
+    const dataType = classifyListTypeName(li.getAttribute('data-list'));
+    if (dataType) return dataType;
+
+    const classMatch = (li.getAttribute('class') || '').match(LIST_CLASS_REGEX);
+    if (!classMatch) return null;
+    // check 为任务列表，按无序列表处理
+    return /^(number|ordered)$/i.test(classMatch[1]) ? 'ol' : 'ul';
+}
+
+/**
+ * 规范化飞书内容
+ * @param {string} html
+ * @returns {string}
+ */
+function normalize(html) {
+    if (!html) return '';
+
+    try {
+        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
+        const document = dom.window.document;
+
+        // 1. 移除隐藏的文档数据节点
+        document.querySelectorAll('[data-lark-record-data], [data-lark-record-format]').forEach(node => node.remove());
+
+        // 2. 展开根容器，避免 convertDivToP 把整篇内容变成一个 <p>
+        document.querySelectorAll('[data-lark-html-role="root"]').forEach(root => {
+            while (root.firstChild) {
+                root.parentNode.insertBefore(root.firstChild, root);
+            }
+            root.remove();
+        });
+
+        // 3. 展开列表项内部的段落容器
+        document.querySelectorAll('li > p, li > div').forEach(block => {
+            while (block.firstChild) {
+                block.parentNode.insertBefore(block.firstChild, block);
+            }
+            block.remove();
+        });
+
+        // 4. 按层级信息重新嵌套列表
+        renestLists(document, { getLevel, getType });
+
+        return document.body.innerHTML;
+    } catch (error) {
+        console.error('飞书内容转换错误:', error);
+        return html;
+    }
+}
+
+module.exports = {
+    name: 'feishu',
+    detect,
+    normalize,
+};
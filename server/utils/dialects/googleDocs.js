@@ -0,0 +1,90 @@
+const { JSDOM } = require('jsdom');
+const { classifyListTypeName, renestLists } = require('./listUtils');
+
+/**
+ * Google Docs 剪贴板适配器
+ *
+ * Google Docs 复制出的 HTML 特点:
+ * - 整段内容包裹在 <b style="font-weight:normal" id="docs-internal-guid-..."> 中，
+ *   直接处理会导致全文加粗
+ * - 列表项为 <li aria-level="N">，类型写在 list-style-type 样式中，
+ *   内容再包裹一层 <p role="presentation">
+ * - 加粗使用数值字重 (font-weight:700)，由 cleanSelectiveStyles 统一识别
+ */
+
+/**
+ * 检测是否为 Google Docs 复制的内容
+ * @param {string} html
+ * @returns {boolean}
+ */
+function detect(html) {
+    return /id="docs-internal-guid-/i.test(html);
+}
+
+/**
+ * 获取 li 的层级 (aria-level)
+ * @returns {number|null}
+ */
+function getLevel(li) {
+    const level = li.getAttribute('aria-level');
+    return level !== null && /^\d+$/.test(level) ? parseInt(level, 10) : null;
+}
+
+/**
+ * 根据 li 的 list-style-type 样式获取列表类型
+ * @returns {string|null}
+ */
+function getType(li) {
+    const match = (li.getAttribute('style') || '').match(/list-style-type:\s*([\w-]+)/i);
+    return match ? classifyListTypeName(match[1]) : null;
+}
+
+/**
+ * 规范化 Google Docs 内容
+ * @param {string} html
+ * @returns {string}
+ */
+function normalize(html) {
+    if (!html) return '';
+
+    try {
+        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
+        const document = dom.window.document;
+
+        // 1. 展开 docs-internal-guid 包裹元素 (font-weight:normal 的 <b>)
+        document.querySelectorAll('[id^="docs-internal-guid-"]').forEach(wrapper => {
+            while (wrapper.firstChild) {
+                wrapper.parentNode.insertBefore(wrapper.firstChild, wrapper);
+            }
+            wrapper.remove();
+        });
+
+        // 2. 展开列表项内部的 <p role="presentation">
+        document.querySelectorAll('li > p').forEach(p => {
+            while (p.firstChild) {
+                p.parentNode.insertBefore(p.firstChild, p);
+            }
+            p.remove();
+        });
+
+        // 3. 按 aria-level 重新嵌套列表
+        renestLists(document, { getLevel, getType });
+
+        // 4. 移除 Google Docs 给每个块加上的 dir="ltr"、role 属性
+        document.querySelectorAll('[dir], [role]').forEach(element => {
+            element.removeAttribute('dir');
+            element.removeAttribute('role');
+        });
+
+        return document.body.innerHTML;
+    } catch (error) {
+        console.error('Google Docs 内容转换错误:', error);
+        return html;
+    }
+}
+
+module.exports = {
+    name: 'google-docs',
+    detect,
+    normalize,
+};
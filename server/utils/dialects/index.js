@@ -0,0 +1,47 @@
+const wecom = require('./wecom');
+const googleDocs = require('./googleDocs');
+const feishu = require('./feishu');
+
+/**
+ * 剪贴板方言适配器
+ *
+ * 不同编辑器复制出的 HTML 结构差异很大，而 cleanHtml 的后续阶段主要面向 Word。
+ * 每个适配器提供:
+ * - name: 来源名称
+ * - detect(html): 判断内容是否来自该编辑器
+ * - normalize(html): 将其特有结构转换为后续阶段可处理的标准 HTML
+ *
+ * 适配器按顺序检测，只应用第一个匹配的适配器。
+ */
+const adapters = [
+    wecom,
+    googleDocs,
+    feishu,
+];
+
+/**
+ * 检测内容来源
+ * @param {string} html
+ * @returns {string} - 适配器名称，未匹配时返回 'word'
+ */
+function detectSource(html) {
+    const adapter = adapters.find(item => item.detect(html));
+    return adapter ? adapter.name : 'word';
+}
+
+/**
+ * 应用匹配的方言适配器
+ * @param {string} html
+ * @returns {string} - 规范化后的HTML
+ */
+function normalizeDialect(html) {
+    if (!html) return '';
+
+    const adapter = adapters.find(item => item.detect(html));
+    return adapter ? adapter.normalize(html) : html;
+}
+
+module.exports = {
+    detectSource,
+    normalizeDialect,
+};
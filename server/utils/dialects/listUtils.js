@@ -0,0 +1,158 @@
+/**
+ * 各剪贴板方言适配器共用的列表工具
+ */
+
+/**
+ * 行首列表标记 (用于从文本中识别并剥离标记)
+ * 数字 1. 1) 1、 / 字母 a. a) / 罗马数字 i. / 中文数字 一、 / 项目符号
+ */
+const LIST_MARKER_REGEX = /^\s*([0-9]+[.)、]|[a-zA-Z][.)]|[ivxlcdmIVXLCDM]+[.)]|[〇一-九壱-拾]+[.、]|[•·§●○◦▪■‣⁃–-])\s*/;
+
+/**
+ * 根据列表标记文本判断列表类型
+ * @param {string} marker - 列表标记，如 "1."、"a)"、"•"
+ * @returns {string|null} - 'ol'、'ul'，无法识别时返回 null
+ */
+function classifyListMarker(marker) {
+    if (!marker) return null;
+    marker = marker.trim();
+
+    // 字母列表（a. b. c. 或 A. B. C.）
+    if (/^[a-zA-Z][\.\)]/.test(marker)) return 'ol';
+
+    // 数字列表（1. 2. 3.）
+    if (/^[0-9]+[\.\)、]/.test(marker)) return 'ol';
+
+    // 罗马数字列表（i. ii. iii. 或 I. II. III.）
+    if (/^[ivxlcdmIVXLCDM]+[\.\)]/.test(marker)) return 'ol';
+
+    // 中文数字列表（一、 二、）
+    if (/^[〇一-九壱-拾]+[\.、]/.test(marker)) return 'ol';
+
+    // 项目符号列表（•, ·, §, ○ 等）
+    if (/^[•·§●○◦▪■‣⁃–-]/.test(marker)) return 'ul';
+
+    return null;
+}
+
+/**
+ * 根据列表类型描述文本判断列表类型
+ * 用于 data-list-type、list-style-type 等属性值
+ * @param {string} value - 如 "bullet"、"ordered"、"decimal"
+ * @returns {string|null} - 'ol'、'ul'，无法识别时返回 null
+ */
+function classifyListTypeName(value) {
+    if (!value) return null;
+    if (/bullet|unordered|disc|circle|square|check/i.test(value)) return 'ul';
+    if (/order|decimal|number|alpha|roman|latin|digit|cjk/i.test(value)) return 'ol';
+    return null;
+}
+
+/**
+ * 将原始层级值 (缩进像素、从 0 或 1 开始的级别等) 按大小排序映射为 1, 2, 3...
+ * @param {number[]} values - 原始层级值
+ * @returns {number[]} - 与输入一一对应的层级
+ */
+function rankLevels(values) {
+    const sorted = Array.from(new Set(values)).sort((a, b) => a - b);
+    return values.map(value => sorted.indexOf(value) + 1);
+}
+
+/**
+ * 将扁平的列表项构建为嵌套的 ul/ol
+ *
+ * 与 convertMsoListToNestedLists 的 bufferToList 规则一致:
+ * - 层级加深时在上一个 li 中创建子列表
+ * - 层级变浅时回到对应的父列表
+ * - 同级列表类型改变时开始新的列表
+ *
+ * @param {Document} document - 用于创建元素的文档
+ * @param {Array<{level: number, listType: string, nodes: Node[]}>} items - 列表项
+ * @returns {DocumentFragment} - 包含一个或多个根列表的片段
+ */
+function buildNestedList(document, items) {
+    const fragment = document.createDocumentFragment();
+    // 每一层: { list, level }
+    const stack = [];
+
+    for (const item of items) {
+        const li = document.createElement('li');
+        for (const node of item.nodes) {
+            li.appendChild(node);
+        }
+
+        while (stack.length && stack[stack.length - 1].level > item.level) {
+            stack.pop();
+        }
+
+        let top = stack[stack.length - 1];
+        if (top && top.level === item.level && top.list.tagName.toLowerCase() !== item.listType) {
+            // 同级列表类型改变: 在同一父节点下开始新列表
+            const newList = document.createElement(item.listType);
+            top.list.parentNode.appendChild(newList);
+            stack[stack.length - 1] = { list: newList, level: item.level };
+            top = stack[stack.length - 1];
+        } else if (!top || top.level < item.level) {
+            const newList = document.createElement(item.listType);
+            const parentItem = top ? top.list.lastElementChild : null;
+            if (parentItem) {
+                parentItem.appendChild(newList);
+            } else {
+                fragment.appendChild(newList);
+            }
+            stack.push({ list: newList, level: item.level });
+            top = stack[stack.length - 1];
+        }
+
+        top.list.appendChild(li);
+    }
+
+    return fragment;
+}
+
+/**
+ * 按 li 自带的层级信息重新嵌套列表
+ *
+ * Google Docs、飞书等在线编辑器复制出的列表，嵌套关系体现在 li 的属性
+ * (aria-level、list-bullet2 等 class) 上，ul/ol 的实际嵌套方式不统一
+ * (子列表可能在 li 中，也可能直接是 ul 的子元素)。
+ * 这里把每个顶层列表内的所有 li 按文档顺序展开，再用 buildNestedList 重建。
+ *
+ * @param {Document} document
+ * @param {Object} options
+ * @param {function(Element): (number|null)} options.getLevel - 获取 li 的原始层级，无层级信息返回 null
+ * @param {function(Element): (string|null)} [options.getType] - 获取 li 的列表类型，默认使用父列表标签
+ */
+function renestLists(document, { getLevel, getType = () => null }) {
+    const rootLists = Array.from(document.body.querySelectorAll('ul, ol'))
+        .filter(list => !list.parentElement.closest('ul, ol'));
+
+    for (const rootList of rootLists) {
+        const listItems = Array.from(rootList.querySelectorAll('li'));
+        if (!listItems.some(li => getLevel(li) !== null)) continue;
+
+        const rawLevels = listItems.map(li => getLevel(li) || 0);
+        const levels = rankLevels(rawLevels);
+        const items = listItems.map((li, index) => {
+            const parentTag = li.parentElement.tagName.toLowerCase();
+            return {
+                level: levels[index],
+                listType: getType(li) || (parentTag === 'ol' ? 'ol' : 'ul'),
+                // 子列表会被单独展开，这里只保留 li 自身的内容
+                nodes: Array.from(li.childNodes).filter(node =>
+                    !(node.nodeType === 1 && ['ul', 'ol'].includes(node.tagName.toLowerCase())))
+            };
+        });
+
+        rootList.replaceWith(buildNestedList(document, items));
+    }
+}
+
+module.exports = {
+    LIST_MARKER_REGEX,
+    classifyListMarker,
+    classifyListTypeName,
+    rankLevels,
+    buildNestedList,
+    renestLists,
+};
@@ -0,0 +1,225 @@
+const { JSDOM } = require('jsdom');
+const {
+    LIST_MARKER_REGEX,
+    classifyListMarker,
+    classifyListTypeName,
+    rankLevels,
+    buildNestedList,
+} = require('./listUtils');
+
+/**
+ * 企业微信 (WeCom) 在线文档剪贴板适配器
+ *
+ * 企业微信文档复制出的 HTML 没有 mso-list 样式，列表信息分散在:
+ * - tdoc-data-src 容器 (包裹整段复制内容)
+ * - data-* 属性 (data-list-type、data-list-level、data-indent 等)
+ * - 缩进 class (indent-N、list-indent-N)
+ * - 行首的独立标记 span ("1."、"•")
+ * - 扁平的 ul/ol，层级只体现在 li 的属性上
+ *
+ * 本适配器将以上结构统一转换为嵌套的 ul/ol，之后的 Word 处理阶段会原样保留。
+ */
+
+const LEVEL_ATTRIBUTES = ['data-list-level', 'data-level', 'data-indent', 'data-list-indent'];
+const TYPE_ATTRIBUTES = ['data-list-type', 'data-list', 'data-type'];
+const INDENT_CLASS_REGEX = /(?:^|\s)(?:ql-)?(?:list-)?indent-(\d+)(?:\s|$)/;
+
+/**
+ * 检测是否为企业微信在线文档复制的内容
+ * 只根据标签上的属性和 class 判断，不检查文档地址: Word 内容中可能只是包含指向企业微信文档的链接
+ * @param {string} html
+ * @returns {boolean}
+ */
+function detect(html) {
+    return /<[^>]+\s(?:data-)?tdoc-data-src\b|<[^>]+\sdata-tdoc\b|<[^>]+\sclass=["']?[^"'>]*\btdoc-/i.test(html);
+}
+
+/**
+ * 获取元素的原始层级值 (未排序)
+ * 优先级: data 属性 > 缩进 class > margin-left/padding-left 样式
+ * @returns {number|null}
+ */
+function getRawLevel(element) {
+    for (const name of LEVEL_ATTRIBUTES) {
+        const value = element.getAttribute(name);
+        if (value !== null && /^\d+$/.test(value.trim())) {
+            return parseInt(value, 10);
+        }
+    }
+
+    const classMatch = (element.getAttribute('class') || '').match(INDENT_CLASS_REGEX);
+    if (classMatch) return parseInt(classMatch[1], 10);
+
+    const style = element.getAttribute('style') || '';
+    const indentMatch = style.match(/(?:margin|padding)-left:\s*([0-9.]+)(px|pt|em)?/i);
+    if (indentMatch) {
+        const value = parseFloat(indentMatch[1]);
+        const unit = (indentMatch[2] || 'px').toLowerCase();
+        // 统一换算为像素，em 按 16px 计算
+        if (unit === 'pt') return value * 1.3333;
+        if (unit === 'em') return value * 16;
+        return value;
+    }
+
+    return null;
+}
+
+/**
+ * 根据 data 属性获取列表类型
+ * @returns {string|null}
+ */
+function getTypeFromAttributes(element) {
+    for (const name of TYPE_ATTRIBUTES) {
+        const type = classifyListTypeName(element.getAttribute(name));
+        if (type) return type;
+    }
+    return null;
+}
+
+/**
+ * 查找段落开头独立的列表标记元素
+ * 只接受内容完全是标记的首个子元素，避免把 "1. 概述" 这类正文误判为列表
+ * @returns {Element|null}
+ */
+function findMarkerElement(element) {
+    let first = element.firstChild;
+    while (first && first.nodeType === 3 && !first.textContent.trim()) {
+        first = first.nextSibling;
+    }
+    if (!first || first.nodeType !== 1 || first.tagName.toLowerCase() !== 'span') return null;
+
+    const text = first.textContent;
+    const match = text.match(LIST_MARKER_REGEX);
+    if (match && match[0].length === text.length) return first;
+    return null;
+}
+
+/**
+ * 将 p/div 段落识别为列表项
+ * 必须带有列表类型属性、含 list 的 class 或独立标记之一；
+ * Word 的 MsoListParagraph 等 class 不算，Word 列表由 mso-list 样式处理
+ * @returns {{rawLevel: number, listType: string, nodes: Node[]}|null}
+ */
+function paragraphToItem(element) {
+    const tagName = element.tagName.toLowerCase();
+    if (tagName !== 'p' && tagName !== 'div') return null;
+
+    const attrType = getTypeFromAttributes(element);
+    const markerElement = findMarkerElement(element);
+    const hasListClass = (element.getAttribute('class') || '').split(/\s+/)
+        .some(name => /list/i.test(name) && !/^mso/i.test(name));
+
+    if (!attrType && !markerElement && !hasListClass) return null;
+
+    const markerType = markerElement ? classifyListMarker(markerElement.textContent) : null;
+    if (markerElement) markerElement.remove();
+
+    return {
+        rawLevel: getRawLevel(element) || 0,
+        listType: attrType || markerType || 'ul',
+        nodes: Array.from(element.childNodes)
+    };
+}
+
+/**
+ * 将扁平 ul/ol 中的 li 展开为列表项
+ * 仅当 li 上带有层级信息时才需要重新嵌套
+ * @returns {Array|null}
+ */
+function flatListToItems(list) {
+    const items = Array.from(list.children).filter(child => child.tagName.toLowerCase() === 'li');
+    if (!items.length) return null;
+    if (!items.some(li => getRawLevel(li) !== null)) return null;
+
+    const listType = list.tagName.toLowerCase();
+    return items.map(li => {
+        const markerElement = findMarkerElement(li);
+        if (markerElement) markerElement.remove();
+        return {
+            rawLevel: getRawLevel(li) || 0,
+            listType: getTypeFromAttributes(li) || listType,
+            nodes: Array.from(li.childNodes)
+        };
+    });
+}
+
+/**
+ * 将企业微信列表结构规范化为嵌套的 ul/ol
+ * @param {string} html
+ * @returns {string}
+ */
+function normalize(html) {
+    if (!html) return '';
+
+    try {
+        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
+        const document = dom.window.document;
+        const body = document.body;
+
+        // tdoc-data-src 容器包裹了复制的正文，展开它而不是整体删除
+        const containers = Array.from(document.querySelectorAll('[tdoc-data-src], [data-tdoc-data-src]')).reverse();
+        containers.forEach(container => {
+            while (container.firstChild) {
+                container.parentNode.insertBefore(container.firstChild, container);
+            }
+            container.remove();
+        });
+
+        // 逐个容器处理，列表项可能位于 body 或表格单元格中
+        const scopes = [body, ...document.querySelectorAll('td, th')];
+        scopes.forEach(scope => {
+            let buffer = [];
+
+            function flush(beforeNode) {
+                if (!buffer.length) return;
+                const levels = rankLevels(buffer.map(item => item.rawLevel));
+                const fragment = buildNestedList(document, buffer.map((item, index) => ({
+                    level: levels[index],
+                    listType: item.listType,
+                    nodes: item.nodes
+                })));
+                buffer.forEach(item => item.source.parentNode && item.source.remove());
+                scope.insertBefore(fragment, beforeNode);
+                buffer = [];
+            }
+
+            let node = scope.firstChild;
+            while (node) {
+                const nextNode = node.nextSibling;
+
+                if (node.nodeType === 3 && !node.textContent.trim()) {
+                    // 忽略列表项之间的空白文本节点
+                } else if (node.nodeType === 1) {
+                    const tagName = node.tagName.toLowerCase();
+                    const items = tagName === 'ul' || tagName === 'ol'
+                        ? flatListToItems(node)
+                        : paragraphToItem(node);
+
+                    if (Array.isArray(items)) {
+                        items.forEach(item => buffer.push({ ...item, source: node }));
+                    } else if (items) {
+                        buffer.push({ ...items, source: node });
+                    } else {
+                        flush(node);
+                    }
+                } else {
+                    flush(node);
+                }
+
+                node = nextNode;
+            }
+            flush(null);
+        });
+
+        return body.innerHTML;
+    } catch (error) {
+        console.error('企业微信列表转换错误:', error);
+        return html;
+    }
+}
+
+module.exports = {
+    name: 'wecom',
+    detect,
+    normalize,
+};
@@ -0,0 +1,124 @@
+const { JSDOM } = require('jsdom');
+const { wrapDitaTopic, generateId, DEFAULT_TITLE } = require('./ditaTopic');
+
+const MAP_DOCTYPE = '<!DOCTYPE map PUBLIC "-//OASIS//DTD DITA Map//EN" "map.dtd">';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+// 拆分出的主题文件所在目录 (相对于 ditamap)
+const TOPIC_DIR = 'topics';
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function childTopics(element) {
+    return Array.from(element.children).filter(child => child.tagName.toLowerCase() === 'dita-topic');
+}
+
+function getTitleElement(element) {
+    return Array.from(element.children).find(child => child.tagName.toLowerCase() === 'dita-title') || null;
+}
+
+/**
+ * 将 topics 模式的主题树拆分为多个主题文件和一个 ditamap
+ *
+ * 在 restoreDitaTags 之前执行，输入为 buildHeadingHierarchy (headingMode: 'topics') 的输出。
+ * - 嵌套深度不超过 splitLevel 的主题各自成为一个文件 (根主题深度为 1，h2 为 2，依此类推)
+ * - 更深的主题作为嵌套子主题保留在所属文件中
+ * - ditamap 中 topicref 的嵌套关系与标题层级一致
+ * - 没有标题且没有正文的根主题不生成文件，其子主题直接作为 map 的顶层 topicref
+ * - 指向其他文件中主题的 xref ("#主题id/元素id") 改写为 "文件名#主题id/元素id"
+ *
+ * @param {string} html - 处理中的HTML (dita-* 标签尚未还原)
+ * @param {Object} options - 同 wrapDitaTopic，另外:
+ * @param {number} [options.splitLevel=2] - 拆分的标题级别 (1-6)
+ * @returns {{topics: Array<{id: string, path: string, content: string}>, map: {path: string, content: string}}}
+ */
+function splitDitaTopics(html, options = {}) {
+    const splitLevel = Math.min(Math.max(parseInt(options.splitLevel, 10) || 2, 1), 6);
+    const topicType = options.topicType || 'topic';
+
+    const dom = new JSDOM(`<!DOCTYPE html><html><body>${html || ''}</body></html>`);
+    const document = dom.window.document;
+    const root = document.body.querySelector('dita-topic');
+    if (!root) {
+        throw new Error('拆分需要标题层级 (headingMode: topics) 的转换结果');
+    }
+
+    const topics = [];
+    // 主题 id (含保留在文件中的嵌套子主题) -> 所在文件
+    const topicFiles = new Map();
+
+    /**
+     * 生成一个主题文件 (先父后子，即文档顺序)，返回对应的 topicref 标记
+     */
+    function processTopic(element, depth, isRoot) {
+        // 拆出不超过拆分级别的子主题，其余保留在当前文件
+        const splitChildren = depth + 1 <= splitLevel ? childTopics(element) : [];
+        splitChildren.forEach(child => child.remove());
+
+        const titleElement = getTitleElement(element);
+        const topicBody = Array.from(element.children).find(child => child.tagName.toLowerCase() === 'dita-body');
+        const isEmptyRoot = isRoot && !titleElement && !topicBody && !childTopics(element).length;
+
+        if (isEmptyRoot) {
+            return splitChildren.map(child => processTopic(child, depth + 1, false)).join('');
+        }
+
+        const titleHtml = titleElement ? titleElement.innerHTML : (options.title ? escapeXml(options.title) : DEFAULT_TITLE);
+        const id = element.getAttribute('id') || generateId(titleHtml, topicType);
+        const path = `${TOPIC_DIR}/${id}.dita`;
+        topicFiles.set(id, path);
+        element.querySelectorAll('dita-topic[id]').forEach(child => topicFiles.set(child.getAttribute('id'), path));
+
+        topics.push({
+            id,
+            path,
+            content: wrapDitaTopic(element.outerHTML, {
+                ...options,
+                id,
+                // 短描述只用于根主题
+                shortdesc: isRoot ? options.shortdesc : undefined
+            })
+        });
+
+        const childRefs = splitChildren.map(child => processTopic(child, depth + 1, false)).join('');
+        const navtitle = escapeXml((titleElement ? titleElement.textContent : titleHtml).trim());
+        return childRefs
+            ? `<topicref href="${path}" navtitle="${navtitle}" type="${topicType}">${childRefs}</topicref>`
+            : `<topicref href="${path}" navtitle="${navtitle}" type="${topicType}"/>`;
+    }
+
+    const rootTitleElement = getTitleElement(root);
+    const mapTitle = rootTitleElement ? rootTitleElement.innerHTML : (options.title ? escapeXml(options.title) : DEFAULT_TITLE);
+    const mapId = options.id || root.getAttribute('id') || generateId(mapTitle, 'map');
+
+    const refs = processTopic(root, 1, true);
+
+    // 主题文件都在同一目录下，跨文件引用只需加上文件名
+    topics.forEach(topic => {
+        topic.content = topic.content.replace(/(<xref\b[^>]*\shref=")#([^"/]+)((?:\/[^"]*)?")/g, (match, start, topicId, rest) => {
+            const file = topicFiles.get(topicId);
+            return file && file !== topic.path
+                ? `${start}${file.slice(TOPIC_DIR.length + 1)}#${topicId}${rest}`
+                : match;
+        });
+    });
+
+    return {
+        topics,
+        map: {
+            path: `${mapId}.ditamap`,
+            content: XML_DECLARATION + MAP_DOCTYPE +
+                `<map id="${escapeXml(mapId)}"><title>${mapTitle}</title>${refs}</map>`
+        }
+    };
+}
+
+module.exports = {
+    splitDitaTopics,
+};
@@ -0,0 +1,199 @@
+const { mergeLeadPhrases, matchLeadPhrase, stripLeadPhrase } = require('./leadPhraseUtils');
+
+/**
+ * 任务主题各部分的默认引导词
+ * 段落以引导词加冒号开头 (或只有引导词) 时，该段落及其后的内容归入对应部分，直到遇到下一个引导词
+ */
+const DEFAULT_TASK_LEAD_PHRASES = {
+    prereq: ['前提条件', '前提', '准备工作', '开始之前', 'Prerequisites', 'Prerequisite', 'Before you begin'],
+    context: ['背景信息', '背景', '关于此任务', 'Context', 'About this task'],
+    result: ['结果', '操作结果', 'Result', 'Results'],
+    postreq: ['后续步骤', '后续操作', 'What to do next', 'Next steps']
+};
+
+// taskbody 中各部分的顺序
+const SECTION_ORDER = ['prereq', 'context', 'steps', 'result', 'postreq'];
+
+// 步骤中视为块级内容的标签
+const BLOCK_TAGS = new Set([
+    'p', 'ul', 'ol', 'dl', 'table', 'dita-table', 'simpletable', 'codeblock', 'pre', 'lq', 'note', 'fig', 'lines', 'div'
+]);
+
+// 句末标点: 中文句号/叹号/问号，或英文标点后跟空白
+const SENTENCE_END_REGEX = /[。！？]|[.!?](?=\s)/;
+
+function isBlock(node) {
+    return node.nodeType === 1 && BLOCK_TAGS.has(node.tagName.toLowerCase());
+}
+
+/**
+ * 将列表项的开头内容拆分为 cmd 和剩余部分
+ * cmd 取第一句话；只在顶层文本节点中查找句末标点，不拆分内联元素
+ * @param {Node[]} nodes - 列表项开头的内联节点
+ * @returns {{cmdNodes: Node[], restNodes: Node[]}}
+ */
+function splitFirstSentence(document, nodes) {
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        if (node.nodeType !== 3) continue;
+
+        const match = node.textContent.match(SENTENCE_END_REGEX);
+        if (!match) continue;
+
+        const splitAt = match.index + match[0].length;
+        const head = node.textContent.slice(0, splitAt);
+        const tail = node.textContent.slice(splitAt);
+        const cmdNodes = nodes.slice(0, i).concat(document.createTextNode(head));
+        const restNodes = (tail.trim() ? [document.createTextNode(tail.replace(/^\s+/, ''))] : [])
+            .concat(nodes.slice(i + 1));
+
+        // 剩余部分只有空白时不生成 info
+        const hasRest = restNodes.some(rest => rest.nodeType === 1 || rest.textContent.trim());
+        return { cmdNodes, restNodes: hasRest ? restNodes : [] };
+    }
+    return { cmdNodes: nodes, restNodes: [] };
+}
+
+/**
+ * 将列表项转换为 step 或 substep
+ * - 第一句话 -> cmd
+ * - 第一句之后的文字、额外段落和其他块级内容 -> info
+ * - 嵌套列表 -> substeps (仅 step 支持，substep 中的嵌套列表保留在 info 中)
+ */
+function convertListItem(document, li, tagName) {
+    const step = document.createElement(tagName);
+    const children = Array.from(li.childNodes);
+
+    // 开头的内联内容；如果列表项以段落开头，使用该段落的内容
+    let leadNodes = [];
+    let index = 0;
+    while (index < children.length && !isBlock(children[index])) {
+        leadNodes.push(children[index]);
+        index++;
+    }
+    const hasLeadText = leadNodes.some(node => node.nodeType === 1 || node.textContent.trim());
+    if (!hasLeadText && index < children.length && children[index].tagName.toLowerCase() === 'p') {
+        leadNodes = Array.from(children[index].childNodes);
+        index++;
+    }
+
+    const { cmdNodes, restNodes } = splitFirstSentence(document, leadNodes);
+    const cmd = document.createElement('cmd');
+    cmdNodes.forEach(node => cmd.appendChild(node));
+    step.appendChild(cmd);
+
+    let info = null;
+    function appendInfo(node) {
+        if (!info) {
+            info = document.createElement('info');
+            step.appendChild(info);
+        }
+        info.appendChild(node);
+    }
+
+    if (restNodes.length) {
+        const p = document.createElement('p');
+        restNodes.forEach(node => p.appendChild(node));
+        appendInfo(p);
+    }
+
+    for (const child of children.slice(index)) {
+        const childTag = child.nodeType === 1 ? child.tagName.toLowerCase() : '';
+        if ((childTag === 'ol' || childTag === 'ul') && tagName === 'step') {
+            const substeps = document.createElement('substeps');
+            Array.from(child.children)
+                .filter(item => item.tagName.toLowerCase() === 'li')
+                .forEach(item => substeps.appendChild(convertListItem(document, item, 'substep')));
+            step.appendChild(substeps);
+            info = null;
+        } else if (child.nodeType === 1) {
+            appendInfo(child);
+        } else if (child.textContent.trim()) {
+            const p = document.createElement('p');
+            p.appendChild(child);
+            appendInfo(p);
+        }
+    }
+
+    return step;
+}
+
+/**
+ * 将主题内容构建为 taskbody 的内容
+ *
+ * 识别规则:
+ * 1. 第一个顶层 ol 为操作步骤 (steps)，每个 li 转换为 step
+ * 2. 步骤之前的内容默认为 context；以 "前提条件：" 等引导词开头的段落开始 prereq
+ * 3. 步骤之后的内容默认为 result，也可用引导词指定为 postreq 等
+ * 4. 引导词后必须紧跟冒号，或段落只有引导词，避免 "背景颜色……"、"Before you begin the upgrade……" 这类正文被误判；
+ *    引导词段落中的引导词会被移除，只剩引导词的段落整体删除
+ *
+ * 没有 ol 时，全部内容作为 context。
+ *
+ * @param {Document} document
+ * @param {Element} container - 包含主题主体内容的元素，处理后其内容被替换
+ * @param {Object} [leadPhrases] - 自定义引导词，见 DEFAULT_TASK_LEAD_PHRASES
+ */
+function buildTaskBody(document, container, leadPhrases) {
+    function matchSectionPhrase(node, sectionPhrases) {
+        const phrase = matchLeadPhrase(node, sectionPhrases);
+        if (!phrase) return false;
+        const rest = node.textContent.replace(/^\s+/, '').slice(phrase.length);
+        return /^\s*[:：]/.test(rest) || !rest.trim();
+    }
+
+    const phrases = mergeLeadPhrases(DEFAULT_TASK_LEAD_PHRASES, leadPhrases);
+    const sections = { prereq: [], context: [], steps: [], result: [], postreq: [] };
+    const children = Array.from(container.childNodes)
+        .filter(node => node.nodeType === 1 || node.textContent.trim());
+    const stepsList = children.find(node => node.nodeType === 1 && node.tagName.toLowerCase() === 'ol');
+
+    let current = 'context';
+    let afterSteps = false;
+    for (const node of children) {
+        if (node === stepsList) {
+            sections.steps.push(node);
+            current = 'result';
+            afterSteps = true;
+            continue;
+        }
+
+        if (node.nodeType === 1 && node.tagName.toLowerCase() === 'p') {
+            // 步骤之前只能是 prereq/context，之后只能是 result/postreq
+            const allowed = afterSteps ? ['result', 'postreq'] : ['prereq', 'context'];
+            const section = allowed.find(name => matchSectionPhrase(node, phrases[name]));
+            if (section) {
+                current = section;
+                stripLeadPhrase(node, phrases[section]);
+                if (!node.textContent.trim() && !node.querySelector('img, dita-image')) {
+                    continue;
+                }
+            }
+        }
+
+        sections[current].push(node);
+    }
+
+    container.innerHTML = '';
+    for (const name of SECTION_ORDER) {
+        if (!sections[name].length) continue;
+
+        if (name === 'steps') {
+            const steps = document.createElement('steps');
+            Array.from(stepsList.children)
+                .filter(item => item.tagName.toLowerCase() === 'li')
+                .forEach(item => steps.appendChild(convertListItem(document, item, 'step')));
+            container.appendChild(steps);
+            continue;
+        }
+
+        const section = document.createElement(name);
+        sections[name].forEach(node => section.appendChild(node));
+        container.appendChild(section);
+    }
+}
+
+module.exports = {
+    DEFAULT_TASK_LEAD_PHRASES,
+    buildTaskBody,
+};
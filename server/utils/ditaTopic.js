@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const { JSDOM } = require('jsdom');
+const { buildTaskBody } = require('./ditaTask');
+
+/**
+ * DITA 主题类型定义
+ * - doctype: 公共标识符和系统标识符
+ * - body: 主体元素名
+ */
+const TOPIC_TYPES = {
+    topic: {
+        doctype: '<!DOCTYPE topic PUBLIC "-//OASIS//DTD DITA Topic//EN" "topic.dtd">',
+        body: 'body'
+    },
+    concept: {
+        doctype: '<!DOCTYPE concept PUBLIC "-//OASIS//DTD DITA Concept//EN" "concept.dtd">',
+        body: 'conbody'
+    },
+    task: {
+        doctype: '<!DOCTYPE task PUBLIC "-//OASIS//DTD DITA Task//EN" "task.dtd">',
+        body: 'taskbody'
+    },
+    reference: {
+        doctype: '<!DOCTYPE reference PUBLIC "-//OASIS//DTD DITA Reference//EN" "reference.dtd">',
+        body: 'refbody'
+    }
+};
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+const DEFAULT_TITLE = '未命名主题';
+
+// 可以直接作为主体子元素的块级标签 (含尚未还原的 dita-* 标签)
+const BLOCK_TAGS = new Set([
+    'p', 'ul', 'ol', 'dl', 'table', 'dita-table', 'simpletable', 'section', 'example',
+    'codeblock', 'pre', 'lq', 'note', 'fig', 'lines', 'div'
+]);
+
+// XML 名称: 以字母、下划线或冒号开头，之后可以是字母、数字、组合字符、"."、"-" 等
+const XML_NAME_REGEX = /^[:_\p{L}][:_\p{L}\p{M}\p{N}.\-\u00b7]*$/u;
+
+/**
+ * 是否为支持的主题类型
+ * 不能直接用 TOPIC_TYPES[name] 判断，"toString"、"constructor" 等继承自 Object.prototype 的名称也有值
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isTopicType(name) {
+    return typeof name === 'string' && Object.prototype.hasOwnProperty.call(TOPIC_TYPES, name);
+}
+
+/**
+ * 是否为合法的 XML 名称，用于校验调用方传入的 id
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isXmlName(name) {
+    return typeof name === 'string' && XML_NAME_REGEX.test(name);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 根据标题生成 DITA id
+ *
+ * 纯 ASCII 标题转换为小写下划线形式 (如 "Install Guide" -> "install_guide")；
+ * 含中文等非 ASCII 字符时，使用前缀加标题哈希，保证同一标题每次生成的 id 相同。
+ *
+ * @param {string} title - 标题文本 (可以包含内联标签)
+ * @param {string} [prefix='topic'] - 无法直接转换时使用的前缀
+ * @returns {string} - 合法的 XML id
+ */
+function generateId(title, prefix = 'topic') {
+    const text = String(title || '').replace(/<[^>]+>/g, '').trim();
+
+    if (text && /^[\x20-\x7e]+$/.test(text)) {
+        const slug = text.toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .slice(0, 60);
+        if (slug) {
+            // id 必须以字母或下划线开头
+            return /^[a-z]/.test(slug) ? slug : `${prefix}_${slug}`;
+        }
+    }
+
+    const hash = crypto.createHash('md5').update(text || prefix).digest('hex').slice(0, 8);
+    return `${prefix}_${hash}`;
+}
+
+/**
+ * 将连续的内联内容 (如 h2 降级得到的 <b>、裸文本) 包裹为 <p>
+ * DITA 主体中不允许直接出现内联元素
+ */
+function wrapInlineRuns(document, container) {
+    let run = [];
+
+    function flush() {
+        if (run.some(node => node.textContent.trim() || node.nodeType === 1)) {
+            const p = document.createElement('p');
+            run[0].parentNode.insertBefore(p, run[0]);
+            run.forEach(node => p.appendChild(node));
+        } else {
+            run.forEach(node => node.remove());
+        }
+        run = [];
+    }
+
+    for (const node of Array.from(container.childNodes)) {
+        const isBlock = node.nodeType === 1 && BLOCK_TAGS.has(node.tagName.toLowerCase());
+        if (isBlock) {
+            flush();
+        } else if (node.nodeType === 1 || node.nodeType === 3) {
+            run.push(node);
+        }
+    }
+    flush();
+}
+
+/**
+ * 生成一个主题元素 (含嵌套的子主题)
+ * @param {Document} document
+ * @param {Object} topic
+ * @param {string} topic.titleHtml - 标题
+ * @param {string} topic.id - 主题 id
+ * @param {Element} topic.container - 主体内容容器，处理后读取其 innerHTML
+ * @param {Element[]} topic.children - 子主题 (dita-topic 元素)
+ * @param {string} [topic.shortdescHtml] - 短描述
+ * @param {Object} options - 同 wrapDitaTopic
+ * @returns {string}
+ */
+function renderTopic(document, topic, options) {
+    const topicType = options.topicType || 'topic';
+    const typeDef = TOPIC_TYPES[topicType];
+    const { container } = topic;
+
+    wrapInlineRuns(document, container);
+    if (topicType === 'task') {
+        buildTaskBody(document, container, options.taskLeadPhrases);
+    }
+
+    let bodyHtml = container.innerHTML;
+    if (topicType === 'reference' && bodyHtml) {
+        bodyHtml = `<section>${bodyHtml}</section>`;
+    }
+
+    const childHtml = topic.children
+        .map(child => renderTopic(document, readTopicElement(document, child, options), options))
+        .join('');
+
+    return `<${topicType} id="${escapeXml(topic.id)}">` +
+        `<title>${topic.titleHtml}</title>` +
+        (topic.shortdescHtml ? `<shortdesc>${topic.shortdescHtml}</shortdesc>` : '') +
+        // 有子主题时允许省略空的主体
+        (bodyHtml || !childHtml ? `<${typeDef.body}>${bodyHtml}</${typeDef.body}>` : '') +
+        childHtml +
+        `</${topicType}>`;
+}
+
+/**
+ * 读取 buildHeadingHierarchy 生成的 dita-topic 元素
+ * @returns {Object} - renderTopic 所需的主题信息
+ */
+function readTopicElement(document, element, options, fallbackTitle = DEFAULT_TITLE) {
+    const children = Array.from(element.children);
+    const titleElement = children.find(child => child.tagName.toLowerCase() === 'dita-title');
+    const titleHtml = titleElement ? titleElement.innerHTML : fallbackTitle;
+
+    return {
+        titleHtml,
+        id: element.getAttribute('id') || generateId(titleHtml, options.topicType || 'topic'),
+        container: children.find(child => child.tagName.toLowerCase() === 'dita-body') ||
+            document.createElement('dita-body'),
+        children: children.filter(child => child.tagName.toLowerCase() === 'dita-topic')
+    };
+}
+
+/**
+ * 主题 id 改变时，更新指向该主题的 xref (见 convertLinks)
+ */
+function renameTopicReferences(document, oldId, newId) {
+    document.querySelectorAll('xref[href]').forEach(xref => {
+        const href = xref.getAttribute('href');
+        if (href === `#${oldId}` || href.startsWith(`#${oldId}/`)) {
+            xref.setAttribute('href', `#${newId}${href.slice(oldId.length + 1)}`);
+        }
+    });
+}
+
+/**
+ * 将 cleanHtml 的片段输出包装为完整的 DITA 主题文档
+ *
+ * 在 restoreDitaTags 之前执行 (此时表格、标题仍是 dita-* 标签，JSDOM 可以安全解析)。
+ * - 标题: 优先使用文档中的 h1 (cleanHeadingTags 生成的 section 标题，
+ *   或 topics 模式下的根主题标题)，其次使用 options.title
+ * - shortdesc: options.shortdesc 为字符串时直接使用；为 true 时提升第一个段落
+ * - 主体: task 的操作步骤转换为 steps (见 buildTaskBody)，reference 的内容放入 <section>
+ * - topics 模式下的子主题使用相同的主题类型
+ *
+ * @param {string} html - 处理中的HTML片段
+ * @param {Object} options
+ * @param {string} [options.topicType='topic'] - topic | concept | task | reference
+ * @param {string} [options.title] - 文档没有 h1 时使用的标题
+ * @param {string} [options.id] - 根元素 id，默认根据标题生成
+ * @param {string|boolean} [options.shortdesc] - 短描述
+ * @param {Object} [options.taskLeadPhrases] - task 各部分的引导词，见 DEFAULT_TASK_LEAD_PHRASES
+ * @returns {string} - 包含 XML 声明和 DOCTYPE 的完整文档
+ */
+function wrapDitaTopic(html, options = {}) {
+    const topicType = options.topicType || 'topic';
+    if (!isTopicType(topicType)) {
+        throw new Error(`不支持的主题类型: ${topicType}`);
+    }
+    if (options.id && !isXmlName(options.id)) {
+        throw new Error(`id 不是合法的 XML 名称: ${options.id}`);
+    }
+    const typeDef = TOPIC_TYPES[topicType];
+
+    const dom = new JSDOM(`<!DOCTYPE html><html><body>${html || ''}</body></html>`);
+    const document = dom.window.document;
+    const body = document.body;
+    const firstElement = body.firstElementChild;
+    const isSingleChild = firstElement && body.children.length === 1 &&
+        !Array.from(body.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+
+    // 1. 提取标题和主体
+    let topic;
+    if (isSingleChild && firstElement.tagName.toLowerCase() === 'dita-topic') {
+        topic = readTopicElement(document, firstElement, options, options.title ? escapeXml(options.title) : DEFAULT_TITLE);
+        if (options.id && options.id !== topic.id) {
+            renameTopicReferences(document, topic.id, options.id);
+            topic.id = options.id;
+        }
+    } else {
+        let titleHtml = options.title ? escapeXml(options.title) : '';
+        let container = body;
+        if (isSingleChild &&
+            firstElement.tagName.toLowerCase() === 'section' &&
+            firstElement.firstElementChild &&
+            firstElement.firstElementChild.tagName.toLowerCase() === 'dita-title') {
+            const titleElement = firstElement.firstElementChild;
+            titleHtml = titleElement.innerHTML;
+            titleElement.remove();
+            container = firstElement;
+        }
+        if (!titleHtml) titleHtml = DEFAULT_TITLE;
+        topic = {
+            titleHtml,
+            id: options.id || generateId(titleHtml, topicType),
+            container,
+            children: []
+        };
+    }
+
+    // 2. 短描述
+    if (typeof options.shortdesc === 'string' && options.shortdesc.trim()) {
+        topic.shortdescHtml = escapeXml(options.shortdesc.trim());
+    } else if (options.shortdesc === true) {
+        wrapInlineRuns(document, topic.container);
+        const first = topic.container.firstElementChild;
+        if (first && first.tagName.toLowerCase() === 'p') {
+            topic.shortdescHtml = first.innerHTML;
+            first.remove();
+        }
+    }
+
+    return XML_DECLARATION + typeDef.doctype + renderTopic(document, topic, options);
+}
+
+module.exports = {
+    TOPIC_TYPES,
+    isTopicType,
+    isXmlName,
+    DEFAULT_TITLE,
+    generateId,
+    wrapDitaTopic,
+};
@@ -0,0 +1,821 @@
+const JSZip = require('jszip');
+const { JSDOM } = require('jsdom');
+const { MIME_EXTENSIONS } = require('./imageUtils');
+const { isMonospaceFont } = require('./codeUtils');
+
+// 关系类型: 图片
+const IMAGE_RELATIONSHIP_REGEX = /\/image$/;
+
+// 文件无法作为 docx 解析时错误的 code (不是 zip 文件、文件损坏或缺少正文)，接口据此返回 400
+const INVALID_DOCX = 'INVALID_DOCX';
+
+/**
+ * 创建无效 docx 的错误，不直接使用 JSZip 的英文错误信息
+ * @param {string} reason - 原因，如 "缺少 word/document.xml"
+ * @returns {Error}
+ */
+function invalidDocxError(reason) {
+    const error = new Error(`无效的 docx 文件: ${reason}`);
+    error.code = INVALID_DOCX;
+    return error;
+}
+
+/**
+ * 将 .docx 文件转换为 HTML
+ *
+ * 直接读取 OOXML 部件，而不是依赖 Word 复制到剪贴板的 HTML:
+ * 1. 解压 docx，读取 word/document.xml、numbering.xml、styles.xml 和关系文件
+ * 2. 根据样式表识别标题 (Heading N / 标题 N / outlineLvl)
+ * 3. 根据 w:numPr (numId + ilvl) 和编号定义构建真实的嵌套 ul/ol
+ * 4. 表格转换为带 colspan/rowspan 的 HTML 表格，供 processTables 继续处理
+ * 5. 图片 (word/media 部件) 转换为 data URI 的 <img>，由 extractImages 统一保存
+ * 6. 等宽字体保留为 font-family 样式 (空格转为 &nbsp;)，由 convertCodeBlocks 识别为代码
+ * 7. 书签转换为 <a name>，目录段落标记为 MsoToc class，由 convertLinks、removeTocEntries 处理
+ * 8. 脚注和尾注 (footnotes.xml、endnotes.xml) 生成与 Word 复制的 HTML 相同的引用链接和文末列表，
+ *    由 convertFootnotes 转换为 <fn>
+ *
+ * 输出的 HTML 结构与剪贴板 HTML 经过列表处理后的结构一致，可直接交给 cleanHtml。
+ *
+ * @param {Buffer} buffer - docx 文件内容
+ * @returns {Promise<string>} - 转换后的HTML
+ * @throws {Error} 文件不是有效的 docx 时，错误的 code 为 INVALID_DOCX
+ */
+async function docxToHtml(buffer) {
+    let zip;
+    let documentXml;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+        documentXml = await readZipText(zip, 'word/document.xml');
+    } catch (error) {
+        throw invalidDocxError('不是 zip 格式或文件已损坏');
+    }
+    if (!documentXml) {
+        throw invalidDocxError('缺少 word/document.xml');
+    }
+
+    const relationships = parseRelationships(parseXml(await readZipText(zip, 'word/_rels/document.xml.rels')));
+    const context = {
+        styles: parseStyles(parseXml(await readZipText(zip, 'word/styles.xml'))),
+        numbering: parseNumbering(parseXml(await readZipText(zip, 'word/numbering.xml'))),
+        relationships,
+        media: await readMedia(zip, relationships)
+    };
+
+    const document = parseXml(documentXml);
+    const body = document && firstChild(document.documentElement, 'w:body');
+    if (!body) return '';
+
+    let html = convertBlocks(body, context);
+    for (const kind of ['footnote', 'endnote']) {
+        html += await convertNotes(zip, kind, context);
+    }
+    return html;
+}
+
+/**
+ * 转换脚注或尾注部件为 Word 剪贴板 HTML 的文末列表结构:
+ * <div style="mso-element:footnote-list"><div style="mso-element:footnote" id="ftn1">...</div></div>
+ * @param {JSZip} zip
+ * @param {string} kind - footnote 或 endnote
+ * @param {Object} context - 正文的转换上下文
+ * @returns {Promise<string>}
+ */
+async function convertNotes(zip, kind, context) {
+    const document = parseXml(await readZipText(zip, `word/${kind}s.xml`));
+    if (!document) return '';
+
+    // 脚注部件有自己的关系文件 (脚注中的链接和图片)
+    const relationships = parseRelationships(parseXml(await readZipText(zip, `word/_rels/${kind}s.xml.rels`)));
+    const noteContext = { ...context, relationships, media: await readMedia(zip, relationships) };
+    const prefix = kind === 'footnote' ? 'ftn' : 'edn';
+
+    let html = '';
+    for (const note of document.getElementsByTagName(`w:${kind}`)) {
+        // 分隔线等特殊脚注
+        if (note.getAttribute('w:type')) continue;
+        const id = note.getAttribute('w:id');
+        html += `<div style="mso-element:${kind}" id="${prefix}${escapeHtml(id)}">${convertBlocks(note, noteContext)}</div>`;
+    }
+
+    return html ? `<div style="mso-element:${kind}-list">${html}</div>` : '';
+}
+
+/**
+ * 读取 zip 中的文本部件，不存在时返回 null
+ */
+async function readZipText(zip, name) {
+    const file = zip.file(name);
+    return file ? file.async('string') : null;
+}
+
+/**
+ * 读取图片关系指向的 word/media 部件
+ * @returns {Promise<Map<string, string>>} - r:id -> 图片地址 (data URI 或外部链接)
+ */
+async function readMedia(zip, relationships) {
+    const media = new Map();
+
+    for (const [relId, rel] of relationships) {
+        if (!IMAGE_RELATIONSHIP_REGEX.test(rel.type) || !rel.target) continue;
+
+        if (rel.external) {
+            // 外部链接的图片只保留 http(s) 地址，file:// 等路径指向的是上传者电脑上的文件，不在服务器上读取
+            if (/^https?:\/\//i.test(rel.target)) media.set(relId, rel.target);
+            continue;
+        }
+
+        // Target 相对于 word/ 目录，也可能是以 / 开头的包内绝对路径
+        const name = rel.target.startsWith('/')
+            ? rel.target.slice(1)
+            : `word/${rel.target}`.replace(/[^/]+\/\.\.\//g, '');
+        const file = zip.file(name);
+        if (!file) continue;
+
+        const extension = (name.match(/\.([a-z0-9]+)$/i) || [])[1] || '';
+        const mime = Object.keys(MIME_EXTENSIONS)
+            .find(type => MIME_EXTENSIONS[type] === extension.toLowerCase().replace('jpeg', 'jpg'));
+        // emf/wmf 等矢量格式无法在 DITA 输出中显示，跳过
+        if (!mime) continue;
+
+        media.set(relId, `data:${mime};base64,${await file.async('base64')}`);
+    }
+
+    return media;
+}
+
+/**
+ * 使用 JSDOM 的 XML 模式解析 OOXML 部件
+ */
+function parseXml(xml) {
+    if (!xml) return null;
+    return new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+}
+
+/**
+ * 获取第一个指定名称的直接子元素
+ */
+function firstChild(element, tagName) {
+    if (!element) return null;
+    for (const child of element.children) {
+        if (child.tagName === tagName) return child;
+    }
+    return null;
+}
+
+/**
+ * 获取所有指定名称的直接子元素
+ */
+function childrenByTag(element, tagName) {
+    if (!element) return [];
+    return Array.from(element.children).filter(child => child.tagName === tagName);
+}
+
+/**
+ * 读取 pPr/rPr 等属性节点下某个子元素的 w:val
+ */
+function childVal(element, tagName) {
+    const child = firstChild(element, tagName);
+    return child ? child.getAttribute('w:val') : null;
+}
+
+/**
+ * 判断开关类属性 (w:b, w:i 等) 是否开启
+ * <w:b/> 或 <w:b w:val="true"/> 为开启，<w:b w:val="0"/> 为关闭
+ */
+function isToggleOn(rPr, tagName) {
+    const child = firstChild(rPr, tagName);
+    if (!child) return false;
+    const val = child.getAttribute('w:val');
+    return val === null || !/^(0|false|off|none)$/i.test(val);
+}
+
+/**
+ * 读取开关类属性的设置，未设置时返回 null (由样式决定)
+ * @returns {boolean|null}
+ */
+function getToggle(rPr, tagName) {
+    return firstChild(rPr, tagName) ? isToggleOn(rPr, tagName) : null;
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 解析 styles.xml，建立 styleId -> { name, outlineLvl, font } 映射
+ * outlineLvl 会沿 basedOn 链继承
+ */
+function parseStyles(document) {
+    const styles = new Map();
+    if (!document) return styles;
+
+    for (const style of document.getElementsByTagName('w:style')) {
+        const styleId = style.getAttribute('w:styleId');
+        if (!styleId) continue;
+        const pPr = firstChild(style, 'w:pPr');
+        const rPr = firstChild(style, 'w:rPr');
+        const outlineLvl = childVal(pPr, 'w:outlineLvl');
+        styles.set(styleId, {
+            name: childVal(style, 'w:name') || '',
+            basedOn: childVal(style, 'w:basedOn'),
+            outlineLvl: outlineLvl !== null ? parseInt(outlineLvl, 10) : null,
+            font: getRunFont(rPr),
+            bold: getToggle(rPr, 'w:b'),
+            italic: getToggle(rPr, 'w:i')
+        });
+    }
+
+    return styles;
+}
+
+/**
+ * 读取 rPr 中 w:rFonts 的西文字体
+ */
+function getRunFont(rPr) {
+    const rFonts = firstChild(rPr, 'w:rFonts');
+    return rFonts ? rFonts.getAttribute('w:ascii') || rFonts.getAttribute('w:hAnsi') : null;
+}
+
+/**
+ * 获取样式 (含 basedOn 继承) 的字符格式
+ * @param {string} styleId
+ * @param {string} property - font、bold 或 italic
+ * @param {Object} context
+ * @returns {string|boolean|null} - 样式链中都没有设置时为 null
+ */
+function getStyleProperty(styleId, property, context) {
+    const visited = new Set();
+    while (styleId && !visited.has(styleId)) {
+        visited.add(styleId);
+        const style = context.styles.get(styleId);
+        if (!style) break;
+        if (style[property]) return style[property];
+        // 粗体、斜体可以在派生样式中关闭
+        if (style[property] === false) return false;
+        styleId = style.basedOn;
+    }
+    return null;
+}
+
+/**
+ * 文字是否为粗体或斜体 (与字体相同的顺序):
+ * 文字直接设置 > 字符样式 (w:rStyle) > 段落样式，样式均含 basedOn 继承
+ * @param {Element} rPr
+ * @param {string} tagName - w:b 或 w:i
+ * @param {string} property - 样式中对应的属性: bold 或 italic
+ * @param {Object} context - 含 paragraphStyle 的转换上下文
+ * @returns {boolean}
+ */
+function isRunToggleOn(rPr, tagName, property, context) {
+    const direct = getToggle(rPr, tagName);
+    if (direct !== null) return direct;
+    const characterStyle = getStyleProperty(childVal(rPr, 'w:rStyle'), property, context);
+    if (characterStyle !== null) return characterStyle;
+    return getStyleProperty(context.paragraphStyle, property, context) === true;
+}
+
+/**
+ * 获取段落样式对应的标题级别 (1-6)，不是标题则返回 0
+ *
+ * 识别顺序:
+ * 1. 段落直接设置的 w:outlineLvl
+ * 2. 样式名 Heading N / 标题 N / Title
+ * 3. 样式 (含 basedOn 继承) 的 w:outlineLvl
+ */
+function getHeadingLevel(pPr, context) {
+    const directOutline = childVal(pPr, 'w:outlineLvl');
+    if (directOutline !== null) {
+        const level = parseInt(directOutline, 10);
+        // outlineLvl 9 表示正文
+        return level < 9 ? Math.min(level + 1, 6) : 0;
+    }
+
+    let styleId = childVal(pPr, 'w:pStyle');
+    const visited = new Set();
+    while (styleId && !visited.has(styleId)) {
+        visited.add(styleId);
+        const style = context.styles.get(styleId);
+        if (!style) break;
+
+        const nameMatch = style.name.match(/^(?:heading|标题)\s*(\d)$/i);
+        if (nameMatch) return Math.min(parseInt(nameMatch[1], 10), 6);
+        if (/^title$/i.test(style.name)) return 1;
+        if (style.outlineLvl !== null) {
+            return style.outlineLvl < 9 ? Math.min(style.outlineLvl + 1, 6) : 0;
+        }
+
+        styleId = style.basedOn;
+    }
+
+    return 0;
+}
+
+/**
+ * 获取目录段落 (样式 TOC N / TOC Heading) 对应的 Word class，如 MsoToc1、MsoTocHeading
+ * 不是目录段落时返回 null
+ */
+function getTocClass(pPr, context) {
+    const style = context.styles.get(childVal(pPr, 'w:pStyle'));
+    const match = style && style.name.match(/^toc\s*(\d|heading)$/i);
+    if (!match) return null;
+    return /\d/.test(match[1]) ? `MsoToc${match[1]}` : 'MsoTocHeading';
+}
+
+/**
+ * 获取段落样式或字符样式对应的 class，与 Word 复制的 HTML 一致 (样式名去掉空白)，
+ * 供 applyStyleMapping 使用。默认样式 (正文、默认段落字体) 返回 null
+ */
+function getStyleClass(styleId, context) {
+    const style = styleId ? context.styles.get(styleId) : null;
+    if (!style || !style.name || /^(normal|正文|default paragraph font|默认段落字体)$/i.test(style.name)) return null;
+    return escapeHtml(style.name.replace(/\s+/g, ''));
+}
+
+/**
+ * 判断段落是否为题注
+ * 使用题注样式 (Caption / 题注，含 basedOn 继承) 或包含 SEQ 域的段落
+ */
+function isCaptionParagraph(paragraph, pPr, context) {
+    let styleId = childVal(pPr, 'w:pStyle');
+    const visited = new Set();
+    while (styleId && !visited.has(styleId)) {
+        visited.add(styleId);
+        const style = context.styles.get(styleId);
+        if (!style) break;
+        if (/^(caption|题注)$/i.test(style.name)) return true;
+        styleId = style.basedOn;
+    }
+
+    // 简单域 w:fldSimple 的 w:instr 属性，或复杂域的 w:instrText
+    const instructions = [
+        ...Array.from(paragraph.getElementsByTagName('w:fldSimple')).map(field => field.getAttribute('w:instr') || ''),
+        ...Array.from(paragraph.getElementsByTagName('w:instrText')).map(text => text.textContent)
+    ];
+    return instructions.some(instruction => /^\s*SEQ\s/i.test(instruction));
+}
+
+/**
+ * 解析 numbering.xml
+ * 返回 numId -> 各级别定义 { numFmt, indent } 的映射 (已合并 lvlOverride)
+ */
+function parseNumbering(document) {
+    const numbering = new Map();
+    if (!document) return numbering;
+
+    function parseLevels(parent) {
+        const levels = new Map();
+        for (const lvl of childrenByTag(parent, 'w:lvl')) {
+            const ilvl = parseInt(lvl.getAttribute('w:ilvl') || '0', 10);
+            levels.set(ilvl, {
+                numFmt: childVal(lvl, 'w:numFmt') || 'decimal',
+                indent: getIndent(firstChild(lvl, 'w:pPr'))
+            });
+        }
+        return levels;
+    }
+
+    const abstractNums = new Map();
+    for (const abstractNum of document.getElementsByTagName('w:abstractNum')) {
+        abstractNums.set(abstractNum.getAttribute('w:abstractNumId'), parseLevels(abstractNum));
+    }
+
+    for (const num of document.getElementsByTagName('w:num')) {
+        const numId = num.getAttribute('w:numId');
+        const abstractNumId = childVal(num, 'w:abstractNumId');
+        const levels = new Map(abstractNums.get(abstractNumId) || []);
+
+        for (const override of childrenByTag(num, 'w:lvlOverride')) {
+            const ilvl = parseInt(override.getAttribute('w:ilvl') || '0', 10);
+            const overrideLevels = parseLevels(override);
+            if (overrideLevels.has(ilvl)) {
+                levels.set(ilvl, overrideLevels.get(ilvl));
+            }
+        }
+
+        numbering.set(numId, levels);
+    }
+
+    return numbering;
+}
+
+/**
+ * 解析关系文件，建立 r:id -> Target 映射 (用于超链接和图片)
+ */
+function parseRelationships(document) {
+    const relationships = new Map();
+    if (!document) return relationships;
+
+    for (const rel of document.getElementsByTagName('Relationship')) {
+        relationships.set(rel.getAttribute('Id'), {
+            target: rel.getAttribute('Target'),
+            type: rel.getAttribute('Type') || '',
+            external: rel.getAttribute('TargetMode') === 'External'
+        });
+    }
+
+    return relationships;
+}
+
+/**
+ * 读取 w:ind 的左缩进 (twips)，未设置时返回 null
+ */
+function getIndent(pPr) {
+    const ind = firstChild(pPr, 'w:ind');
+    if (!ind) return null;
+    const left = ind.getAttribute('w:left') || ind.getAttribute('w:start');
+    return left !== null ? parseInt(left, 10) || 0 : null;
+}
+
+/**
+ * 获取段落的编号信息，不是列表项则返回 null
+ * @returns {{numId: string, ilvl: number, listType: string, indent: number}|null}
+ */
+function getListInfo(pPr, context) {
+    const numPr = firstChild(pPr, 'w:numPr');
+    if (!numPr) return null;
+
+    const numId = childVal(numPr, 'w:numId');
+    // numId 为 0 表示显式取消编号
+    if (!numId || numId === '0') return null;
+
+    const ilvl = parseInt(childVal(numPr, 'w:ilvl') || '0', 10);
+    const levels = context.numbering.get(numId);
+    const levelDef = levels ? levels.get(ilvl) : null;
+    const numFmt = levelDef ? levelDef.numFmt : 'bullet';
+
+    let indent = getIndent(pPr);
+    if (indent === null) {
+        indent = levelDef && levelDef.indent !== null ? levelDef.indent : 0;
+    }
+
+    return {
+        numId,
+        ilvl,
+        listType: ['bullet', 'none'].includes(numFmt) ? 'ul' : 'ol',
+        indent
+    };
+}
+
+/**
+ * 转换块级内容 (w:body、w:tc、w:sdtContent 等容器的子元素)
+ * 连续的列表段落会被收集后统一转换为嵌套列表
+ */
+function convertBlocks(container, context) {
+    let html = '';
+    let listBuffer = [];
+
+    function flushList() {
+        if (listBuffer.length) {
+            html += buildNestedList(listBuffer);
+            listBuffer = [];
+        }
+    }
+
+    function visit(element) {
+        switch (element.tagName) {
+            case 'w:p': {
+                const pPr = firstChild(element, 'w:pPr');
+                const headingLevel = getHeadingLevel(pPr, context);
+                const listInfo = headingLevel ? null : getListInfo(pPr, context);
+                // 段落样式的字体，用于判断其中的文字是否为等宽字体
+                const paragraphStyle = childVal(pPr, 'w:pStyle');
+                const paragraphFont = getStyleProperty(paragraphStyle, 'font', context);
+                const tocClass = getTocClass(pPr, context);
+                const isCaption = isCaptionParagraph(element, pPr, context);
+                // 段落样式的粗体、斜体应用到其中的文字；标题、目录、题注样式自带的粗体、斜体只是外观，不标记为强调
+                const content = convertInlines(element, {
+                    ...context,
+                    paragraphFont,
+                    paragraphStyle: headingLevel || tocClass || isCaption ? null : paragraphStyle
+                });
+
+                if (listInfo) {
+                    listBuffer.push({ ...listInfo, content });
+                    return;
+                }
+
+                flushList();
+                const styleClass = getStyleClass(paragraphStyle, context);
+                const classAttribute = styleClass ? ` class="${styleClass}"` : '';
+                if (tocClass) {
+                    html += `<p class="${tocClass}">${content}</p>`;
+                } else if (headingLevel) {
+                    html += `<h${headingLevel}>${content}</h${headingLevel}>`;
+                } else if (isCaption) {
+                    // 与 Word 复制的 HTML 一致，由 markCaptions 识别
+                    html += `<p class="MsoCaption">${content}</p>`;
+                } else if (isMonospaceFont(paragraphFont)) {
+                    html += `<p${classAttribute} style="font-family:${escapeHtml(paragraphFont)}">${content}</p>`;
+                } else {
+                    html += `<p${classAttribute}>${content}</p>`;
+                }
+                return;
+            }
+            case 'w:tbl':
+                flushList();
+                html += convertTable(element, context);
+                return;
+            case 'w:sdt': {
+                // 内容控件: 处理其中的块级内容
+                const sdtContent = firstChild(element, 'w:sdtContent');
+                if (sdtContent) {
+                    for (const child of Array.from(sdtContent.children)) {
+                        visit(child);
+                    }
+                }
+                return;
+            }
+            default:
+                return;
+        }
+    }
+
+    for (const child of Array.from(container.children)) {
+        visit(child);
+    }
+    flushList();
+
+    return html;
+}
+
+/**
+ * 将收集的列表项构建为嵌套的 ul/ol
+ *
+ * 层级优先使用 w:ilvl (语义层级)。
+ * 部分在线文档 (如飞书导出) 每项都是 ilvl=0、仅靠不同缩进表现嵌套，
+ * 此时 ilvl 无法区分层级，回退为按有效缩进排序映射层级。
+ */
+function buildNestedList(items) {
+    const distinctIlvls = new Set(items.map(item => item.ilvl));
+    const distinctIndents = Array.from(new Set(items.map(item => item.indent))).sort((a, b) => a - b);
+    const useIndent = distinctIlvls.size === 1 && distinctIndents.length > 1;
+
+    const levels = items.map(item =>
+        useIndent ? distinctIndents.indexOf(item.indent) + 1 : item.ilvl + 1
+    );
+
+    let html = '';
+    // 每一层: { type, level }
+    const stack = [];
+
+    items.forEach((item, index) => {
+        const level = levels[index];
+
+        // 关闭比当前层级深的列表
+        while (stack.length && stack[stack.length - 1].level > level) {
+            html += `</li></${stack.pop().type}>`;
+        }
+
+        const top = stack[stack.length - 1];
+        if (top && top.level === level) {
+            if (top.type !== item.listType) {
+                // 同级列表类型改变: 结束当前列表，开始新列表
+                html += `</li></${stack.pop().type}>`;
+                html += `<${item.listType}>`;
+                stack.push({ type: item.listType, level });
+            } else {
+                html += '</li>';
+            }
+        } else {
+            // 更深层级: 在当前 li 内开始新列表
+            html += `<${item.listType}>`;
+            stack.push({ type: item.listType, level });
+        }
+
+        html += `<li>${item.content}`;
+    });
+
+    while (stack.length) {
+        html += `</li></${stack.pop().type}>`;
+    }
+
+    return html;
+}
+
+/**
+ * 转换 w:tbl 为 HTML 表格
+ * - w:gridCol 宽度 (twips) 转为 col 的 pt 宽度
+ * - w:gridSpan 转为 colspan
+ * - w:vMerge 转为 rowspan
+ */
+function convertTable(table, context) {
+    const gridCols = childrenByTag(firstChild(table, 'w:tblGrid'), 'w:gridCol');
+    let html = '<table>';
+
+    if (gridCols.length) {
+        html += '<colgroup>';
+        for (const gridCol of gridCols) {
+            const twips = parseInt(gridCol.getAttribute('w:w') || '0', 10);
+            html += twips ? `<col style="width:${twips / 20}pt">` : '<col>';
+        }
+        html += '</colgroup>';
+    }
+
+    // 第一遍: 收集单元格及其所在列
+    const rows = childrenByTag(table, 'w:tr').map(tr => {
+        let col = 0;
+        const trPr = firstChild(tr, 'w:trPr');
+        const isHeader = isToggleOn(trPr, 'w:tblHeader');
+        const cells = childrenByTag(tr, 'w:tc').map(tc => {
+            const tcPr = firstChild(tc, 'w:tcPr');
+            const colspan = parseInt(childVal(tcPr, 'w:gridSpan') || '1', 10);
+            const vMergeEl = firstChild(tcPr, 'w:vMerge');
+            let vMerge = null;
+            if (vMergeEl) {
+                vMerge = vMergeEl.getAttribute('w:val') === 'restart' ? 'restart' : 'continue';
+            }
+            const cell = { col, colspan, vMerge, rowspan: 1, element: tc };
+            col += colspan;
+            return cell;
+        });
+        return { isHeader, cells };
+    });
+
+    // 第二遍: 计算 rowspan
+    rows.forEach((row, rowIndex) => {
+        for (const cell of row.cells) {
+            if (cell.vMerge !== 'restart') continue;
+            for (let next = rowIndex + 1; next < rows.length; next++) {
+                const below = rows[next].cells.find(c => c.col === cell.col);
+                if (!below || below.vMerge !== 'continue') break;
+                cell.rowspan++;
+            }
+        }
+    });
+
+    const headRows = [];
+    const bodyRows = [];
+    rows.forEach((row, rowIndex) => {
+        // 只有表格开头连续的标题行才作为 thead
+        const target = row.isHeader && bodyRows.length === 0 && headRows.length === rowIndex ? headRows : bodyRows;
+        let rowHtml = '<tr>';
+        for (const cell of row.cells) {
+            if (cell.vMerge === 'continue') continue;
+            let attrs = '';
+            if (cell.colspan > 1) attrs += ` colspan="${cell.colspan}"`;
+            if (cell.rowspan > 1) attrs += ` rowspan="${cell.rowspan}"`;
+            rowHtml += `<td${attrs}>${convertBlocks(cell.element, context)}</td>`;
+        }
+        rowHtml += '</tr>';
+        target.push(rowHtml);
+    });
+
+    if (headRows.length) html += `<thead>${headRows.join('')}</thead>`;
+    html += `<tbody>${bodyRows.join('')}</tbody>`;
+    html += '</table>';
+
+    return html;
+}
+
+/**
+ * 转换段落中的行内内容 (w:r、w:hyperlink 等)
+ */
+function convertInlines(element, context) {
+    let html = '';
+
+    for (const child of Array.from(element.children)) {
+        switch (child.tagName) {
+            case 'w:r':
+                html += convertRun(child, context);
+                break;
+            case 'w:hyperlink': {
+                const inner = convertInlines(child, context);
+                const relId = child.getAttribute('r:id');
+                const anchor = child.getAttribute('w:anchor');
+                let href = null;
+                if (relId && context.relationships.has(relId)) {
+                    href = context.relationships.get(relId).target;
+                } else if (anchor) {
+                    href = `#${anchor}`;
+                }
+                html += href ? `<a href="${escapeHtml(href)}">${inner}</a>` : inner;
+                break;
+            }
+            // 修订、智能标记、域等容器: 保留其中的内容
+            case 'w:ins':
+            case 'w:smartTag':
+            case 'w:fldSimple':
+            case 'w:customXml':
+                html += convertInlines(child, context);
+                break;
+            case 'w:sdt':
+                html += convertInlines(firstChild(child, 'w:sdtContent') || child, context);
+                break;
+            case 'w:bookmarkStart': {
+                const name = child.getAttribute('w:name');
+                if (name) html += `<a name="${escapeHtml(name)}"></a>`;
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    return html;
+}
+
+/**
+ * 转换图片 (w:drawing 或旧版 VML 的 w:pict)
+ * - w:drawing: a:blip 的 r:embed (或 r:link) 指向图片，wp:docPr 的 descr/title 作为替代文本
+ * - w:pict: v:imagedata 的 r:id 指向图片，o:title 作为替代文本
+ */
+function convertPicture(element, context) {
+    const blip = element.getElementsByTagName('a:blip')[0];
+    const imagedata = element.getElementsByTagName('v:imagedata')[0];
+    let relId = null;
+    let alt = '';
+
+    if (blip) {
+        relId = blip.getAttribute('r:embed') || blip.getAttribute('r:link');
+        const docPr = element.getElementsByTagName('wp:docPr')[0];
+        alt = docPr ? docPr.getAttribute('descr') || docPr.getAttribute('title') || '' : '';
+    } else if (imagedata) {
+        relId = imagedata.getAttribute('r:id');
+        alt = imagedata.getAttribute('o:title') || '';
+    }
+
+    const src = relId ? context.media.get(relId) : null;
+    if (!src) return '';
+
+    return `<img src="${escapeHtml(src)}"${alt ? ` alt="${escapeHtml(alt)}"` : ''}>`;
+}
+
+/**
+ * 转换 w:r，按加粗/斜体/下划线包裹为 b/i/u，删除线、上下标、突出显示包裹为 s、sup/sub、mark
+ * 等宽字体的文字保留空格和制表符缩进，显式设置的等宽字体包裹为带 font-family 的 span
+ */
+function convertRun(run, context) {
+    const rPr = firstChild(run, 'w:rPr');
+    const runFont = getRunFont(rPr) || getStyleProperty(childVal(rPr, 'w:rStyle'), 'font', context);
+    const isMonospace = isMonospaceFont(runFont || context.paragraphFont);
+    let text = '';
+
+    for (const child of Array.from(run.children)) {
+        switch (child.tagName) {
+            case 'w:t':
+                text += isMonospace
+                    ? escapeHtml(child.textContent).replace(/ /g, '&nbsp;')
+                    : escapeHtml(child.textContent);
+                break;
+            case 'w:tab':
+                text += isMonospace ? '&nbsp;&nbsp;&nbsp;&nbsp;' : ' ';
+                break;
+            case 'w:br':
+            case 'w:cr':
+                // 分页符、分栏符只影响版面，不是换行
+                if (!['page', 'column'].includes(child.getAttribute('w:type'))) {
+                    text += '<br>';
+                }
+                break;
+            case 'w:noBreakHyphen':
+                text += '-';
+                break;
+            case 'w:drawing':
+            case 'w:pict':
+                text += convertPicture(child, context);
+                break;
+            case 'w:footnoteReference':
+            case 'w:endnoteReference': {
+                const kind = child.tagName === 'w:footnoteReference' ? 'footnote' : 'endnote';
+                const id = `${kind === 'footnote' ? 'ftn' : 'edn'}${escapeHtml(child.getAttribute('w:id') || '')}`;
+                text += `<a style="mso-${kind}-id:${id}" href="#_${id}">[${id}]</a>`;
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    if (!text) return '';
+
+    // 段落为等宽字体时，其中显式设置为其他字体的文字也需要保留字体，避免整段被识别为代码
+    if (runFont && (isMonospace || isMonospaceFont(context.paragraphFont))) {
+        text = `<span style="font-family:${escapeHtml(runFont)}">${text}</span>`;
+    }
+    const styleClass = getStyleClass(childVal(rPr, 'w:rStyle'), context);
+    if (styleClass) text = `<span class="${styleClass}">${text}</span>`;
+    if (isRunToggleOn(rPr, 'w:b', 'bold', context)) text = `<b>${text}</b>`;
+    if (isRunToggleOn(rPr, 'w:i', 'italic', context)) text = `<i>${text}</i>`;
+    const underline = childVal(rPr, 'w:u');
+    if (firstChild(rPr, 'w:u') && underline !== 'none') text = `<u>${text}</u>`;
+    if (isToggleOn(rPr, 'w:strike') || isToggleOn(rPr, 'w:dstrike')) text = `<s>${text}</s>`;
+    // 脚注引用的上标由 <fn> 表示，不再包裹 sup
+    const vertAlign = childVal(rPr, 'w:vertAlign');
+    const isNoteReference = run.getElementsByTagName('w:footnoteReference').length ||
+        run.getElementsByTagName('w:endnoteReference').length;
+    if (vertAlign === 'superscript' && !isNoteReference) text = `<sup>${text}</sup>`;
+    if (vertAlign === 'subscript' && !isNoteReference) text = `<sub>${text}</sub>`;
+    const highlight = childVal(rPr, 'w:highlight');
+    if (highlight && highlight !== 'none') text = `<mark>${text}</mark>`;
+
+    return text;
+}
+
+module.exports = {
+    docxToHtml,
+    INVALID_DOCX,
+};
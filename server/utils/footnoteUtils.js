@@ -0,0 +1,115 @@
+const { JSDOM } = require('jsdom');
+
+// 脚注/尾注正文容器，如 <div style="mso-element:footnote" id="ftn1">
+const NOTE_ELEMENT_REGEX = /mso-element:\s*(footnote|endnote)\s*(;|$)/i;
+// 脚注/尾注列表容器，如 <div style="mso-element:footnote-list">
+const NOTE_LIST_REGEX = /mso-element:\s*(footnote|endnote)-list/i;
+// 正文中的引用链接 href="#_ftn1" / "#_edn1"，以及脚注中指回正文的链接 href="#_ftnref1"
+const NOTE_REFERENCE_HREF_REGEX = /^#_((?:ftn|edn)\d+)$/i;
+const NOTE_BACKLINK_HREF_REGEX = /^#_(?:ftn|edn)ref\d+$/i;
+
+/**
+ * 识别 Word 的脚注和尾注
+ *
+ * Word 复制的 HTML 中，脚注引用是带 mso-footnote-id 样式、href="#_ftn1" 的链接，
+ * 脚注正文集中在文末的 <div style="mso-element:footnote-list"> 中 (尾注为 endnote/#_edn1)。
+ * 在 basicTextCleanup 之后、removeUnwantedTags 和 cleanSelectiveStyles 清理 mso 样式之前执行:
+ * 1. 收集脚注正文 (去掉指回正文的编号链接)，移除文末的脚注列表
+ * 2. 只引用一次的脚注: 引用链接替换为 <fn>脚注内容</fn>
+ * 3. 被多次引用的脚注 (如交叉引用): 第一次引用处放置 <fn id="ftn1">，
+ *    每个引用处使用 <xref type="fn" href="#./ftn1"/>
+ * 尾注同样转换为 <fn>，并标记 outputclass="endnote"。
+ *
+ * @param {string} html - 要处理的HTML
+ * @param {Object} [options]
+ * @param {string[]} [options.warnings] - 收集警告信息 (找不到正文的脚注引用)
+ * @returns {string} - 处理后的HTML
+ */
+function convertFootnotes(html, options = {}) {
+    if (!html || !/mso-(?:footnote|endnote)|href=["']?#_(?:ftn|edn)\d/i.test(html)) return html;
+
+    try {
+        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
+        const document = dom.window.document;
+
+        // 1. 收集脚注正文
+        const notes = new Map();
+        document.querySelectorAll('[style]').forEach(element => {
+            const match = (element.getAttribute('style') || '').match(NOTE_ELEMENT_REGEX);
+            const id = element.getAttribute('id');
+            if (!match || !id) return;
+
+            element.querySelectorAll('a').forEach(link => {
+                if (NOTE_BACKLINK_HREF_REGEX.test(link.getAttribute('href') || '')) link.remove();
+            });
+            // 去掉编号后的空格
+            const walker = document.createTreeWalker(element, dom.window.NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                const node = walker.currentNode;
+                node.textContent = node.textContent.replace(/^\s+/, '');
+                if (node.textContent) break;
+            }
+            // fn 位于段落中，多段脚注合并为一段
+            const paragraphs = Array.from(element.children).filter(child => child.tagName.toLowerCase() === 'p');
+            const content = (paragraphs.length ? paragraphs : [element])
+                .map(paragraph => paragraph.innerHTML.trim())
+                .filter(Boolean)
+                .join(' ');
+            notes.set(id.toLowerCase(), { content, endnote: match[1].toLowerCase() === 'endnote' });
+            element.remove();
+        });
+
+        document.querySelectorAll('[style]').forEach(element => {
+            if (NOTE_LIST_REGEX.test(element.getAttribute('style') || '')) element.remove();
+        });
+
+        // 2. 统计引用次数
+        const references = Array.from(document.querySelectorAll('a[href]')).filter(link =>
+            NOTE_REFERENCE_HREF_REGEX.test(link.getAttribute('href'))
+        );
+        const counts = new Map();
+        references.forEach(link => {
+            const id = link.getAttribute('href').match(NOTE_REFERENCE_HREF_REGEX)[1].toLowerCase();
+            counts.set(id, (counts.get(id) || 0) + 1);
+        });
+
+        // 3. 替换引用
+        const placed = new Set();
+        references.forEach(link => {
+            const id = link.getAttribute('href').match(NOTE_REFERENCE_HREF_REGEX)[1].toLowerCase();
+            const note = notes.get(id);
+            if (!note) {
+                (options.warnings || []).push(`找不到脚注内容，已移除引用: ${id}`);
+                link.remove();
+                return;
+            }
+
+            const fragment = document.createDocumentFragment();
+            const reused = counts.get(id) > 1;
+            if (!placed.has(id)) {
+                const fn = document.createElement('fn');
+                if (reused) fn.setAttribute('id', id);
+                if (note.endnote) fn.setAttribute('outputclass', 'endnote');
+                fn.innerHTML = note.content;
+                fragment.appendChild(fn);
+                placed.add(id);
+            }
+            if (reused) {
+                const xref = document.createElement('xref');
+                xref.setAttribute('type', 'fn');
+                xref.setAttribute('href', `#./${id}`);
+                fragment.appendChild(xref);
+            }
+            link.replaceWith(fragment);
+        });
+
+        return document.body.innerHTML;
+    } catch (error) {
+        console.error('脚注识别错误:', error);
+        return html;
+    }
+}
+
+module.exports = {
+    convertFootnotes,
+};
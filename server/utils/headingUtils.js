@@ -0,0 +1,160 @@
+const { generateId } = require('./ditaTopic');
+const { stripLeadingText } = require('./leadPhraseUtils');
+
+/**
+ * 标题层级模式
+ * - flat: 默认，第一个 h1 为标题，其余标题降级为加粗文本 (cleanHeadingTags)
+ * - sections: h2-h6 转换为嵌套的 <section>
+ * - topics: 每个标题转换为嵌套的子 <topic>
+ */
+const HEADING_MODES = ['flat', 'sections', 'topics'];
+
+/**
+ * 标题编号前缀
+ * - 带点的多级编号: "1."、"1.2"、"1.2.3."
+ * - 一到两位数字后跟空白: "3 安装" (不匹配 "2024 年度报告" 这类年份)
+ * - 中文编号: "第3章"、"第一节"、"一、"、"（二）"
+ */
+const HEADING_NUMBER_REGEX = /^\s*(?:[0-9]+(?:\.[0-9]+)*\.(?:[0-9]+)?|[0-9]+(?:\.[0-9]+)+|[0-9]{1,2}(?=\s)|第[0-9一二三四五六七八九十百]+[章节部篇条]|[一二三四五六七八九十]+、|[(（][0-9一二三四五六七八九十]+[)）])\s*/;
+
+/**
+ * 移除标题开头的编号前缀
+ * @param {Element} heading
+ */
+function stripHeadingNumber(heading) {
+    const text = heading.textContent.replace(/^\s+/, '');
+    const match = text.match(HEADING_NUMBER_REGEX);
+    // 只有编号没有标题文字时保留原样
+    if (match && text.slice(match[0].length).trim()) {
+        stripLeadingText(heading, match[0].trim().length);
+        // stripLeadingText 只清理冒号分隔符，这里再清理编号后的空白
+        const first = heading.firstChild;
+        if (first && first.nodeType === 3) {
+            first.textContent = first.textContent.replace(/^\s+/, '');
+        }
+    }
+}
+
+function getHeadingLevel(node) {
+    if (node.nodeType !== 1) return 0;
+    const match = node.tagName.match(/^H([1-6])$/i);
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * 按标题层级构建嵌套结构，替代 cleanHeadingTags
+ *
+ * 规则:
+ * 1. 第一个顶层 h1 作为整体标题 (与 cleanHeadingTags 一致)
+ * 2. 其余标题按级别嵌套: 遇到级别为 L 的标题时，回退到最近一个级别小于 L 的节点，
+ *    并在其中创建子节点，因此 h2 后直接出现 h4 也能正确嵌套
+ * 3. 其余 h1 视为 h2 (整体标题之下的第一级)
+ * 4. 默认移除标题中的 "1.2.3"、"第3章" 等编号前缀
+ *
+ * sections 模式输出 <section><dita-title>...，topics 模式输出
+ * <dita-topic id><dita-title>...<dita-body>...</dita-body><dita-topic>...</dita-topic></dita-topic>，
+ * 自定义标签在 restoreDitaTags 中还原。
+ *
+ * 注意: DITA DTD 不允许 section 嵌套，需要严格校验时请使用 topics 模式。
+ *
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ * @param {Object} [options]
+ * @param {string} [options.headingMode='sections'] - sections | topics
+ * @param {boolean} [options.stripHeadingNumbers=true] - 是否移除标题编号前缀
+ */
+function buildHeadingHierarchy(document, options = {}) {
+    const mode = options.headingMode === 'topics' ? 'topics' : 'sections';
+    const stripNumbers = options.stripHeadingNumbers !== false;
+
+    const body = document.body;
+    const usedIds = new Set();
+
+    function uniqueId(titleHtml) {
+        const base = generateId(titleHtml, options.topicType || 'topic');
+        let id = base;
+        for (let n = 2; usedIds.has(id); n++) {
+            id = `${base}_${n}`;
+        }
+        usedIds.add(id);
+        return id;
+    }
+
+    // 创建一个层级节点，返回 { level, element, content }
+    // content 为正文内容的容器，子节点统一追加到 element
+    function createNode(level, heading) {
+        let titleElement = null;
+        if (heading) {
+            if (stripNumbers) stripHeadingNumber(heading);
+            titleElement = document.createElement('dita-title');
+            while (heading.firstChild) {
+                titleElement.appendChild(heading.firstChild);
+            }
+        }
+
+        if (mode === 'topics') {
+            const topic = document.createElement('dita-topic');
+            if (titleElement) {
+                topic.setAttribute('id', uniqueId(titleElement.innerHTML));
+                topic.appendChild(titleElement);
+            }
+            const topicBody = document.createElement('dita-body');
+            topic.appendChild(topicBody);
+            return { level, element: topic, content: topicBody };
+        }
+
+        const section = document.createElement('section');
+        if (titleElement) section.appendChild(titleElement);
+        return { level, element: section, content: section };
+    }
+
+    const children = Array.from(body.childNodes);
+    const rootHeading = children.find(node => getHeadingLevel(node) === 1) || null;
+    // topics 模式始终需要根主题；sections 模式只有存在 h1 时才包裹根 section
+    const root = rootHeading || mode === 'topics'
+        ? createNode(rootHeading ? 1 : 0, rootHeading)
+        : { level: 0, element: null, content: null };
+
+    const output = document.createDocumentFragment();
+    const stack = [root];
+
+    for (const node of children) {
+        if (node === rootHeading) {
+            node.remove();
+            continue;
+        }
+
+        let level = getHeadingLevel(node);
+        if (level) {
+            level = Math.max(level, root.level + 1);
+            while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+                stack.pop();
+            }
+            const parent = stack[stack.length - 1];
+            const child = createNode(level, node);
+            node.remove();
+            (parent.element || output).appendChild(child.element);
+            stack.push(child);
+            continue;
+        }
+
+        const current = stack[stack.length - 1];
+        (current.content || output).appendChild(node);
+    }
+
+    if (root.element) {
+        output.insertBefore(root.element, output.firstChild);
+    }
+
+    // 移除空的 dita-body，保持结构简洁
+    output.querySelectorAll('dita-body').forEach(topicBody => {
+        if (!topicBody.childNodes.length) topicBody.remove();
+    });
+
+    body.innerHTML = '';
+    body.appendChild(output);
+}
+
+module.exports = {
+    HEADING_MODES,
+    buildHeadingHierarchy,
+};
@@ -1,102 +1,152 @@
-const { JSDOM } = require('jsdom');
+const { performance } = require('perf_hooks');
+const { normalizeDialect } = require('./dialects');
+const { classifyListMarker } = require('./dialects/listUtils');
+const { wrapDitaTopic } = require('./ditaTopic');
+const { buildHeadingHierarchy } = require('./headingUtils');
+const { splitDitaTopics } = require('./ditaSplit');
+const { collectCodeStyles, protectPreformattedText, markCodeStyles, convertCodeBlocks } = require('./codeUtils');
+const { markShadedTables, convertNotes } = require('./noteUtils');
+const { markCaptions, convertCaptions } = require('./captionUtils');
+const { convertDefinitionLists } = require('./definitionListUtils');
+const { convertFootnotes } = require('./footnoteUtils');
+const { removeTocEntries, convertLinks } = require('./linkUtils');
+const { convertLineBreaks } = require('./lineBreakUtils');
+const { applyStyleMapping } = require('./styleMappingUtils');
+const { StageRegistry, runStages, recordSnapshot, loadPlugins } = require('./pipeline');
+
+// 删除线文字的处理方式: keep 转换为 <line-through>，drop 连同文字删除
+const STRIKETHROUGH_MODES = ['keep', 'drop'];
+
+// 需要保留 id 的元素: 脚注 (被 <xref type="fn"> 引用)
+const ID_ELEMENTS = new Set(['fn']);
 
 /**
  * 清理和规范化 HTML 内容
  * @param {string} html - 要清理的HTML
+ * @param {Object} [options] - 转换选项
+ * @param {boolean} [options.fullDocument] - 是否输出完整的 DITA 主题文档 (见 wrapDitaTopic)
+ * @param {string} [options.topicType] - 主题类型: topic | concept | task | reference
+ * @param {Object} [options.taskLeadPhrases] - task 中 prereq/context 等部分的引导词
+ * @param {string} [options.headingMode] - 标题层级模式: flat | sections | topics (见 buildHeadingHierarchy)
+ * @param {Object} [options.noteLeadPhrases] - 注释类型 -> 引导词 (见 convertNotes)
+ * @param {boolean} [options.noteTables] - 是否将单格表格转换为注释，默认 true
+ * @param {boolean} [options.definitionLists] - 是否识别定义列表，默认关闭 (见 convertDefinitionLists)
+ * @param {number} [options.definitionListMinEntries] - 定义列表的最少条目数
+ * @param {number} [options.definitionListMaxTermLength] - 定义列表术语的最大长度
+ * @param {string[]|string} [options.peerDomains] - 同级站点域名 (见 convertLinks)
+ * @param {string} [options.strikethrough] - 删除线文字的处理: keep (默认，转换为 <line-through>) | drop (连同文字删除)
+ * @param {string} [options.lineBreaks] - 段落中软换行的处理: split (默认) | lines | space (见 convertLineBreaks)
+ * @param {Object} [options.styleMapping] - Word 样式名 -> DITA 元素 (见 applyStyleMapping)
+ * @param {Object} [options.pipelineProfile] - 流水线配置: 调整处理阶段的顺序、开启或跳过阶段 (见 StageRegistry.resolve)
+ * @param {string[]} [options.warnings] - 收集转换过程中的警告 (如找不到对应图表的题注、脚注内容)
+ * @param {Object[]} [options.snapshots] - 传入数组时收集输入和每个阶段之后的 HTML 及耗时 (见 recordSnapshot)
  * @returns {string} - 清理后的HTML
  */
-function cleanHtml(html) {
+function cleanHtml(html, options = {}) {
     if (!html) return '';
 
     try {
-        // =================================================================
-        // 阶段 1: 基础文本清理
-        // 目标: 移除注释、空行、规范化空格，为后续处理提供干净的输入
-        // =================================================================
-        html = basicTextCleanup(html);
-
-        // =================================================================
-        // 阶段 2: 移除不需要的标签和属性
-        // 目标: 移除脚本、样式块、XML命名空间、Word特有标记等
-        // =================================================================
-        html = removeUnwantedTags(html);
-
-        // 清理样式，只保留指定样式 (加粗、斜体、下划线、列表样式、宽度)
-        html = cleanSelectiveStyles(html);
-
-        // =================================================================
-        // 阶段 3: 列表处理
-        // 目标: 识别 Word 的 mso-list 样式，转换为标准的 HTML 列表结构
-        // =================================================================
-        
-        // 添加列表层级class
-        html = addListLevelClasses(html);
-
-        // 清理align属性
-        html = cleanAlignAttributes(html);
-        
-        html = removeFontTags(html);
-
-        // 转换为嵌套列表
-        html = convertMsoListToNestedLists(html);
-
-
-        // =================================================================
-        // 阶段 4: 进一步清理和规范化
-        // =================================================================
-
-        // 清理特殊字符
-        html = cleanSpecialCharacters(html);
-
-        // 移除空属性
-        html = cleanEmptyAttributes(html);
-
-
-        // =================================================================
-        // 阶段 5: 结构规范化与样式清理
-        // 目标: 转换 div 为 p，清理样式标签，移除空标签等
-        // =================================================================
-
-        // div标签转换成p标签
-        html = convertDivToP(html);
-
-        // 清理样式（提前执行，将样式转换为标签，防止被后续移除span的操作误删）
-        // 注意: 表格宽度样式在此步骤中被保留，供 processTables 使用
-        html = cleanAllStyles(html);
-
-        // 清理标签
-        html = cleanEmptyTags(html);
+        html = runCleanStages(html, options);
+        return finishClean(html, options);
+    } catch (error) {
+        console.error('HTML清理错误:', error);
+        return html;
+    }
+}
 
-        html = cleanLineBreaksAndDecorations(html);
-        
-        // 处理span标签，保留内容
-        html = removeSpans(html);
+/**
+ * 将 HTML 拆分为 DITA map 和多个主题文件
+ *
+ * 执行与 cleanHtml 相同的清理阶段，标题层级固定为 topics 模式，
+ * 然后按 options.splitLevel 拆分 (见 splitDitaTopics)。
+ *
+ * @param {string} html - 要转换的HTML
+ * @param {Object} [options] - 转换选项，同 cleanHtml，另外:
+ * @param {number} [options.splitLevel=2] - 拆分的标题级别
+ * @returns {{topics: Array<{id: string, path: string, content: string}>, map: {path: string, content: string}}}
+ */
+function splitHtml(html, options = {}) {
+    const topicsOptions = { ...options, headingMode: 'topics' };
+    return finishSplit(runCleanStages(html || '', topicsOptions), topicsOptions);
+}
 
-        // 清理属性
-        html = cleanClassAndIdAttributes(html);
+/**
+ * cleanHtml 的清理阶段 (包装和还原 DITA 标签之前)
+ * 按 options.pipelineProfile 从注册表中选出要执行的阶段 (见 StageRegistry.resolve)
+ * @param {string} html - 要清理的HTML
+ * @param {Object} [options] - 转换选项，同 cleanHtml
+ * @param {string} [format='html'] - 输入格式: html | markdown
+ * @returns {string} - 处理中的HTML (dita-* 标签尚未还原)
+ */
+function runCleanStages(html, options = {}, format = 'html') {
+    recordSnapshot(options, 'input', html);
+    return runStages(stageRegistry.resolve(options.pipelineProfile, format), html, options);
+}
 
-        // =================================================================
-        // 阶段 6: 最终转换和还原
-        // 目标: 处理 JSDOM 无法处理的特殊情况，还原 DITA 标签
-        // =================================================================
+/**
+ * 按需包装为完整的 DITA 主题文档，并还原 DITA 标签
+ */
+function finishClean(html, options) {
+    if (options.fullDocument) {
+        const wrapStart = performance.now();
+        html = wrapDitaTopic(html, options);
+        recordSnapshot(options, 'wrapDitaTopic', html, wrapStart);
+    }
 
-        // 处理jsdom无法处理的特殊情况
-        // 包括: 表格转换 (processTables), 链接转换 (xref), 标题转换 (title/section)
-        html = doExtraTransformJsdomCantHandle(html);
+    const restoreStart = performance.now();
+    html = restoreDitaTags(html);
+    recordSnapshot(options, 'restoreDitaTags', html, restoreStart);
+    return html;
+}
 
-        // 合并连续的内联标签
-        html = mergeConsecutiveInlineTags(html);
+/**
+ * 还原拆分结果中的 DITA 标签
+ */
+function finishSplit(html, options) {
+    const { topics, map } = splitDitaTopics(html, options);
+    return {
+        topics: topics.map(topic => ({
+            ...topic,
+            content: restoreDitaTags(topic.content)
+        })),
+        map
+    };
+}
 
-        // 还原 DITA 标签
-        html = restoreDitaTags(html);
+/**
+ * 将 Markdown 生成的 HTML 转换为 DITA
+ *
+ * Markdown 生成的 HTML 结构规范，没有 Word 的 mso 样式、冗余 span 等，
+ * 因此只执行 markdown 为 true 的阶段 (表格、链接、标题等结构转换) 和 DITA 标签还原，
+ * 保证输出与 Word 输入一致。
+ * 注意: 不能执行 basicTextCleanup，否则代码块中的换行和缩进会丢失。
+ *
+ * @param {string} html - markdownToHtml 的输出
+ * @param {Object} [options] - 转换选项，同 cleanHtml
+ * @returns {string} - 转换后的HTML
+ */
+function cleanMarkdownHtml(html, options = {}) {
+    if (!html) return '';
 
-        return html;
+    try {
+        html = runCleanStages(html, options, 'markdown');
+        return finishClean(html, options);
     } catch (error) {
-        console.error('HTML清理错误:', error);
+        console.error('Markdown HTML转换错误:', error);
         return html;
     }
 }
 
+/**
+ * 将 Markdown 生成的 HTML 拆分为 DITA map 和多个主题文件
+ * @param {string} html - markdownToHtml 的输出
+ * @param {Object} [options] - 转换选项，同 splitHtml
+ * @returns {{topics: Array<{id: string, path: string, content: string}>, map: {path: string, content: string}}}
+ */
+function splitMarkdownHtml(html, options = {}) {
+    const topicsOptions = { ...options, headingMode: 'topics' };
+    return finishSplit(runCleanStages(html || '', topicsOptions, 'markdown'), topicsOptions);
+}
 
 /**
  * 阶段 1: 基础文本清理
@@ -111,20 +161,21 @@ function basicTextCleanup(html) {
 
 /**
  * 阶段 2: 移除不需要的标签和属性
- * 移除脚本、样式块、XML命名空间、Word特有标记等
+ * 移除脚本、样式块、XML命名空间、Word特有标记、无法获取的图片等
  */
 function removeUnwantedTags(html) {
     return html
         .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-        .replace(/<(!|script[^>]*>[\s\S]*?<\/script(?=[>\s])|\/?(\?xml(:\w+)?|img|meta|link|\w:\w+)(?=[\s\/>]))[^>]*>/gi, '')
+        .replace(/<(!|script[^>]*>[\s\S]*?<\/script(?=[>\s])|\/?(\?xml(:\w+)?|meta|link|\w:\w+)(?=[\s\/>]))[^>]*>/gi, '')
+        // 只保留 extractImages 处理过的图片 (已打包的 images/ 路径或远程地址)
+        .replace(/<img\b(?![^>]*\ssrc="(?:images\/|https?:\/\/))[^>]*>/gi, '')
         .replace(/<html[^>]*>/i, '<html>')
         .replace(/<\/?[a-z]*:[^>]*>/gi, '')
-        .replace(/class="?Mso[a-zA-Z]+"/g, '')
-        .replace(/<div[^>]*tdoc-data-src="[^"]*"[^>]*>[\s\S]*?<\/div>/gi, '');
+        .replace(/class="?Mso[a-zA-Z]+"/g, '');
 }
 
 /**
- * 清理样式，只保留加粗、斜体、下划线、msolist相关的样式，以及msolist元素的marginleft
+ * 清理样式，只保留加粗、斜体、下划线、删除线、上划线、上下标、突出显示、msolist相关的样式，以及msolist元素的marginleft
  * @param {string} html - 要清理的HTML
  * @returns {string} - 处理后的HTML
  */
@@ -153,9 +204,12 @@ function cleanSelectiveStyles(html) {
                 if (
                     /^mso-list:/i.test(declaration) || // 列表相关
                     (hasMsoList && /^margin-left:/i.test(declaration)) || // 只有mso-list元素的margin-left才保留
-                    /^font-weight:\s*bold/i.test(declaration) || // 加粗
+                    isBoldDeclaration(declaration) || // 加粗 (bold 或 600 以上的数值字重)
                     /^font-style:\s*italic/i.test(declaration) || // 斜体
                     /^text-decoration:\s*underline/i.test(declaration) || // 下划线
+                    /^text-decoration(-line)?:[^;]*\b(line-through|overline)\b/i.test(declaration) || // 删除线、上划线
+                    /^vertical-align:\s*(super|sub)\b/i.test(declaration) || // 上标、下标
+                    isHighlightDeclaration(declaration) || // 突出显示
                     /^width:/i.test(declaration) // 宽度
                 ) {
                     preserved.push(declaration);
@@ -173,6 +227,25 @@ function cleanSelectiveStyles(html) {
     }
 }
 
+/**
+ * 判断样式声明是否表示加粗
+ * 支持 bold/bolder 以及 Google Docs、飞书使用的数值字重 (600-900)
+ * @param {string} declaration - 单条样式声明，如 "font-weight: 700"
+ * @returns {boolean}
+ */
+function isBoldDeclaration(declaration) {
+    return /^\s*font-weight:\s*(bold|bolder|[6-9]00)\s*$/i.test(declaration);
+}
+
+/**
+ * 判断样式声明是否表示 Word 的突出显示 (mso-highlight)
+ * @param {string} declaration - 单条样式声明，如 "mso-highlight: yellow"
+ * @returns {boolean}
+ */
+function isHighlightDeclaration(declaration) {
+    return /^\s*mso-highlight:\s*(?!none\b)\S/i.test(declaration);
+}
+
 /**
  * 动态分析列表层级并添加对应的class
  * 
@@ -297,61 +370,33 @@ function addListLevelClasses(html) {
 
 /**
  * 清理所有标签的align属性
- * @param {string} html - 要处理的HTML
- * @returns {string} - 处理后的HTML
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function cleanAlignAttributes(html) {
-    if (!html) return '';
-
-    try {
-        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`, {
-            // 设置选项以保持原始HTML格式
-            includeNodeLocations: true
-        });
-        const document = dom.window.document;
-
-        // 获取所有带有align属性的元素
-        const elementsWithAlign = document.querySelectorAll('[align]');
-        if (elementsWithAlign.length === 0) {
-            return html; // 如果没有align属性，直接返回原始HTML
-        }
-
-        // 记录所有需要处理的元素的原始状态
-        const modifications = Array.from(elementsWithAlign).map(element => {
-            const tempDiv = document.createElement('div');
-            tempDiv.appendChild(element.cloneNode(true));
-            return {
-                original: tempDiv.innerHTML,
-                element: element
-            };
-        });
-
-        // 移除align属性
-        elementsWithAlign.forEach(element => {
-            element.removeAttribute('align');
-        });
-
-        // 使用字符串替换而不是整个DOM序列化
-        let result = html;
-        for (const mod of modifications) {
-            const tempDiv = document.createElement('div');
-            tempDiv.appendChild(mod.element.cloneNode(true));
-            const newContent = tempDiv.innerHTML;
-            result = result.replace(mod.original, newContent);
-        }
+function cleanAlignAttributes(document) {
+    document.body.querySelectorAll('[align]').forEach(element => {
+        element.removeAttribute('align');
+    });
+}
 
-        return result;
-    } catch (error) {
-        console.error('清理align属性错误:', error);
-        return html;
+/**
+ * 移除元素但保留其内容
+ * @param {Element} element
+ */
+function unwrapElement(element) {
+    const parent = element.parentNode;
+    if (!parent) return;
+    while (element.firstChild) {
+        parent.insertBefore(element.firstChild, element);
     }
+    parent.removeChild(element);
 }
 
 /**
  * 移除 font 标签但保留内容
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function removeFontTags(html) {
-    return html.replace(/<font[^>]*>([\s\S]*?)<\/font>/gi, '$1');
+function removeFontTags(document) {
+    document.body.querySelectorAll('font').forEach(unwrapElement);
 }
 
 /**
@@ -365,33 +410,8 @@ function getListType(listItem) {
 
     const marker = markerSpan.textContent.trim();
 
-    // 检查是否是字母列表（a. b. c. 或 A. B. C.）
-    if (/^[a-zA-Z][\.\)]/.test(marker)) {
-        return 'ol';
-    }
-
-    // 检查是否是数字列表（1. 2. 3.）
-    if (/^[0-9]+\./.test(marker)) {
-        return 'ol';
-    }
-
-    // 检查是否是罗马数字列表（i. ii. iii. 或 I. II. III.）
-    if (/^[ivxlcdmIVXLCDM]+\./.test(marker)) {
-        return 'ol';
-    }
-
-    // 检查是否是中文数字列表
-    if (/^[\u3007\u4e00-\u4e5d\u58f1-\u62fe]+\./.test(marker)) {
-        return 'ol';
-    }
-
-    // 检查是否是项目符号列表（•, ·, §, ○ 等）
-    if (/^[\u2022\u00b7\u00a7\u25CF\u25CB\u25E6\u2023\u2043]/.test(marker)) {
-        return 'ul';
-    }
-
-    // 默认返回无序列表
-    return 'ul';
+    // 数字、字母、罗马数字、中文数字为有序列表，项目符号或无法识别时为无序列表
+    return classifyListMarker(marker) || 'ul';
 }
 
 /**
@@ -405,400 +425,463 @@ function getListType(listItem) {
  *    - 根据 marker (1., a., •) 判断列表类型 (ol/ul)
  *    - 动态创建和嵌套 ul/ol/li 元素
  * 
- * @param {string} html 
- * @returns {string}
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function convertMsoListToNestedLists(html) {
-    if (!html) return '';
-
-    try {
-        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
-        const document = dom.window.document;
-
-        // 规范地处理document和section结构
-        const documentDiv = document.querySelector('div.document');
-        if (documentDiv) {
-            const sectionDiv = documentDiv.querySelector('div.section');
-            if (sectionDiv) {
-                // 将section的内容移到body中
-                while (sectionDiv.firstChild) {
-                    documentDiv.parentNode.insertBefore(sectionDiv.firstChild, documentDiv);
-                }
-                // 移除空的document和section div
-                documentDiv.remove();
+function convertMsoListToNestedLists(document) {
+    // 规范地处理document和section结构
+    const documentDiv = document.querySelector('div.document');
+    if (documentDiv) {
+        const sectionDiv = documentDiv.querySelector('div.section');
+        if (sectionDiv) {
+            // 将section的内容移到body中
+            while (sectionDiv.firstChild) {
+                documentDiv.parentNode.insertBefore(sectionDiv.firstChild, documentDiv);
             }
+            // 移除空的document和section div
+            documentDiv.remove();
         }
+    }
 
-        const body = document.body;
-        // 新建一个数组用于收集最终的节点顺序
-        const newNodes = [];
-        let buffer = [];
-
-        // 工具函数：处理buffer为嵌套列表
-        function bufferToList(buffer) {
-            if (buffer.length === 0) return null;
-            // 复用原有的嵌套逻辑
-            let rootList = null;
-            let currentList = null;
-            let previousLevel = 0;
-            let currentListType = 'ul';
-            for (let i = 0; i < buffer.length; i++) {
-                const para = buffer[i];
-
-                const levelMatch = para.getAttribute('class')?.match(/list-level-(\d+)/);
-                const level = levelMatch ? parseInt(levelMatch[1]) : 1;
-                const listType = getListType(para);
-                const markerSpan = para.querySelector('span[style*="mso-list:Ignore"]');
-                if (markerSpan) {
-                    markerSpan.parentNode.removeChild(markerSpan);
+    const body = document.body;
+    // 新建一个数组用于收集最终的节点顺序
+    const newNodes = [];
+    let buffer = [];
+
+    // 工具函数：处理buffer为嵌套列表
+    function bufferToList(buffer) {
+        if (buffer.length === 0) return null;
+        // 复用原有的嵌套逻辑
+        let rootList = null;
+        let currentList = null;
+        let previousLevel = 0;
+        let currentListType = 'ul';
+        for (let i = 0; i < buffer.length; i++) {
+            const para = buffer[i];
+
+            const levelMatch = para.getAttribute('class')?.match(/list-level-(\d+)/);
+            const level = levelMatch ? parseInt(levelMatch[1]) : 1;
+            const listType = getListType(para);
+            const markerSpan = para.querySelector('span[style*="mso-list:Ignore"]');
+            if (markerSpan) {
+                markerSpan.parentNode.removeChild(markerSpan);
+            }
+            const content = para.innerHTML.trim();
+            const li = document.createElement('li');
+            li.innerHTML = content;
+            if (level === 1) {
+                if (!rootList || previousLevel === 0) {
+                    rootList = document.createElement(listType);
+                    currentList = rootList;
+                    currentListType = listType;
                 }
-                const content = para.innerHTML.trim();
-                const li = document.createElement('li');
-                li.innerHTML = content;
-                if (level === 1) {
-                    if (!rootList || previousLevel === 0) {
-                        rootList = document.createElement(listType);
-                        currentList = rootList;
+                currentList = rootList;
+                if (currentList) currentList.appendChild(li);
+            } else {
+                if (level > previousLevel) {
+                    const subList = document.createElement(listType);
+                    const lastItem = currentList ? currentList.lastElementChild : null;
+                    if (lastItem) {
+                        lastItem.appendChild(subList);
+                        currentList = subList;
                         currentListType = listType;
+                    } else if (currentList) {
+                        // fallback: 没有lastItem但有currentList
+                        currentList.appendChild(subList);
+                        currentList = subList;
+                        currentListType = listType;
+                    } else {
+                        // fallback: currentList为null，直接新建根列表
+                        currentList = subList;
+                        currentListType = listType;
+                        if (!rootList) rootList = currentList;
                     }
-                    currentList = rootList;
-                    if (currentList) currentList.appendChild(li);
-                } else {
-                    if (level > previousLevel) {
-                        const subList = document.createElement(listType);
-                        const lastItem = currentList ? currentList.lastElementChild : null;
-                        if (lastItem) {
-                            lastItem.appendChild(subList);
-                            currentList = subList;
-                            currentListType = listType;
-                        } else if (currentList) {
-                            // fallback: 没有lastItem但有currentList
-                            currentList.appendChild(subList);
-                            currentList = subList;
-                            currentListType = listType;
-                        } else {
-                            // fallback: currentList为null，直接新建根列表
-                            currentList = subList;
-                            currentListType = listType;
-                            if (!rootList) rootList = currentList;
-                        }
-                    } else if (level < previousLevel) {
-                        for (let j = 0; j < (previousLevel - level); j++) {
-                            if (currentList && currentList.parentElement && currentList.parentElement.parentElement) {
-                                currentList = currentList.parentElement.parentElement;
-                            }
-                        }
-                    } else if (level === previousLevel && listType !== currentListType) {
-                        const newList = document.createElement(listType);
-                        if (currentList && currentList.parentElement) {
-                            currentList.parentElement.appendChild(newList);
-                            currentList = newList;
-                            currentListType = listType;
-                        } else if (!currentList) {
-                            currentList = newList;
-                            currentListType = listType;
-                            if (!rootList) rootList = currentList;
+                } else if (level < previousLevel) {
+                    for (let j = 0; j < (previousLevel - level); j++) {
+                        if (currentList && currentList.parentElement && currentList.parentElement.parentElement) {
+                            currentList = currentList.parentElement.parentElement;
                         }
                     }
-                    if (currentList) {
-                        currentList.appendChild(li);
+                } else if (level === previousLevel && listType !== currentListType) {
+                    const newList = document.createElement(listType);
+                    if (currentList && currentList.parentElement) {
+                        currentList.parentElement.appendChild(newList);
+                        currentList = newList;
+                        currentListType = listType;
+                    } else if (!currentList) {
+                        currentList = newList;
+                        currentListType = listType;
+                        if (!rootList) rootList = currentList;
                     }
                 }
-                previousLevel = level;
+                if (currentList) {
+                    currentList.appendChild(li);
+                }
             }
-            return rootList;
+            previousLevel = level;
         }
+        return rootList;
+    }
 
-        // 顺序遍历body的所有子节点
-        let node = body.firstChild;
-        while (node) {
-            const nextNode = node.nextSibling; // 先保存下一个节点
-            
-            const isListPara = node.nodeType === 1 && 
-                               node.tagName.toLowerCase() === 'p' && 
-                               node.getAttribute('style') && 
-                               node.getAttribute('style').includes('mso-list');
-
-            if (isListPara) {
-                buffer.push(node);
-            } else if (node.nodeType === 3 && !node.textContent.trim()) {
-                // 忽略列表项之间的空白文本节点，防止列表被打断
-                if (buffer.length === 0) {
-                    newNodes.push(node);
-                }
-                // 如果 buffer 不为空，则忽略该空白节点（视为列表项之间的间隔）
-            } else {
-                if (buffer.length) {
-                    const list = bufferToList(buffer);
-                    if (list) newNodes.push(list);
-                    buffer = [];
-                }
+    // 顺序遍历body的所有子节点
+    let node = body.firstChild;
+    while (node) {
+        const nextNode = node.nextSibling; // 先保存下一个节点
+        
+        const isListPara = node.nodeType === 1 && 
+                           node.tagName.toLowerCase() === 'p' && 
+                           node.getAttribute('style') && 
+                           node.getAttribute('style').includes('mso-list');
+
+        if (isListPara) {
+            buffer.push(node);
+        } else if (node.nodeType === 3 && !node.textContent.trim()) {
+            // 忽略列表项之间的空白文本节点，防止列表被打断
+            if (buffer.length === 0) {
                 newNodes.push(node);
             }
-            node = nextNode;
-        }
-        // 处理结尾的buffer
-        if (buffer.length) {
-            const list = bufferToList(buffer);
-            if (list) newNodes.push(list);
-        }
-
-        // 清空body，按顺序插入新节点
-        body.innerHTML = '';
-        for (const n of newNodes) {
-            body.appendChild(n);
+            // 如果 buffer 不为空，则忽略该空白节点（视为列表项之间的间隔）
+        } else {
+            if (buffer.length) {
+                const list = bufferToList(buffer);
+                if (list) newNodes.push(list);
+                buffer = [];
+            }
+            newNodes.push(node);
         }
+        node = nextNode;
+    }
+    // 处理结尾的buffer
+    if (buffer.length) {
+        const list = bufferToList(buffer);
+        if (list) newNodes.push(list);
+    }
 
-        return body.innerHTML;
-    } catch (error) {
-        console.error('转换列表错误:', error);
-        return html;
+    // 清空body，按顺序插入新节点
+    body.innerHTML = '';
+    for (const n of newNodes) {
+        body.appendChild(n);
     }
 }
 
 /**
- * 清理特殊字符
+ * 清理特殊字符: 不换行空格转换为普通空格 (文字和属性值)
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function cleanSpecialCharacters(html) {
-    return html.replace(/&nbsp;/g, ' ');
+function cleanSpecialCharacters(document) {
+    const walker = document.createTreeWalker(document.body, document.defaultView.NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.data.includes('\u00a0')) {
+            node.data = node.data.replace(/\u00a0/g, ' ');
+        }
+    }
+    document.body.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+            if (attribute.value.includes('\u00a0')) {
+                attribute.value = attribute.value.replace(/\u00a0/g, ' ');
+            }
+        });
+    });
 }
 
 /**
- * 移除空属性
+ * 移除值为空 (或只有空白) 的属性
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function cleanEmptyAttributes(html) {
-    return html
-        .replace(/(\w+)="\s*"/g, '')
-        .replace(/\s+>/g, '>');
+function cleanEmptyAttributes(document) {
+    document.body.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+            if (!attribute.value.trim()) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+    });
 }
 
+// 段落中不能包含的块级元素，div 中的这些元素保留在原位，其余内容包裹为段落
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'center', 'details', 'dialog', 'dir', 'div', 'dl', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr',
+    'li', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
 /**
  * 将 div 转换为 p
+ * 只有行内内容的 div 直接转换为 <p>；包含段落、列表、表格等块级元素的 div 展开，
+ * 块级元素之间的文字和行内元素各自包裹为 <p>
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function convertDivToP(html) {
-    return html
-        .replace(/<div[^>]*>/gi, '<p>')
-        .replace(/<\/div>/gi, '</p>');
-}
-
-function cleanAllStyles(html) {
-    if (!html) return '';
-
-    try {
-        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
-        const document = dom.window.document;
-
-        // Find all elements with style attributes
-        // Process in reverse order (bottom-up) to handle nested elements correctly
-        const styledElements = Array.from(document.querySelectorAll('[style]')).reverse();
-        const stylesWithContent = [];
-
-        styledElements.forEach(element => {
-            const style = element.getAttribute('style');
-            
-            // 转换样式为标签
-            if (/font-weight:\s*bold/i.test(style)) {
-                const b = document.createElement('b');
-                b.innerHTML = element.innerHTML;
-                element.innerHTML = '';
-                element.appendChild(b);
+function convertDivToP(document) {
+    // 从内到外处理，内层 div 展开后外层才能判断是否只有行内内容
+    Array.from(document.body.querySelectorAll('div')).reverse().forEach(div => {
+        const isBlock = node => node.nodeType === 1 && BLOCK_TAGS.has(node.tagName.toLowerCase());
+        const children = Array.from(div.childNodes);
+        let paragraph = null;
+
+        children.forEach(child => {
+            if (isBlock(child)) {
+                paragraph = null;
+                div.parentNode.insertBefore(child, div);
+                return;
             }
-            if (/font-style:\s*italic/i.test(style)) {
-                const i = document.createElement('i');
-                i.innerHTML = element.innerHTML;
-                element.innerHTML = '';
-                element.appendChild(i);
+            // 块级元素之间的空白不生成段落
+            if (!paragraph && child.nodeType === 3 && !child.textContent.trim()) {
+                div.parentNode.insertBefore(child, div);
+                return;
             }
-            if (/text-decoration:\s*underline/i.test(style)) {
-                const u = document.createElement('u');
-                u.innerHTML = element.innerHTML;
-                element.innerHTML = '';
-                element.appendChild(u);
-            }
-
-            stylesWithContent.push({
-                tag: element.tagName.toLowerCase(),
-                style: style,
-                content: element.innerHTML,
-                path: getElementPath(element)
-            });
-
-            // 保留表格相关的宽度样式，供后续 processTables 使用
-            const isTableElement = ['table', 'col', 'colgroup', 'tr', 'td', 'th'].includes(element.tagName.toLowerCase());
-            const hasWidth = /width:/i.test(style);
-
-            if (!isTableElement || !hasWidth) {
-                element.removeAttribute('style');
+            if (!paragraph) {
+                paragraph = document.createElement('p');
+                div.parentNode.insertBefore(paragraph, div);
             }
+            paragraph.appendChild(child);
         });
+        div.remove();
+    });
+}
+
+/**
+ * 将加粗、斜体等样式转换为标签，然后移除 style 属性
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ */
+function cleanAllStyles(document) {
+    // Find all elements with style attributes
+    // Process in reverse order (bottom-up) to handle nested elements correctly
+    const styledElements = Array.from(document.body.querySelectorAll('[style]')).reverse();
+
+    // 将元素的内容包裹在指定标签中
+    function wrapContent(element, tagName) {
+        const wrapper = document.createElement(tagName);
+        wrapper.innerHTML = element.innerHTML;
+        element.innerHTML = '';
+        element.appendChild(wrapper);
+    }
 
-        // Store styles with their content in database
-        if (stylesWithContent.length > 0) {
-            // TODO: Implement database storage for styles and content
-            console.log('Extracted style data to be stored:', stylesWithContent);
+    styledElements.forEach(element => {
+        const style = element.getAttribute('style');
+        
+        // 转换样式为标签
+        if (style.split(';').some(isBoldDeclaration)) {
+            wrapContent(element, 'b');
+        }
+        if (/font-style:\s*italic/i.test(style)) {
+            wrapContent(element, 'i');
+        }
+        if (/text-decoration:\s*underline/i.test(style)) {
+            wrapContent(element, 'u');
+        }
+        // 删除线、上划线、上下标使用 DITA 高亮域 (hi-d) 的元素
+        if (/text-decoration(-line)?:[^;]*\bline-through\b/i.test(style)) {
+            wrapContent(element, 'line-through');
+        }
+        if (/text-decoration(-line)?:[^;]*\boverline\b/i.test(style)) {
+            wrapContent(element, 'overline');
+        }
+        const verticalAlign = style.match(/vertical-align:\s*(super|sub)\b/i);
+        if (verticalAlign) {
+            wrapContent(element, verticalAlign[1].toLowerCase() === 'super' ? 'sup' : 'sub');
+        }
+        if (style.split(';').some(isHighlightDeclaration)) {
+            wrapContent(element, 'mark');
         }
 
-        return document.body.innerHTML;
-    } catch (error) {
-        console.error('Style cleaning error:', error);
-        return html;
-    }
-}
+        // 保留表格相关的宽度样式，供后续 processTables 使用
+        const isTableElement = ['table', 'col', 'colgroup', 'tr', 'td', 'th'].includes(element.tagName.toLowerCase());
+        const hasWidth = /width:/i.test(style);
 
-// Helper function to get unique element path
-function getElementPath(element) {
-    const path = [];
-    while (element && element.parentElement && element.parentElement.tagName !== 'BODY') {
-        let selector = element.tagName.toLowerCase();
-        if (element.id) {
-            selector += '#' + element.id;
-        } else {
-            // Get the index among siblings of same type
-            let index = 1;
-            let sibling = element.previousElementSibling;
-            while (sibling) {
-                if (sibling.tagName === element.tagName) {
-                    index++;
-                }
-                sibling = sibling.previousElementSibling;
-            }
-            selector += `:nth-of-type(${index})`;
+        if (!isTableElement || !hasWidth) {
+            element.removeAttribute('style');
         }
-        path.unshift(selector);
-        element = element.parentElement;
-    }
-    return path.join(' > ');
+    });
 }
 
 /**
  * 清理空标签，但保留可能影响布局的标签
- * @param {string} html - 要处理的HTML
- * @returns {string} - 处理后的HTML
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function cleanEmptyTags(html) {
-    if (!html) return '';
-
-    try {
-        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
-        const document = dom.window.document;
-
-        // 需要保留的标签列表（即使为空也不删除）
-        const preserveTags = new Set([
-            'table', 'thead', 'tbody', 'tr', 'td', 'th',  // 表格相关
-            'ul', 'ol', 'li',  // 列表相关
-        ]);
+function cleanEmptyTags(document) {
+    // 需要保留的标签列表（即使为空也不删除）
+    const preserveTags = new Set([
+        'table', 'thead', 'tbody', 'tr', 'td', 'th',  // 表格相关
+        'ul', 'ol', 'li',  // 列表相关
+        'img',  // 图片
+        'xref',  // 脚注引用 <xref type="fn">
+        'br',  // 软换行，由 convertLineBreaks 处理
+    ]);
+
+    // 递归处理元素
+    function processElement(element) {
+        // 如果元素没有子节点，直接返回
+        if (!element.hasChildNodes()) {
+            return;
+        }
 
-        // 递归处理元素
-        function processElement(element) {
-            // 如果元素没有子节点，直接返回
-            if (!element.hasChildNodes()) {
-                return;
+        const children = Array.from(element.childNodes);
+        for (const child of children) {
+            if (child.nodeType === 1) { // 元素节点
+                const tagName = child.tagName.toLowerCase();
+
+                // 递归处理子元素
+                processElement(child);
+
+                // 检查元素是否为空（没有文本内容和子元素）
+                const isEmpty = !child.textContent.trim() &&
+                    !child.querySelector('img') &&
+                    !child.querySelector('br');
+                // 书签 <a name> 通常没有内容，由 convertLinks 转换为 id；
+                // 没有文字的链接由 convertLinks 使用地址作为文字
+                const isAnchor = tagName === 'a' && (child.hasAttribute('name') || child.hasAttribute('href'));
+
+                // 如果是空元素且不在保留列表中，删除它
+                if (isEmpty && !isAnchor && !preserveTags.has(tagName)) {
+                    child.parentNode.removeChild(child);
+                }
             }
+        }
+    }
 
-            const children = Array.from(element.childNodes);
-            for (const child of children) {
-                if (child.nodeType === 1) { // 元素节点
-                    const tagName = child.tagName.toLowerCase();
-
-                    // 递归处理子元素
-                    processElement(child);
-
-                    // 检查元素是否为空（没有文本内容和子元素）
-                    const isEmpty = !child.textContent.trim() &&
-                        !child.querySelector('img') &&
-                        !child.querySelector('br');
+    // 处理整个文档
+    processElement(document.body);
+}
 
-                    // 如果是空元素且不在保留列表中，删除它
-                    if (isEmpty && !preserveTags.has(tagName)) {
-                        child.parentNode.removeChild(child);
-                    }
-                }
-            }
+/**
+ * 清理换行: 连续的 <br> (中间只有空白) 合并为一个，移除文档末尾的 <br>
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ */
+function cleanLineBreaksAndDecorations(document) {
+    document.body.querySelectorAll('br').forEach(br => {
+        let previous = br.previousSibling;
+        while (previous && previous.nodeType === 3 && !previous.textContent.trim()) {
+            previous = previous.previousSibling;
         }
+        if (previous && previous.nodeType === 1 && previous.tagName.toLowerCase() === 'br') {
+            br.remove();
+        }
+    });
 
-        // 处理整个文档
-        processElement(document.body);
+    const last = document.body.lastChild;
+    if (last && last.nodeType === 1 && last.tagName.toLowerCase() === 'br') {
+        last.remove();
+    }
+}
 
-        return document.body.innerHTML;
-    } catch (error) {
-        console.error('清理空标签错误:', error);
-        return html;
+/**
+ * 用新标签替换元素，保留内容 (不保留属性)
+ * @returns {Element} - 新元素
+ */
+function renameElement(element, tagName) {
+    const replacement = element.ownerDocument.createElement(tagName);
+    while (element.firstChild) {
+        replacement.appendChild(element.firstChild);
     }
+    element.replaceWith(replacement);
+    return replacement;
 }
 
 /**
- * 清理换行和装饰标签
+ * 转换删除线和突出显示标签
+ * - <s>、<strike>、<del> -> <line-through>；options.strikethrough 为 drop 时连同文字删除
+ *   (如标记为废弃的内容)
+ * - <mark> (Word 的突出显示) -> <ph outputclass="highlight">，DITA 没有对应的高亮元素
+ * 上下标 <sup>、<sub> 与 DITA 同名，无需转换
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ * @param {Object} [options]
+ * @param {string} [options.strikethrough] - keep (默认) | drop
  */
-function cleanLineBreaksAndDecorations(html) {
-    return html
-        .replace(/<br>\s*<br>/gi, '<br>')
-        .replace(/<br>$/i, '')
-        .replace(/<s>([\s\S]*?)<\/s>/gi, '$1');
+function convertInlineDecorations(document, options = {}) {
+    document.body.querySelectorAll('s, strike, del').forEach(element => renameElement(element, 'line-through'));
+    document.body.querySelectorAll('mark').forEach(element => {
+        renameElement(element, 'ph').setAttribute('outputclass', 'highlight');
+    });
+
+    if (options.strikethrough === 'drop') {
+        document.body.querySelectorAll('line-through').forEach(element => element.remove());
+    }
 }
 
 /**
  * 移除所有span标签但保留其内容
- * @param {string} html 
- * @returns {string}
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function removeSpans(html) {
-    if (!html) return '';
-    try {
-        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
-        const document = dom.window.document;
-        
-        // Process in reverse order to handle nesting safely
-        const spans = Array.from(document.querySelectorAll('span')).reverse();
-        
-        spans.forEach(span => {
-            const parent = span.parentNode;
-            if (parent) {
-                while (span.firstChild) {
-                    parent.insertBefore(span.firstChild, span);
-                }
-                parent.removeChild(span);
+function removeSpans(document) {
+    // Process in reverse order to handle nesting safely
+    const spans = Array.from(document.body.querySelectorAll('span')).reverse();
+    
+    spans.forEach(unwrapElement);
+}
+
+/**
+ * 清理 class、id、align、valign、data-* 等属性
+ * ID_ELEMENTS 中的元素 (如脚注) 保留 id
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ */
+function cleanClassAndIdAttributes(document) {
+    document.body.querySelectorAll('*').forEach(element => {
+        const keepId = ID_ELEMENTS.has(element.tagName.toLowerCase());
+        Array.from(element.attributes).forEach(({ name }) => {
+            if (['class', 'align', 'valign'].includes(name) || name.startsWith('data-') || (name === 'id' && !keepId)) {
+                element.removeAttribute(name);
             }
         });
-        
-        return document.body.innerHTML;
-    } catch (error) {
-        console.error('Remove spans error:', error);
-        return html;
-    }
+    });
 }
 
 /**
- * 清理 class、id、align、valign、data-* 等属性
- * @param {string} html - 要处理的HTML
- * @returns {string} - 处理后的HTML
+ * 处理标题
+ * 默认: 将 <h1> 转换为 <title> 并包裹 <section>，h2-h6 降级为 <b>
+ * sections/topics 模式: 保留完整的标题层级 (见 buildHeadingHierarchy)
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ * @param {Object} [options] - 转换选项，headingMode 决定标题的处理方式
  */
-function cleanClassAndIdAttributes(html) {
-    if (!html) return '';
-    // 移除 class、id、align、valign、data-* 属性（不区分单双引号/无值）
-    return html
-        // 匹配 class="..."、id='...'、align=...、valign=...、data-xxx=...（单双引号或无引号）
-        .replace(/\s+(class|id|align|valign|data-[^=\s]*)\s*=\s*(['"]).*?\2/gi, '')
-        .replace(/\s+(class|id|align|valign|data-[^=\s]*)\s*=\s*[^ >]+/gi, '');
+function convertHeadings(document, options = {}) {
+    if (options.headingMode === 'sections' || options.headingMode === 'topics') {
+        buildHeadingHierarchy(document, options);
+    } else {
+        cleanHeadingTags(document);
+    }
 }
 
 /**
- * 处理jsdom无法处理的特殊情况
- * 这些转换通常涉及复杂的结构变化或自定义标签，JSDOM 可能会误处理
- * @param {string} html - 要处理的HTML
- * @returns {string} - 处理后的HTML
+ * 将 <img> 转换为 DITA <image>
+ * - href 取 src，alt 文本转换为 <alt> 子元素
+ * - 段落中只有一张图片时 (如 Word 中单独一行的图片)，段落替换为 <fig>，
+ *   alt 文本作为图题，图片使用 placement="break"
+ * HTML 解析器会把 <image> 当作 <img>，这里使用 dita-image 占位，在 restoreDitaTags 中还原
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function doExtraTransformJsdomCantHandle(html) {
-    // 1. 处理表格: 将 HTML 表格转换为 DITA CALS 表格
-    html = processTables(html);
-    
-    // 2. 处理链接: 将 <a> 转换为 <xref>
-    html = html
-        .replace(/<a[^>]*href="([^"]+)"[^>]*>/gi, '<xref scope="external" format="html" href="$1">')
-        .replace(/<\/a>/gi, '</xref>');
-        
-    // 3. 处理标题: 将 <h1> 转换为 <title> 并包裹 <section>，h2-h6 降级为 <b>
-    html = cleanHeadingTags(html);
-    return html;
+function convertImages(document) {
+    document.body.querySelectorAll('img').forEach(img => {
+        const alt = (img.getAttribute('alt') || '').trim();
+        const image = document.createElement('dita-image');
+        image.setAttribute('href', img.getAttribute('src') || '');
+        if (/^https?:\/\//i.test(img.getAttribute('src') || '')) {
+            image.setAttribute('scope', 'external');
+        }
+        if (alt) {
+            const altElement = document.createElement('alt');
+            altElement.textContent = alt;
+            image.appendChild(altElement);
+        }
+
+        const paragraph = img.closest('p');
+        const isStandalone = paragraph &&
+            paragraph.tagName.toLowerCase() === 'p' &&
+            paragraph.querySelectorAll('img').length === 1 &&
+            !paragraph.textContent.trim();
+
+        if (isStandalone) {
+            const fig = document.createElement('fig');
+            if (alt) {
+                const title = document.createElement('dita-title');
+                title.textContent = alt;
+                fig.appendChild(title);
+            }
+            image.setAttribute('placement', 'break');
+            fig.appendChild(image);
+            paragraph.replaceWith(fig);
+        } else {
+            img.replaceWith(image);
+        }
+    });
 }
 
 /**
@@ -812,179 +895,170 @@ function doExtraTransformJsdomCantHandle(html) {
  * 4. 生成 dita-thead 和 dita-tbody
  * 5. 处理单元格合并 (rowspan, colspan)
  * 
- * @param {string} html - 要处理的HTML
- * @returns {string} - 处理后的HTML
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function processTables(html) {
-    if (!html) return '';
-
-    try {
-        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
-        const document = dom.window.document;
-
-        // 1. 获取所有表格，并反转顺序（从最深层开始处理）
-        // 这样可以确保嵌套表格在被父表格包含之前已经被转换为 dita-table 结构
-        const tables = Array.from(document.querySelectorAll('table')).reverse();
-
-        tables.forEach(table => {
-            // 计算列数
-            const colCount = (() => {
-                const firstRow = table.querySelector('tr');
-                if (!firstRow) return 0;
-                // 统计所有colspan后的最大列数
-                let maxCols = 0;
-                let rows = table.querySelectorAll('tr');
-                for (let row of rows) {
-                    let count = 0;
-                    for (let cell of row.querySelectorAll('td,th')) {
-                        count += parseInt(cell.getAttribute('colspan') || '1', 10);
-                    }
-                    if (count > maxCols) maxCols = count;
+function processTables(document) {
+    // 1. 获取所有表格，并反转顺序（从最深层开始处理）
+    // 这样可以确保嵌套表格在被父表格包含之前已经被转换为 dita-table 结构
+    const tables = Array.from(document.body.querySelectorAll('table')).reverse();
+
+    tables.forEach(table => {
+        // 计算列数
+        const colCount = (() => {
+            const firstRow = table.querySelector('tr');
+            if (!firstRow) return 0;
+            // 统计所有colspan后的最大列数
+            let maxCols = 0;
+            let rows = table.querySelectorAll('tr');
+            for (let row of rows) {
+                let count = 0;
+                for (let cell of row.querySelectorAll('td,th')) {
+                    count += parseInt(cell.getAttribute('colspan') || '1', 10);
                 }
-                return maxCols;
-            })();
-
-            if (colCount === 0) {
-                return; // 跳过无效表格
+                if (count > maxCols) maxCols = count;
             }
+            return maxCols;
+        })();
 
-            // 计算列宽
-            let colWidths = new Array(colCount).fill(null);
-            
-            // 1. 尝试从 colgroup 获取宽度
-            const colgroup = table.querySelector('colgroup');
-            if (colgroup) {
-                let colIndex = 0;
-                const cols = colgroup.querySelectorAll('col');
-                for (const col of cols) {
-                    const span = parseInt(col.getAttribute('span') || '1', 10);
-                    const width = col.style.width || col.getAttribute('width');
-                    if (width) {
-                        for (let k = 0; k < span; k++) {
-                            if (colIndex + k < colCount) {
-                                colWidths[colIndex + k] = width;
-                            }
+        if (colCount === 0) {
+            return; // 跳过无效表格
+        }
+
+        // 计算列宽
+        let colWidths = new Array(colCount).fill(null);
+        
+        // 1. 尝试从 colgroup 获取宽度
+        const colgroup = table.querySelector('colgroup');
+        if (colgroup) {
+            let colIndex = 0;
+            const cols = colgroup.querySelectorAll('col');
+            for (const col of cols) {
+                const span = parseInt(col.getAttribute('span') || '1', 10);
+                const width = col.style.width || col.getAttribute('width');
+                if (width) {
+                    for (let k = 0; k < span; k++) {
+                        if (colIndex + k < colCount) {
+                            colWidths[colIndex + k] = width;
                         }
                     }
-                    colIndex += span;
                 }
+                colIndex += span;
             }
+        }
 
-            // 2. 如果宽度缺失，尝试从第一行获取
-            if (colWidths.some(w => !w)) {
-                const firstRow = table.querySelector('tr');
-                if (firstRow) {
-                    let colIndex = 0;
-                    const cells = firstRow.querySelectorAll('td, th');
-                    for (const cell of cells) {
-                        const colspan = parseInt(cell.getAttribute('colspan') || '1', 10);
-                        const width = cell.style.width || cell.getAttribute('width');
-                        
-                        // 仅当 colspan=1 时应用宽度，避免复杂计算
-                        if (colspan === 1 && width) {
-                            if (colIndex < colCount && !colWidths[colIndex]) {
-                                colWidths[colIndex] = width;
-                            }
+        // 2. 如果宽度缺失，尝试从第一行获取
+        if (colWidths.some(w => !w)) {
+            const firstRow = table.querySelector('tr');
+            if (firstRow) {
+                let colIndex = 0;
+                const cells = firstRow.querySelectorAll('td, th');
+                for (const cell of cells) {
+                    const colspan = parseInt(cell.getAttribute('colspan') || '1', 10);
+                    const width = cell.style.width || cell.getAttribute('width');
+                    
+                    // 仅当 colspan=1 时应用宽度，避免复杂计算
+                    if (colspan === 1 && width) {
+                        if (colIndex < colCount && !colWidths[colIndex]) {
+                            colWidths[colIndex] = width;
                         }
-                        colIndex += colspan;
                     }
+                    colIndex += colspan;
                 }
             }
+        }
 
-            // 规范化宽度格式
-            colWidths = colWidths.map(w => {
-                if (!w) return '1*'; // 默认比例
-                
-                // 处理百分比
-                if (w.includes('%')) {
-                    return w.replace('%', '*') // 20% -> 20*
-                }
-
-                // 处理固定宽度，转换为无单位的整数（像素值），以保持比例
-                try {
-                    const match = w.match(/^([\d.]+)([a-z]*)$/i);
-                    if (match) {
-                        let val = parseFloat(match[1]);
-                        const unit = match[2].toLowerCase();
-                        
-                        // 简单的单位转换 (以px为基准)
-                        if (unit === 'pt') val *= 1.3333;
-                        else if (unit === 'in') val *= 96;
-                        else if (unit === 'cm') val *= 37.795;
-                        else if (unit === 'mm') val *= 3.7795;
-                        else if (unit === 'pc') val *= 16;
-                        
-                        // 返回整数
-                        return Math.round(val).toString();
-                    }
-                } catch (e) {
-                    // 忽略解析错误
-                }
-
-                // 如果无法解析，保留原样或默认处理
-                if (w.match(/^\d+$/)) {
-                    return w; // 纯数字直接返回
-                }
-                return w;
-            });
-
-            // 构建 dita-table 结构
-            let newTable = '<dita-table frame="all" rowsep="1" colsep="1">';
-            newTable += `<dita-tgroup cols="${colCount}">`;
+        // 规范化宽度格式
+        colWidths = colWidths.map(w => {
+            if (!w) return '1*'; // 默认比例
             
-            for (let i = 1; i <= colCount; i++) {
-                const widthAttr = colWidths[i-1] ? ` colwidth="${colWidths[i-1]}"` : '';
-                // 使用非自闭合标签，避免 JSDOM 解析问题
-                newTable += `<dita-colspec colnum="${i}" colname="col${i}"${widthAttr}></dita-colspec>`;
+            // 处理百分比
+            if (w.includes('%')) {
+                return w.replace('%', '*') // 20% -> 20*
             }
 
-            // 处理thead和tbody
-            const thead = table.querySelector('thead');
-            const tbody = table.querySelector('tbody');
-            let headRows = [];
-            let bodyRows = [];
-
-            if (thead) {
-                headRows = Array.from(thead.querySelectorAll('tr'));
-                if (tbody) {
-                    bodyRows = Array.from(tbody.querySelectorAll('tr'));
-                } else {
-                    bodyRows = Array.from(table.querySelectorAll('tr')).filter(tr => !thead.contains(tr));
+            // 处理固定宽度，转换为无单位的整数（像素值），以保持比例
+            try {
+                const match = w.match(/^([\d.]+)([a-z]*)$/i);
+                if (match) {
+                    let val = parseFloat(match[1]);
+                    const unit = match[2].toLowerCase();
+                    
+                    // 简单的单位转换 (以px为基准)
+                    if (unit === 'pt') val *= 1.3333;
+                    else if (unit === 'in') val *= 96;
+                    else if (unit === 'cm') val *= 37.795;
+                    else if (unit === 'mm') val *= 3.7795;
+                    else if (unit === 'pc') val *= 16;
+                    
+                    // 返回整数
+                    return Math.round(val).toString();
                 }
-            } else {
-                bodyRows = Array.from(table.querySelectorAll('tr'));
+            } catch (e) {
+                // 忽略解析错误
             }
 
-            // 生成thead
-            if (headRows.length) {
-                newTable += '<dita-thead>';
-                newTable += generateCalsRows(headRows, colCount);
-                newTable += '</dita-thead>';
+            // 如果无法解析，保留原样或默认处理
+            if (w.match(/^\d+$/)) {
+                return w; // 纯数字直接返回
             }
+            return w;
+        });
 
-            // 生成tbody
-            if (bodyRows.length) {
-                newTable += '<dita-tbody>';
-                newTable += generateCalsRows(bodyRows, colCount);
-                newTable += '</dita-tbody>';
+        // 构建 dita-table 结构
+        // HTML 表格的 <caption> 转换为题注，由 convertCaptions 移入表格标题
+        const caption = Array.from(table.children).find(child => child.tagName.toLowerCase() === 'caption');
+        let newTable = caption && caption.textContent.trim()
+            ? `<dita-caption type="table">${caption.innerHTML}</dita-caption>`
+            : '';
+        newTable += '<dita-table frame="all" rowsep="1" colsep="1">';
+        newTable += `<dita-tgroup cols="${colCount}">`;
+        
+        for (let i = 1; i <= colCount; i++) {
+            const widthAttr = colWidths[i-1] ? ` colwidth="${colWidths[i-1]}"` : '';
+            // 使用非自闭合标签，避免 JSDOM 解析问题
+            newTable += `<dita-colspec colnum="${i}" colname="col${i}"${widthAttr}></dita-colspec>`;
+        }
+
+        // 处理thead和tbody
+        const thead = table.querySelector('thead');
+        const tbody = table.querySelector('tbody');
+        let headRows = [];
+        let bodyRows = [];
+
+        if (thead) {
+            headRows = Array.from(thead.querySelectorAll('tr'));
+            if (tbody) {
+                bodyRows = Array.from(tbody.querySelectorAll('tr'));
+            } else {
+                bodyRows = Array.from(table.querySelectorAll('tr')).filter(tr => !thead.contains(tr));
             }
+        } else {
+            bodyRows = Array.from(table.querySelectorAll('tr'));
+        }
 
-            newTable += '</dita-tgroup></dita-table>';
+        // 生成thead
+        if (headRows.length) {
+            newTable += '<dita-thead>';
+            newTable += generateCalsRows(headRows, colCount);
+            newTable += '</dita-thead>';
+        }
 
-            // 使用 outerHTML 替换原表格
-            // JSDOM 允许设置 outerHTML 为任意 HTML 字符串，包括自定义标签
-            table.outerHTML = newTable;
-        });
+        // 生成tbody
+        if (bodyRows.length) {
+            newTable += '<dita-tbody>';
+            newTable += generateCalsRows(bodyRows, colCount);
+            newTable += '</dita-tbody>';
+        }
 
-        let finalHtml = document.body.innerHTML;
-        // 保持 dita-xxx 标签，以便后续 JSDOM 处理（如 mergeConsecutiveInlineTags）不会破坏结构
-        // 最终在 cleanHtml 结束时统一替换回标准标签
+        newTable += '</dita-tgroup></dita-table>';
 
-        return finalHtml;
-    } catch (error) {
-        console.error('表格处理错误:', error);
-        return html;
-    }
+        // 使用 outerHTML 替换原表格
+        // JSDOM 允许设置 outerHTML 为任意 HTML 字符串，包括自定义标签
+        table.outerHTML = newTable;
+    });
+
+    // 保持 dita-xxx 标签，以便后续 JSDOM 处理（如 mergeConsecutiveInlineTags）不会破坏结构
+    // 最终在 cleanHtml 结束时统一替换回标准标签
 }
 
 // 生成CALS行，支持rowspan/colspan合并
@@ -1050,43 +1124,45 @@ function generateCalsRows(rows, colCount) {
 
 /**
  * 处理标题标签，将h1转换为title标签，h2-h6转换为b标签
- * @param {string} html - 要处理的HTML
- * @returns {string} - 处理后的HTML
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function cleanHeadingTags(html) {
-    if (!html) return '';
+function cleanHeadingTags(document) {
+    const body = document.body;
 
-    try {
-        // 移除所有带有mso-list:Ignore的span及其内容
-        html = html.replace(/<span[^>]*style="[^"]*mso-list:Ignore[^"]*"[^>]*>[\s\S]*?<\/span>/gi, '');
-
-        // 将h2-h6转换为b
-        html = html
-            .replace(/<h[2-6][^>]*>([\s\S]*?)<\/h[2-6]>/gi, '<b>$1</b>');
-
-        // 检查是否有<h1>
-        const h1Match = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
-        if (h1Match) {
-            // 提取h1内容
-            const h1Content = h1Match[1];
-            // 替换第一个h1为<dita-title> (使用自定义标签避免JSDOM将title内容解析为纯文本)
-            html = html.replace(/<h1[^>]*>[\s\S]*?<\/h1>/i, `<dita-title>${h1Content}</dita-title>`);
-            
-            // 将剩余的h1转换为b (避免多重标题)
-            html = html.replace(/<h1[^>]*>([\s\S]*?)<\/h1>/gi, '<b>$1</b>');
+    // 移除所有带有mso-list:Ignore的span及其内容
+    body.querySelectorAll('span[style*="mso-list:Ignore"]').forEach(span => span.remove());
 
-            // 用<section>包裹整体内容
-            html = `<section>${html}</section>`;
+    // 标题替换为指定标签，保留内容
+    function replaceHeading(heading, tagName) {
+        const element = document.createElement(tagName);
+        while (heading.firstChild) {
+            element.appendChild(heading.firstChild);
         }
-        return html;
-    } catch (error) {
-        console.error('处理标题标签错误:', error);
-        return html;
+        heading.replaceWith(element);
+    }
+
+    // 将h2-h6转换为b
+    body.querySelectorAll('h2, h3, h4, h5, h6').forEach(heading => replaceHeading(heading, 'b'));
+
+    // 检查是否有<h1>
+    const headings = Array.from(body.querySelectorAll('h1'));
+    if (!headings.length) return;
+
+    // 替换第一个h1为<dita-title> (使用自定义标签避免JSDOM将title内容解析为纯文本)
+    replaceHeading(headings[0], 'dita-title');
+    // 将剩余的h1转换为b (避免多重标题)
+    headings.slice(1).forEach(heading => replaceHeading(heading, 'b'));
+
+    // 用<section>包裹整体内容
+    const section = document.createElement('section');
+    while (body.firstChild) {
+        section.appendChild(body.firstChild);
     }
+    body.appendChild(section);
 }
 
 /**
- * 合并连续的内联标签 (b, i, u)
+ * 合并连续的内联标签 (b, i, u, sup, sub, line-through, overline)
  * 
  * 解决 Word 转换中常见的碎片化标签问题，例如:
  * <b>H</b><b>ello</b> -> <b>Hello</b>
@@ -1097,83 +1173,73 @@ function cleanHeadingTags(html) {
  * 3. 处理相邻的相同标签 (merge)
  *    - 忽略标签之间的纯空白文本节点
  * 
- * @param {string} html 
- * @returns {string}
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
  */
-function mergeConsecutiveInlineTags(html) {
-    if (!html) return '';
-    try {
-        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
-        const document = dom.window.document;
-        const body = document.body;
-        const mergeTags = ['b', 'i', 'u'];
-
-        function traverse(node) {
-            if (node.nodeType !== 1) return; // Element node
-
-            // 1. Handle nested identical tags (unwrap inner)
-            if (mergeTags.includes(node.tagName.toLowerCase())) {
-                 for (let i = 0; i < node.childNodes.length; i++) {
-                    const child = node.childNodes[i];
-                    if (child.nodeType === 1 && child.tagName === node.tagName) {
-                        // Unwrap child: move all children of 'child' before 'child', then remove 'child'
-                        while (child.firstChild) {
-                            node.insertBefore(child.firstChild, child);
-                        }
-                        node.removeChild(child);
-                        i--; // Re-check the new nodes at this position
+function mergeConsecutiveInlineTags(document) {
+    const body = document.body;
+    const mergeTags = ['b', 'i', 'u', 'sup', 'sub', 'line-through', 'overline'];
+
+    function traverse(node) {
+        if (node.nodeType !== 1) return; // Element node
+
+        // 1. Handle nested identical tags (unwrap inner)
+        if (mergeTags.includes(node.tagName.toLowerCase())) {
+             for (let i = 0; i < node.childNodes.length; i++) {
+                const child = node.childNodes[i];
+                if (child.nodeType === 1 && child.tagName === node.tagName) {
+                    // Unwrap child: move all children of 'child' before 'child', then remove 'child'
+                    while (child.firstChild) {
+                        node.insertBefore(child.firstChild, child);
                     }
-                 }
-            }
+                    node.removeChild(child);
+                    i--; // Re-check the new nodes at this position
+                }
+             }
+        }
 
-            // 2. Handle consecutive sibling tags
-            for (let i = 0; i < node.childNodes.length; i++) {
-                const current = node.childNodes[i];
+        // 2. Handle consecutive sibling tags
+        for (let i = 0; i < node.childNodes.length; i++) {
+            const current = node.childNodes[i];
+            
+            // Check if current is one of the target tags
+            if (current.nodeType === 1 && mergeTags.includes(current.tagName.toLowerCase())) {
+                let nextIndex = i + 1;
+                if (nextIndex >= node.childNodes.length) break;
                 
-                // Check if current is one of the target tags
-                if (current.nodeType === 1 && mergeTags.includes(current.tagName.toLowerCase())) {
-                    let nextIndex = i + 1;
+                let next = node.childNodes[nextIndex];
+                let whitespaceNode = null;
+
+                // Check if next is whitespace text node
+                if (next.nodeType === 3 && /^\s+$/.test(next.textContent)) {
+                    whitespaceNode = next;
+                    nextIndex++;
                     if (nextIndex >= node.childNodes.length) break;
-                    
-                    let next = node.childNodes[nextIndex];
-                    let whitespaceNode = null;
-
-                    // Check if next is whitespace text node
-                    if (next.nodeType === 3 && /^\s+$/.test(next.textContent)) {
-                        whitespaceNode = next;
-                        nextIndex++;
-                        if (nextIndex >= node.childNodes.length) break;
-                        next = node.childNodes[nextIndex];
-                    }
+                    next = node.childNodes[nextIndex];
+                }
 
-                    // Check if the next element is the same tag
-                    if (next.nodeType === 1 && next.tagName === current.tagName) {
-                        // Merge
-                        if (whitespaceNode) {
-                            current.innerHTML += whitespaceNode.textContent;
-                            node.removeChild(whitespaceNode);
-                        }
-                        current.innerHTML += next.innerHTML;
-                        node.removeChild(next);
-                        
-                        // Stay on current index to check for more consecutive tags
-                        i--; 
+                // Check if the next element is the same tag
+                if (next.nodeType === 1 && next.tagName === current.tagName) {
+                    // Merge
+                    if (whitespaceNode) {
+                        current.innerHTML += whitespaceNode.textContent;
+                        node.removeChild(whitespaceNode);
                     }
+                    current.innerHTML += next.innerHTML;
+                    node.removeChild(next);
+                    
+                    // Stay on current index to check for more consecutive tags
+                    i--; 
                 }
             }
-            
-            // 3. Recursive for children
-            for (let child of node.childNodes) {
-                traverse(child);
-            }
         }
-
-        traverse(body);
-        return body.innerHTML;
-    } catch (error) {
-        console.error('合并内联标签错误:', error);
-        return html;
+        
+        // 3. Recursive for children
+        for (let child of node.childNodes) {
+            traverse(child);
+        }
     }
+
+    traverse(body);
 }
 
 /**
@@ -1181,14 +1247,20 @@ function mergeConsecutiveInlineTags(html) {
  */
 function restoreDitaTags(html) {
     return html
-        .replace(/<dita-title>/g, '<title>').replace(/<\/dita-title>/g, '</title>')
+        .replace(/<dita-title\b/g, '<title').replace(/<\/dita-title>/g, '</title>')
+        .replace(/<dita-topic/g, '<topic').replace(/<\/dita-topic>/g, '</topic>')
+        .replace(/<dita-body\b/g, '<body').replace(/<\/dita-body>/g, '</body>')
+        .replace(/<dita-image([^>]*)><\/dita-image>/g, '<image$1/>')
+        .replace(/<dita-image/g, '<image').replace(/<\/dita-image>/g, '</image>')
         .replace(/<dita-table/g, '<table').replace(/<\/dita-table>/g, '</table>')
         .replace(/<dita-tgroup/g, '<tgroup').replace(/<\/dita-tgroup>/g, '</tgroup>')
         .replace(/<dita-thead/g, '<thead').replace(/<\/dita-thead>/g, '</thead>')
         .replace(/<dita-tbody/g, '<tbody').replace(/<\/dita-tbody>/g, '</tbody>')
         .replace(/<dita-row/g, '<row').replace(/<\/dita-row>/g, '</row>')
         .replace(/<dita-entry/g, '<entry').replace(/<\/dita-entry>/g, '</entry>')
-        .replace(/<dita-colspec([^>]*)><\/dita-colspec>/g, '<colspec$1/>');
+        .replace(/<dita-colspec([^>]*)><\/dita-colspec>/g, '<colspec$1/>')
+        // DITA 中没有 <br>，convertLineBreaks 之后仍残留的换行替换为空格
+        .replace(/<br\s*\/?>/gi, ' ');
 }
 
 /**
@@ -1207,11 +1279,17 @@ function formatHtml(html) {
         // Split by tags, capturing delimiters
         const tags = html.split(/(<\/?[^>]+>)/g);
         
+        // Preformatted tags whose content must be kept verbatim (line breaks and indentation)
+        const preformattedTags = new Set(['pre', 'codeblock', 'lines']);
+
         // Define block-level tags that trigger newlines
         const blockTags = new Set([
             'html', 'body', 'dita', 'topic', 'title', 'shortdesc', 'body', 'section', 
+            'concept', 'conbody', 'task', 'taskbody', 'context', 'reference', 'refbody',
+            'prereq', 'steps', 'step', 'cmd', 'info', 'substeps', 'substep', 'result', 'postreq',
+            'map', 'topicref',
             'p', 'div', 'table', 'tgroup', 'thead', 'tbody', 'row', 'entry', 'colspec', 
-            'ul', 'ol', 'li', 'dl', 'dlentry', 'dt', 'dd', 'fig', 'note', 'lines', 'pre',
+            'ul', 'ol', 'li', 'dl', 'dlhead', 'dthd', 'ddhd', 'dlentry', 'dt', 'dd', 'fig', 'note', 'lines', 'pre', 'codeblock', 'lq',
             'dita-table', 'dita-tgroup', 'dita-thead', 'dita-tbody', 'dita-row', 'dita-entry', 'dita-colspec'
         ]);
         
@@ -1257,6 +1335,13 @@ function formatHtml(html) {
             if (!tag) continue;
 
             const isTag = tag.startsWith('<');
+
+            // XML declaration and DOCTYPE each go on their own line
+            if (tag.startsWith('<?') || tag.startsWith('<!')) {
+                flushLine();
+                formatted += tag + '\n';
+                continue;
+            }
             
             if (isTag) {
                 const isClose = tag.startsWith('</');
@@ -1274,11 +1359,26 @@ function formatHtml(html) {
                     } else if (isSelfClosing) {
                         flushLine();
                         formatted += '  '.repeat(indent) + tag + '\n';
+                    } else if (preformattedTags.has(tagName)) {
+                        // Keep preformatted content exactly as is, on the same line as the open tag
+                        flushLine();
+                        formatted += '  '.repeat(indent) + tag;
+                        i++;
+                        while (i < tags.length) {
+                            const nextTag = tags[i];
+                            if (nextTag && nextTag.startsWith('</') &&
+                                nextTag.slice(2, -1).trim().toLowerCase() === tagName) {
+                                formatted += nextTag + '\n';
+                                break;
+                            }
+                            formatted += nextTag || '';
+                            i++;
+                        }
                     } else {
                         // Open block tag
                         // Check if it's a simple block (only inline content)
-                        // We specifically target entry, p, li, title, dt, dd for this optimization
-                        if (['entry', 'dita-entry', 'p', 'li', 'title', 'dt', 'dd'].includes(tagName) && isSimpleBlock(i, tagName)) {
+                        // We specifically target entry, p, li, title, shortdesc, cmd, dt, dd, note for this optimization
+                        if (['entry', 'dita-entry', 'p', 'li', 'title', 'shortdesc', 'cmd', 'dt', 'dd', 'dthd', 'ddhd', 'note'].includes(tagName) && isSimpleBlock(i, tagName)) {
                             flushLine();
                             formatted += '  '.repeat(indent) + tag;
                             
@@ -1339,7 +1439,267 @@ function formatHtml(html) {
     }
 }
 
+/**
+ * 内置处理阶段，按执行顺序排列 (格式见 StageRegistry)
+ * 调整顺序时注意各阶段说明中的先后约束
+ *
+ * 阶段 1、2 及 addListLevelClasses 为正则替换的字符串阶段，之后从 convertCodeBlocks 开始全部为 DOM 阶段 (dom: true)，
+ * 共用同一个文档，整个转换只解析一次 JSDOM。DOM 阶段之后不要再插入字符串阶段，否则文档会被序列化后重新解析。
+ * 字符串阶段依赖的 class、样式等在清理之前用 dita-*、data-* 属性标记 (如 markCodeStyles、markShadedTables)。
+ *
+ * 例外: 阶段 1 中的 applyStyleMapping、convertFootnotes、normalizeDialect 在内部使用 JSDOM，
+ * 但注册为字符串阶段。它们处理的是 Word 的原始 HTML，先用正则检查是否有相关内容 (映射的样式、脚注、
+ * 其他来源的标记)，没有时原样返回；有时各自额外解析、序列化一次。改为 DOM 阶段会让每次转换
+ * 都解析原始 HTML，改变条件注释等结构，影响之后的正则清理。
+ */
+const BUILTIN_STAGES = [
+    // =================================================================
+    // 阶段 1: 基础文本清理
+    // 目标: 移除注释、空行、规范化空格，为后续处理提供干净的输入
+    // =================================================================
+    {
+        name: 'markCaptions',
+        run: markCaptions,
+        description: '标记题注段落: 依赖 MsoCaption class 和条件注释中的 SEQ 域，必须最先执行'
+    },
+    {
+        name: 'removeTocEntries',
+        run: removeTocEntries,
+        description: '移除 Word 目录 (MsoToc 段落)，DITA 的目录由 map 生成'
+    },
+    {
+        name: 'protectPreformattedText',
+        run: protectPreformattedText,
+        description: '<pre> 中的换行和缩进用 <br>、&nbsp; 表示，避免被 basicTextCleanup 合并'
+    },
+    {
+        name: 'collectCodeStyles',
+        run: collectCodeStyles,
+        description: '记录样式表中使用等宽字体的 class，供 markCodeStyles 使用: Word 的样式表包在注释中，会被 basicTextCleanup 移除'
+    },
+    {
+        name: 'basicTextCleanup',
+        run: basicTextCleanup,
+        description: '移除注释、空行，规范化空格'
+    },
+    {
+        name: 'applyStyleMapping',
+        run: applyStyleMapping,
+        description: '按样式映射将 Word 段落样式、字符样式转换为 DITA 元素，必须在清理 class 之前执行'
+    },
+    {
+        name: 'convertFootnotes',
+        run: convertFootnotes,
+        description: '识别脚注和尾注，依赖 mso-footnote-id 等样式，必须在 removeUnwantedTags、cleanSelectiveStyles 之前执行'
+    },
+    {
+        name: 'markCodeStyles',
+        run: markCodeStyles,
+        description: '标记使用等宽字体和代码样式的元素，供 convertCodeBlocks 使用，必须在清理 class 和 font-family 之前执行'
+    },
+    {
+        name: 'normalizeDialect',
+        run: normalizeDialect,
+        description: '非 Word 来源 (企业微信、Google Docs、飞书) 的方言适配，必须在 Word 特有的处理阶段之前执行'
+    },
+
+    // =================================================================
+    // 阶段 2: 移除不需要的标签和属性
+    // 目标: 移除脚本、样式块、XML命名空间、Word特有标记等
+    // =================================================================
+    {
+        name: 'removeUnwantedTags',
+        run: removeUnwantedTags,
+        description: '移除脚本、样式块、XML 命名空间、Word 特有标记'
+    },
+    {
+        name: 'markShadedTables',
+        run: markShadedTables,
+        description: '标记带底纹的表格和单元格，供 convertNotes 识别提示框，必须在 cleanSelectiveStyles 之前执行'
+    },
+    {
+        name: 'cleanSelectiveStyles',
+        run: cleanSelectiveStyles,
+        description: '只保留加粗、斜体、下划线、删除线、上下标、突出显示、列表样式和宽度'
+    },
+
+    // =================================================================
+    // 阶段 3: 列表处理
+    // 目标: 识别 Word 的 mso-list 样式，转换为标准的 HTML 列表结构
+    // =================================================================
+    {
+        name: 'addListLevelClasses',
+        run: addListLevelClasses,
+        description: '添加列表层级 class'
+    },
+    {
+        name: 'convertCodeBlocks',
+        run: convertCodeBlocks,
+        dom: true,
+        description: '等宽字体的连续段落 -> codeblock，行内等宽文字 -> codeph，依赖 markCodeStyles 的标记'
+    },
+    {
+        name: 'cleanAlignAttributes',
+        run: cleanAlignAttributes,
+        dom: true,
+        description: '清理 align 属性'
+    },
+    {
+        name: 'removeFontTags',
+        run: removeFontTags,
+        dom: true,
+        description: '移除 <font> 标签'
+    },
+    {
+        name: 'convertMsoListToNestedLists',
+        run: convertMsoListToNestedLists,
+        dom: true,
+        description: '转换为嵌套列表'
+    },
+
+    // =================================================================
+    // 阶段 4: 进一步清理和规范化
+    // =================================================================
+    {
+        name: 'cleanSpecialCharacters',
+        run: cleanSpecialCharacters,
+        dom: true,
+        description: '清理特殊字符'
+    },
+    {
+        name: 'cleanEmptyAttributes',
+        run: cleanEmptyAttributes,
+        dom: true,
+        description: '移除空属性'
+    },
+
+    // =================================================================
+    // 阶段 5: 结构规范化与样式清理
+    // 目标: 转换 div 为 p，清理样式标签，移除空标签等
+    // =================================================================
+    {
+        name: 'convertDivToP',
+        run: convertDivToP,
+        dom: true,
+        description: 'div 标签转换为 p 标签'
+    },
+    {
+        name: 'cleanAllStyles',
+        run: cleanAllStyles,
+        dom: true,
+        description: '样式转换为标签，须在 removeSpans 之前执行；表格宽度样式保留供 processTables 使用'
+    },
+    {
+        name: 'cleanEmptyTags',
+        run: cleanEmptyTags,
+        dom: true,
+        description: '移除空标签'
+    },
+    {
+        name: 'cleanLineBreaksAndDecorations',
+        run: cleanLineBreaksAndDecorations,
+        dom: true,
+        description: '合并连续的换行，移除末尾的换行'
+    },
+    {
+        name: 'convertInlineDecorations',
+        run: convertInlineDecorations,
+        dom: true,
+        markdown: true,
+        description: '删除线、突出显示标签转换为 DITA 的 line-through、ph'
+    },
+    {
+        name: 'removeSpans',
+        run: removeSpans,
+        dom: true,
+        description: '移除 span 标签，保留内容'
+    },
+    {
+        name: 'cleanClassAndIdAttributes',
+        run: cleanClassAndIdAttributes,
+        dom: true,
+        description: '清理 class 和 id 属性'
+    },
+
+    // =================================================================
+    // 阶段 6: 结构转换
+    // 目标: 注释、表格、图片、标题、链接等转换为 DITA 结构，Markdown 输入同样执行
+    // =================================================================
+    {
+        name: 'convertNotes',
+        run: convertNotes,
+        dom: true,
+        markdown: true,
+        description: '引导词段落和单格表格转换为 <note>，须在表格转换之前执行'
+    },
+    {
+        name: 'convertDefinitionLists',
+        run: convertDefinitionLists,
+        dom: true,
+        markdown: true,
+        description: '"术语：说明" 段落和两列表格转换为 <dl> (需开启)，须在表格转换之前执行'
+    },
+    {
+        name: 'processTables',
+        run: processTables,
+        dom: true,
+        markdown: true,
+        description: 'HTML 表格转换为 DITA CALS 表格'
+    },
+    {
+        name: 'convertImages',
+        run: convertImages,
+        dom: true,
+        markdown: true,
+        description: '<img> 转换为 <image>，单独成段的图片包裹为 <fig>'
+    },
+    {
+        name: 'convertCaptions',
+        run: convertCaptions,
+        dom: true,
+        markdown: true,
+        description: '题注移入相邻的 <fig>/<table> 作为标题，须在图片和表格转换之后执行'
+    },
+    {
+        name: 'convertHeadings',
+        run: convertHeadings,
+        dom: true,
+        markdown: true,
+        description: '标题转换为 section/title 或子主题 (见 headingMode)'
+    },
+    {
+        name: 'convertLinks',
+        run: convertLinks,
+        dom: true,
+        markdown: true,
+        description: '书签转换为 id，<a> 转换为 <xref>，须在标题处理之后执行'
+    },
+    {
+        name: 'convertLineBreaks',
+        run: convertLineBreaks,
+        dom: true,
+        markdown: true,
+        description: '<br> 拆分为段落、转换为 <lines> 或空格，须在所有结构转换之后执行'
+    },
+    {
+        name: 'mergeConsecutiveInlineTags',
+        run: mergeConsecutiveInlineTags,
+        dom: true,
+        markdown: true,
+        description: '合并连续的内联标签'
+    },
+];
+
+// 处理阶段注册表: 内置阶段 + 插件目录中的自定义阶段
+const stageRegistry = new StageRegistry(BUILTIN_STAGES);
+loadPlugins(stageRegistry);
+
 module.exports = {
     cleanHtml,
+    cleanMarkdownHtml,
+    splitHtml,
+    splitMarkdownHtml,
     formatHtml,
+    STRIKETHROUGH_MODES,
+    stageRegistry,
 };
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+// 提取出的图片文件所在目录 (相对于主题文件)
+const IMAGE_DIR = 'images';
+
+// MIME 类型 -> 扩展名
+const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/tiff': 'tif'
+};
+
+// 允许从本地路径读取的扩展名
+const LOCAL_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'gif', 'bmp', 'webp', 'svg', 'tif', 'tiff']);
+
+// 本地图片大小上限，与上传大小限制一致
+const MAX_LOCAL_SIZE = 50 * 1024 * 1024;
+
+/**
+ * 根据文件头判断图片格式，不是图片时返回 null
+ * 用于校验 file:/// 路径读取到的内容，避免把任意本地文件打包输出
+ * @param {Buffer} data
+ * @returns {string|null} - 扩展名
+ */
+function sniffImageType(data) {
+    if (data.length < 4) return null;
+    if (data[0] === 0x89 && data.toString('ascii', 1, 4) === 'PNG') return 'png';
+    if (data[0] === 0xff && data[1] === 0xd8) return 'jpg';
+    if (data.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+    if (data.toString('ascii', 0, 2) === 'BM') return 'bmp';
+    if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    if (data.toString('ascii', 0, 4) === 'II*\0' || data.toString('ascii', 0, 4) === 'MM\0*') return 'tif';
+    if (/^\s*(<\?xml[\s\S]*?)?<svg[\s>]/.test(data.toString('utf8', 0, 512))) return 'svg';
+    return null;
+}
+
+/**
+ * 解码 data URI
+ * @returns {{data: Buffer, ext: string}|null}
+ */
+function decodeDataUri(src) {
+    const match = src.match(/^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,([\s\S]*)$/i);
+    if (!match) return null;
+
+    try {
+        const mime = match[1].toLowerCase();
+        const data = match[3]
+            ? Buffer.from(match[4].replace(/\s+/g, ''), 'base64')
+            : Buffer.from(decodeURIComponent(match[4]), 'utf8');
+        const ext = MIME_EXTENSIONS[mime] || sniffImageType(data);
+        return ext && data.length ? { data, ext } : null;
+    } catch (error) {
+        // 非法的百分号编码
+        return null;
+    }
+}
+
+/**
+ * 读取 file:/// 路径 (Word 复制时的剪贴板临时文件)
+ *
+ * 剪贴板图片保存在系统临时目录中 (Windows 为 %TEMP%\msohtmlclip1\...)，只读取该目录中
+ * 扩展名和文件头都是图片的文件，避免通过 file:/// 读取服务器上的其他文件。
+ * 带主机名的地址 (file://host/share，在 Windows 上会访问网络共享) 不读取。
+ * @returns {Promise<{data: Buffer, ext: string}|null>}
+ */
+async function readLocalImage(src) {
+    try {
+        const url = new URL(src);
+        if (url.hostname && url.hostname !== 'localhost') return null;
+
+        const filePath = fileURLToPath(url);
+        const extension = (filePath.match(/\.([a-z0-9]+)$/i) || [])[1];
+        if (!extension || !LOCAL_EXTENSIONS.has(extension.toLowerCase())) return null;
+
+        // 解析符号链接后再判断是否位于临时目录中
+        const [realPath, tempDir] = await Promise.all([fs.realpath(filePath), fs.realpath(os.tmpdir())]);
+        const relative = path.relative(tempDir, realPath);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+
+        const stats = await fs.stat(realPath);
+        if (!stats.isFile() || stats.size > MAX_LOCAL_SIZE) return null;
+
+        const data = await fs.readFile(realPath);
+        const ext = sniffImageType(data);
+        return ext ? { data, ext } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 读取标签中的属性值 (支持单引号、双引号和无引号)
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    if (!match) return null;
+    return match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3];
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function escapeAttribute(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 提取 HTML 中的图片
+ *
+ * 在 cleanHtml 之前执行。每个 <img> 按 src 处理:
+ * 1. data URI (含 docxToHtml 从 word/media 生成的图片) -> 解码保存
+ * 2. file:/// 路径 -> 位于系统临时目录中且确实是图片时保存，否则移除 (见 readLocalImage)
+ * 3. http(s) 地址 -> 保留原地址，不下载
+ * 4. 其他 (相对路径、blob:、cid: 等) -> 无法获取，移除
+ *
+ * 保存的图片按内容哈希命名 (image_<hash>.<ext>)，同一张图片多次出现只保存一份，
+ * 重复转换得到的文件名也相同。<img> 被改写为只含 src 和 alt 的规范形式，
+ * 供后续阶段转换为 <image>。使用正则改写，不经过 JSDOM，避免影响 Word 的条件注释等结构。
+ *
+ * @param {string} html - 要处理的HTML
+ * @returns {Promise<{html: string, images: Array<{path: string, data: Buffer}>, warnings: string[]}>}
+ */
+async function extractImages(html) {
+    const images = new Map();
+    const warnings = [];
+    if (!html) return { html: '', images: [], warnings };
+
+    // 先读取 file:/// 图片，正则替换的回调中不能等待
+    const localImages = new Map();
+    for (const tag of html.match(/<img\b[^>]*>/gi) || []) {
+        const src = decodeEntities((getAttribute(tag, 'src') || '').trim());
+        if (/^file:/i.test(src) && !localImages.has(src)) {
+            localImages.set(src, await readLocalImage(src));
+        }
+    }
+
+    html = html.replace(/<img\b[^>]*>/gi, tag => {
+        const src = decodeEntities((getAttribute(tag, 'src') || '').trim());
+        const alt = decodeEntities(getAttribute(tag, 'alt') || '').replace(/\s+/g, ' ').trim();
+        const altAttribute = alt ? ` alt="${escapeAttribute(alt)}"` : '';
+
+        if (/^https?:\/\//i.test(src)) {
+            return `<img src="${escapeAttribute(src)}"${altAttribute}>`;
+        }
+
+        let image = null;
+        if (/^data:/i.test(src)) {
+            image = decodeDataUri(src);
+        } else if (/^file:/i.test(src)) {
+            image = localImages.get(src);
+        }
+
+        if (!image) {
+            const shortSrc = src.length > 80 ? `${src.slice(0, 77)}...` : src;
+            warnings.push(`无法读取图片，已移除: ${shortSrc || '(空地址)'}`);
+            return '';
+        }
+
+        const hash = crypto.createHash('md5').update(image.data).digest('hex').slice(0, 12);
+        const path = `${IMAGE_DIR}/image_${hash}.${image.ext}`;
+        if (!images.has(path)) {
+            images.set(path, { path, data: image.data });
+        }
+        return `<img src="${path}"${altAttribute}>`;
+    });
+
+    // 移除图片后只剩空白的段落 (如 Markdown 中单独一行的图片)
+    if (warnings.length) {
+        html = html.replace(/<p>\s*<\/p>/gi, '');
+    }
+
+    return { html, images: Array.from(images.values()), warnings };
+}
+
+module.exports = {
+    IMAGE_DIR,
+    MIME_EXTENSIONS,
+    extractImages,
+};
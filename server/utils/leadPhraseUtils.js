@@ -0,0 +1,112 @@
+/**
+ * 引导词工具
+ *
+ * Word 文档中很多语义是用段落开头的引导词表达的，如 "前提条件："、"注意："。
+ * 这里提供匹配和剥离引导词的通用方法，引导词可以跨越多个内联元素 (如 <b>注意</b>：)。
+ */
+
+// 引导词后可跟的分隔符 (中英文冒号、空白)
+const SEPARATOR_REGEX = /^[\s:：]*/;
+
+/**
+ * 匹配元素开头的引导词
+ * @param {Element} element - 段落等块级元素
+ * @param {string[]} phrases - 候选引导词，按顺序匹配 (不区分大小写)
+ * @returns {string|null} - 匹配到的引导词
+ */
+function matchLeadPhrase(element, phrases) {
+    const text = element.textContent.replace(/^\s+/, '').toLowerCase();
+    // 优先匹配较长的引导词，避免 "注意" 抢先匹配 "注意事项"
+    const sorted = [...phrases].sort((a, b) => b.length - a.length);
+    return sorted.find(phrase => {
+        const lower = phrase.toLowerCase();
+        if (!text.startsWith(lower)) return false;
+        // 英文引导词后必须是分隔符或结尾，避免 "Note" 匹配 "Notebook"
+        const next = text.charAt(lower.length);
+        return !/[a-z0-9]/i.test(phrase.slice(-1)) || !next || /[\s:：,，.]/.test(next);
+    }) || null;
+}
+
+/**
+ * 从元素开头移除指定长度的文本，以及其后的冒号和空白
+ * 移除后变空的内联元素会一并删除
+ * @param {Element} element
+ * @param {number} length - 要移除的字符数 (不含开头空白)
+ */
+function stripLeadingText(element, length) {
+    let remaining = length;
+    let strippingSeparator = false;
+    const document = element.ownerDocument;
+    const walker = document.createTreeWalker(element, document.defaultView.NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+
+    for (const node of textNodes) {
+        let text = node.textContent;
+        if (!strippingSeparator) {
+            if (remaining === length) {
+                text = text.replace(/^\s+/, '');
+            }
+            const removed = Math.min(remaining, text.length);
+            text = text.slice(removed);
+            remaining -= removed;
+            if (remaining === 0) strippingSeparator = true;
+        }
+        if (strippingSeparator) {
+            const separator = text.match(SEPARATOR_REGEX)[0];
+            text = text.slice(separator.length);
+        }
+        node.textContent = text;
+        if (text) break;
+    }
+
+    // 删除因剥离而变空的内联元素 (图片和书签 <a name> 除外)
+    Array.from(element.querySelectorAll('*')).reverse().forEach(child => {
+        const isImage = ['img', 'dita-image'].includes(child.tagName.toLowerCase());
+        const isBookmark = child.tagName.toLowerCase() === 'a' && child.hasAttribute('name');
+        if (!child.textContent && !isImage && !isBookmark && !child.querySelector('img, br, dita-image, a[name]')) {
+            child.remove();
+        }
+    });
+}
+
+/**
+ * 匹配并剥离引导词
+ * @param {Element} element
+ * @param {string[]} phrases
+ * @returns {string|null} - 匹配到的引导词，未匹配时返回 null 且不修改元素
+ */
+function stripLeadPhrase(element, phrases) {
+    const phrase = matchLeadPhrase(element, phrases);
+    if (phrase) {
+        stripLeadingText(element, phrase.length);
+    }
+    return phrase;
+}
+
+/**
+ * 合并默认引导词和自定义引导词
+ * @param {Object} defaults - 分类 -> 引导词列表
+ * @param {Object} [custom] - 如 { prereq: ['必备条件'] }，同名分类会替换默认值，未知分类被忽略
+ * @returns {Object}
+ */
+function mergeLeadPhrases(defaults, custom) {
+    const phrases = { ...defaults };
+    if (custom && typeof custom === 'object') {
+        for (const [name, list] of Object.entries(custom)) {
+            if (phrases[name] && Array.isArray(list)) {
+                phrases[name] = list.filter(item => typeof item === 'string' && item.trim());
+            }
+        }
+    }
+    return phrases;
+}
+
+module.exports = {
+    mergeLeadPhrases,
+    matchLeadPhrase,
+    stripLeadingText,
+    stripLeadPhrase,
+};
@@ -0,0 +1,203 @@
+/**
+ * 段落中软换行 (<br>) 的处理方式
+ * - split: 拆分为多个段落 (默认)
+ * - lines: 段落转换为 <lines>，保留换行 (地址、诗歌等)
+ * - space: 替换为空格
+ */
+const LINE_BREAK_MODES = ['split', 'lines', 'space'];
+
+// 可以包含段落的容器: 其中直接出现的换行，先将所在的行内内容包裹为段落
+const PARAGRAPH_CONTAINERS = new Set([
+    'li', 'dita-entry', 'dd', 'note', 'fn', 'lq', 'fig', 'section', 'dita-body', 'body'
+]);
+
+// 保留换行的元素: 换行转换为换行符
+const PREFORMATTED_TAGS = new Set(['codeblock', 'pre', 'lines']);
+
+// 只能包含行内内容的元素: 换行只能替换为空格
+const TEXT_ONLY_TAGS = new Set(['dita-title', 'title', 'shortdesc', 'dt', 'dthd', 'ddhd', 'cmd', 'dita-caption']);
+
+// 块级标签，用于界定容器中行内内容的范围
+const BLOCK_TAGS = new Set([
+    'p', 'ul', 'ol', 'dl', 'dita-table', 'simpletable', 'section', 'example',
+    'codeblock', 'pre', 'lq', 'note', 'fig', 'lines', 'div', 'dita-title', 'dita-topic', 'dita-body'
+]);
+
+// 拆分段落后变空时删除的格式标签
+const FORMATTING_TAGS = new Set([
+    'b', 'i', 'u', 'sup', 'sub', 'line-through', 'overline', 'ph', 'codeph', 'span'
+]);
+
+/**
+ * 处理软换行，保证输出中不含 <br>
+ *
+ * 在标题、表格、列表等结构转换之后执行，按换行所在的元素处理:
+ * - 段落 (<p>): 按 options.lineBreaks 拆分为多个段落、转换为 <lines> 或替换为空格
+ * - 列表项、表格单元格、注释等容器中直接出现的换行: 先将所在的行内内容包裹为段落，再同上处理
+ * - 代码块、<lines>: 转换为换行符
+ * - 标题、短描述、术语等只能包含行内内容的元素: 替换为空格
+ *
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ * @param {Object} [options]
+ * @param {string} [options.lineBreaks='split'] - split | lines | space
+ */
+function convertLineBreaks(document, options = {}) {
+    if (!document.body.querySelector('br')) return;
+
+    const mode = LINE_BREAK_MODES.includes(options.lineBreaks) ? options.lineBreaks : 'split';
+
+    function tagOf(node) {
+        return node.nodeType === 1 ? node.tagName.toLowerCase() : '';
+    }
+
+    // 换行所在的块: 最近的段落、容器、保留换行或只能包含行内内容的元素
+    function findBlock(br) {
+        let element = br.parentElement;
+        while (element !== document.body) {
+            const tag = tagOf(element);
+            if (tag === 'p' || PARAGRAPH_CONTAINERS.has(tag) || PREFORMATTED_TAGS.has(tag) || TEXT_ONLY_TAGS.has(tag)) {
+                return element;
+            }
+            element = element.parentElement;
+        }
+        return document.body;
+    }
+
+    // 去掉换行两侧的空白 (Word 的 HTML 在 <br> 后通常有换行)
+    function trimAround(br) {
+        const previous = br.previousSibling;
+        const next = br.nextSibling;
+        if (previous && previous.nodeType === 3) previous.textContent = previous.textContent.replace(/\s+$/, '');
+        if (next && next.nodeType === 3) next.textContent = next.textContent.replace(/^\s+/, '');
+    }
+
+    function replaceWithText(br, text) {
+        br.replaceWith(document.createTextNode(text));
+    }
+
+    function isEmpty(element) {
+        return !element.textContent.trim() && !element.querySelector('dita-image, xref, fn');
+    }
+
+    function hasContent(node) {
+        if (node.nodeType === 3) return Boolean(node.textContent.trim());
+        if (node.nodeType !== 1) return false;
+        return Boolean(node.textContent.trim()) || node.matches('dita-image, xref, fn') || Boolean(node.querySelector('dita-image, xref, fn'));
+    }
+
+    // 换行位于块的开头或末尾 (之前或之后没有内容)
+    // 逐层检查换行到块之间各祖先的兄弟节点 (不使用 Range，大文档中 Range 的位置比较很慢)
+    function isAtEdge(block, br) {
+        let contentBefore = false;
+        let contentAfter = false;
+        for (let node = br; node && node !== block; node = node.parentNode) {
+            for (let sibling = node.previousSibling; sibling && !contentBefore; sibling = sibling.previousSibling) {
+                contentBefore = hasContent(sibling);
+            }
+            for (let sibling = node.nextSibling; sibling && !contentAfter; sibling = sibling.nextSibling) {
+                contentAfter = hasContent(sibling);
+            }
+            if (contentBefore && contentAfter) return false;
+        }
+        return true;
+    }
+
+    function removeEmptyFormatting(element) {
+        Array.from(element.querySelectorAll('*')).reverse().forEach(child => {
+            if (FORMATTING_TAGS.has(tagOf(child)) && isEmpty(child)) child.remove();
+        });
+    }
+
+    // 将容器中 node 所在的连续行内内容包裹为段落
+    function wrapRun(container, node) {
+        while (node.parentNode !== container) {
+            node = node.parentNode;
+        }
+        const isInline = sibling => sibling && (sibling.nodeType === 3 || (sibling.nodeType === 1 && !BLOCK_TAGS.has(tagOf(sibling))));
+        let first = node;
+        while (isInline(first.previousSibling)) first = first.previousSibling;
+        const wrapper = document.createElement('p');
+        container.insertBefore(wrapper, first);
+        while (isInline(wrapper.nextSibling)) {
+            wrapper.appendChild(wrapper.nextSibling);
+        }
+        return wrapper;
+    }
+
+    // 在换行处拆分段落，换行外层的行内元素 (如 <b>) 同时拆分
+    function splitParagraph(paragraph, br) {
+        let tail = null;
+        let node = br;
+        while (node !== paragraph) {
+            const parent = node.parentNode;
+            const clone = parent.cloneNode(false);
+            if (tail) clone.appendChild(tail);
+            while (node.nextSibling) {
+                clone.appendChild(node.nextSibling);
+            }
+            tail = clone;
+            node = parent;
+        }
+        tail.removeAttribute('id');
+        br.remove();
+        paragraph.after(tail);
+
+        [paragraph, tail].forEach(part => {
+            removeEmptyFormatting(part);
+            if (isEmpty(part)) part.remove();
+        });
+    }
+
+    // 段落转换为 <lines>，其中的换行转换为换行符
+    function toLines(paragraph) {
+        const lines = document.createElement('lines');
+        while (paragraph.firstChild) {
+            lines.appendChild(paragraph.firstChild);
+        }
+        paragraph.replaceWith(lines);
+        lines.querySelectorAll('br').forEach(br => {
+            trimAround(br);
+            if (isAtEdge(lines, br)) {
+                br.remove();
+            } else {
+                replaceWithText(br, '\n');
+            }
+        });
+    }
+
+    // 拆分、包裹段落只移动换行，不复制，按文档顺序依次处理即可；toLines 已处理的换行不再在文档中
+    for (const br of Array.from(document.body.querySelectorAll('br'))) {
+        if (!br.isConnected) continue;
+        trimAround(br);
+        let block = findBlock(br);
+        const tag = tagOf(block);
+
+        if (PREFORMATTED_TAGS.has(tag)) {
+            replaceWithText(br, '\n');
+            continue;
+        }
+        if (PARAGRAPH_CONTAINERS.has(tag) && mode !== 'space') {
+            block = wrapRun(block, br);
+        }
+        // 开头或末尾的换行没有意义，直接删除
+        if (isAtEdge(block, br)) {
+            br.remove();
+            removeEmptyFormatting(block);
+            if (tagOf(block) === 'p' && isEmpty(block)) block.remove();
+            continue;
+        }
+
+        if (TEXT_ONLY_TAGS.has(tag) || mode === 'space') {
+            replaceWithText(br, ' ');
+        } else if (mode === 'lines') {
+            toLines(block);
+        } else {
+            splitParagraph(block, br);
+        }
+    }
+}
+
+module.exports = {
+    LINE_BREAK_MODES,
+    convertLineBreaks,
+};
@@ -0,0 +1,278 @@
+const { generateId, DEFAULT_TITLE } = require('./ditaTopic');
+
+// Word 目录段落的 class (MsoToc1-9) 和目录标题 (MsoTocHeading)
+const TOC_PARAGRAPH_REGEX = /<p\b[^>]*\bclass=["']?MsoToc(?:\d|Heading)\b[^>]*>[\s\S]*?<\/p>/gi;
+
+// 书签可以标记的元素，书签 id 放在最近的此类祖先上
+const BOOKMARK_TARGETS = 'p, li, dlentry, fig, dita-table, note, section, dita-topic';
+
+// 链接目标的扩展名 -> @format，未列出的扩展名使用扩展名本身，没有扩展名时为 html
+const LINK_FORMATS = {
+    htm: 'html',
+    xhtml: 'html',
+    shtml: 'html',
+    php: 'html',
+    asp: 'html',
+    aspx: 'html',
+    jsp: 'html',
+    jpeg: 'jpg',
+};
+
+// 带协议的链接，如 http:、mailto:、ftp: (Windows 盘符 C:\ 不算协议)
+const URL_SCHEME_REGEX = /^([a-z][a-z\d+.-]+):/i;
+
+/**
+ * 移除 Word 自动生成的目录
+ * 目录条目是指向 _Toc 书签的链接，DITA 的目录由 map 生成，这里整段移除。
+ * 在 removeUnwantedTags 清理 Mso class 之前执行。
+ * @param {string} html
+ * @returns {string}
+ */
+function removeTocEntries(html) {
+    if (!html || !/MsoToc/.test(html)) return html;
+    return html.replace(TOC_PARAGRAPH_REGEX, '');
+}
+
+/**
+ * 解码链接中的书签名，非法的百分号编码保留原样
+ */
+function decodeFragment(href) {
+    try {
+        return decodeURIComponent(href.slice(1));
+    } catch (error) {
+        return href.slice(1);
+    }
+}
+
+/**
+ * 将书签 id 规范化为合法的 XML id
+ */
+function toXmlId(name) {
+    const id = name.replace(/[^\w.-]/g, '_');
+    return /^[A-Za-z_]/.test(id) ? id : `_${id}`;
+}
+
+/**
+ * 规范化同级站点域名列表
+ * @param {string[]|string} [domains] - 域名数组，或逗号、空白分隔的字符串
+ * @returns {string[]} - 小写的域名，去掉协议、路径和开头的 "*."
+ */
+function normalizeDomains(domains) {
+    const list = Array.isArray(domains) ? domains : String(domains || '').split(/[\s,，;；]+/);
+    return list
+        .map(domain => String(domain).trim().toLowerCase()
+            .replace(/^[a-z][a-z\d+.-]*:\/\//, '')
+            .replace(/[/?#].*$/, '')
+            .replace(/^\*\./, ''))
+        .filter(Boolean);
+}
+
+/**
+ * 判断链接目标的 @scope 和 @format
+ *
+ * - mailto: 链接: scope="external" format="email"
+ * - 相对路径: scope="local"
+ * - 主机名为 peerDomains 中的域名或其子域名: scope="peer"
+ * - 其他绝对地址 (含 "//host/..."): scope="external"
+ * - format 由路径的扩展名决定，如 .pdf -> "pdf"、.docx -> "docx"，.dita/.ditamap 保持原样，
+ *   没有扩展名或为网页扩展名时为 "html"
+ *
+ * @param {string} href - 链接地址 (不以 # 开头)
+ * @param {string[]|string} [peerDomains] - 同级站点域名
+ * @returns {{scope: string, format: string}}
+ */
+function classifyLink(href, peerDomains) {
+    const scheme = (href.match(URL_SCHEME_REGEX) || [])[1];
+    if (scheme && scheme.toLowerCase() === 'mailto') {
+        return { scope: 'external', format: 'email' };
+    }
+
+    let scope = 'local';
+    if (scheme || href.startsWith('//')) {
+        scope = 'external';
+        const host = (href.match(/^(?:[a-z][a-z\d+.-]*:)?\/\/(?:[^@/?#]*@)?([^:/?#]+)/i) || [])[1];
+        const domains = normalizeDomains(peerDomains);
+        if (host && domains.some(domain => host.toLowerCase() === domain || host.toLowerCase().endsWith(`.${domain}`))) {
+            scope = 'peer';
+        }
+    }
+
+    // 只取路径部分的扩展名，忽略查询参数、片段和域名
+    const path = href.replace(/[?#].*$/, '').replace(/^(?:[a-z][a-z\d+.-]*:)?\/\/[^/]*/i, '');
+    const extension = (path.match(/\.([a-z\d]{1,8})$/i) || [])[1];
+    const format = extension ? (LINK_FORMATS[extension.toLowerCase()] || extension.toLowerCase()) : 'html';
+
+    return { scope, format };
+}
+
+/**
+ * 转换链接和书签
+ *
+ * 在标题层级处理之后执行 (此时 section、子主题都已生成):
+ * 1. 书签 <a name> -> 最近的 section、表格、图、段落等元素的 id；
+ *    书签位于子主题标题中时对应该主题，位于文档标题中时对应根主题。
+ *    Word 的隐藏书签 (以 _ 开头，如 _Toc、_Ref、_GoBack) 只在被链接引用时保留
+ * 2. 指向书签的链接 -> <xref format="dita" scope="local">:
+ *    同一主题内为 "#./元素id"，跨主题为 "#主题id/元素id"，指向主题本身为 "#主题id"
+ * 3. 指向不存在的书签的链接只保留文字，并记录到 options.warnings；
+ *    指向不存在的隐藏书签 (Word 自动生成的交叉引用、目录等) 的链接直接保留文字，不记录警告
+ * 4. 其他链接 -> <xref>，scope 和 format 见 classifyLink；没有文字的链接使用地址作为文字
+ *
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ * @param {Object} [options] - 转换选项
+ * @param {string} [options.id] - 根主题 id (flat、sections 模式)
+ * @param {string} [options.title] - 文档没有标题时使用的标题 (用于生成根主题 id)
+ * @param {string} [options.topicType] - 主题类型 (用于生成根主题 id)
+ * @param {string[]|string} [options.peerDomains] - 同级站点域名，指向这些域名的链接标记为 scope="peer"
+ * @param {string[]} [options.warnings] - 收集警告信息
+ */
+function convertLinks(document, options = {}) {
+    if (!document.body.querySelector('a')) return;
+
+    const body = document.body;
+    const topicType = options.topicType || 'topic';
+
+    const usedIds = new Set(Array.from(body.querySelectorAll('[id]')).map(element => element.getAttribute('id')));
+
+    // 逐个遍历子元素，避免大文档中反复复制 children 集合
+    function getTitle(element) {
+        for (let child = element.firstElementChild; child; child = child.nextElementSibling) {
+            if (child.tagName.toLowerCase() === 'dita-title') return child;
+        }
+        return null;
+    }
+
+    // 被 wrapDitaTopic 展开为主题本身的根 section (flat、sections 模式下由 h1 生成)
+    const onlyChild = body.firstElementChild;
+    const rootSection = onlyChild && !onlyChild.nextElementSibling &&
+        onlyChild.tagName.toLowerCase() === 'section' && getTitle(onlyChild) ? onlyChild : null;
+
+    function isRootSection(element) {
+        return element === rootSection;
+    }
+
+    // 子主题的 id 在 buildHeadingHierarchy 中生成；没有标题的根主题在这里补充 id，
+    // 与 wrapDitaTopic 的生成规则一致 (options.id 由 wrapDitaTopic 替换)
+    function getTopicId(topic) {
+        if (!topic.getAttribute('id')) {
+            topic.setAttribute('id', generateId(options.title || DEFAULT_TITLE, topicType));
+        }
+        return topic.getAttribute('id');
+    }
+
+    // 与 wrapDitaTopic 生成根主题 id 的规则一致
+    function getRootSectionId(section) {
+        const title = getTitle(section);
+        return options.id || generateId(title.innerHTML, topicType);
+    }
+
+    // 书签所在的元素: 标题中的书签对应标题所属的 section、子主题、图或表
+    function findOwner(anchor) {
+        const title = anchor.closest('dita-title');
+        if (title) return title.parentElement;
+
+        const owner = anchor.closest(BOOKMARK_TARGETS);
+        if (owner && !isRootSection(owner)) return owner;
+
+        // 根 section 或片段顶层的行内内容 (如 flat 模式下 h2 降级得到的 <b>)，使用该行内元素
+        const container = owner || body;
+        let child = anchor;
+        while (child.parentElement && child.parentElement !== container) {
+            child = child.parentElement;
+        }
+        return child !== anchor ? child : owner;
+    }
+
+    // 1. 收集书签
+    const linkedNames = new Set();
+    body.querySelectorAll('a[href^="#"]').forEach(link => {
+        linkedNames.add(decodeFragment(link.getAttribute('href')));
+    });
+
+    const bookmarks = new Map();
+    body.querySelectorAll('a[name]').forEach(anchor => {
+        const name = anchor.getAttribute('name');
+        const owner = findOwner(anchor);
+
+        if (name && !bookmarks.has(name) && owner && (linkedNames.has(name) || !name.startsWith('_'))) {
+            if (owner.tagName.toLowerCase() === 'dita-topic') {
+                bookmarks.set(name, { topic: owner });
+            } else if (isRootSection(owner)) {
+                bookmarks.set(name, { rootSection: owner });
+            } else {
+                if (!owner.getAttribute('id')) {
+                    let id = toXmlId(name);
+                    for (let n = 2; usedIds.has(id); n++) {
+                        id = `${toXmlId(name)}_${n}`;
+                    }
+                    usedIds.add(id);
+                    owner.setAttribute('id', id);
+                }
+                bookmarks.set(name, { element: owner });
+            }
+        }
+
+        // 同时带 href 的锚点作为链接继续处理
+        if (anchor.hasAttribute('href')) {
+            anchor.removeAttribute('name');
+        } else {
+            anchor.replaceWith(...Array.from(anchor.childNodes));
+        }
+    });
+
+    function resolveHref(bookmark, link) {
+        if (bookmark.topic) return `#${getTopicId(bookmark.topic)}`;
+        if (bookmark.rootSection) return `#${getRootSectionId(bookmark.rootSection)}`;
+
+        const id = bookmark.element.getAttribute('id');
+        const targetTopic = bookmark.element.closest('dita-topic');
+        if (!targetTopic || targetTopic === link.closest('dita-topic')) {
+            return `#./${id}`;
+        }
+        return `#${getTopicId(targetTopic)}/${id}`;
+    }
+
+    // 2. 转换链接
+    body.querySelectorAll('a').forEach(link => {
+        const href = link.getAttribute('href');
+        const xref = document.createElement('xref');
+
+        if (!href) {
+            link.replaceWith(...Array.from(link.childNodes));
+            return;
+        }
+
+        if (href.startsWith('#')) {
+            const name = decodeFragment(href);
+            const bookmark = bookmarks.get(name);
+            if (!bookmark) {
+                if (!name.startsWith('_')) {
+                    (options.warnings || []).push(`找不到链接目标，已保留为文本: ${href}`);
+                }
+                link.replaceWith(...Array.from(link.childNodes));
+                return;
+            }
+            xref.setAttribute('href', resolveHref(bookmark, link));
+            xref.setAttribute('format', 'dita');
+            xref.setAttribute('scope', 'local');
+        } else {
+            const { scope, format } = classifyLink(href, options.peerDomains);
+            xref.setAttribute('scope', scope);
+            xref.setAttribute('format', format);
+            xref.setAttribute('href', href);
+            if (!link.textContent.trim() && !link.querySelector('img, dita-image')) {
+                link.textContent = format === 'email' ? href.replace(URL_SCHEME_REGEX, '').replace(/\?.*$/, '') : href;
+            }
+        }
+
+        while (link.firstChild) {
+            xref.appendChild(link.firstChild);
+        }
+        link.replaceWith(xref);
+    });
+}
+
+module.exports = {
+    removeTocEntries,
+    convertLinks,
+};
@@ -0,0 +1,95 @@
+const { Marked } = require('marked');
+const { JSDOM } = require('jsdom');
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Markdown 输入不经过 Word HTML 的标签清理阶段，其中的原始 HTML (如 <script>) 按文本输出，
+// 块级 HTML 放入段落
+const marked = new Marked({
+    gfm: true,
+    async: false,
+    renderer: {
+        html({ text, block }) {
+            const escaped = escapeHtml(text.trim());
+            if (!escaped) return '';
+            return block ? `<p>${escaped}</p>\n` : escapeHtml(text);
+        }
+    }
+});
+
+/**
+ * 将 Markdown 转换为 HTML，并规范化为与 Word 输入处理后一致的标签
+ *
+ * 1. 使用 marked 解析 CommonMark + GFM (表格、围栏代码块、删除线)，原始 HTML 转义为文本
+ * 2. 将 HTML 语义标签映射为后续阶段使用的标签:
+ *    - strong/em -> b/i
+ *    - pre>code -> codeblock (保留换行和缩进)，行内 code -> codeph
+ *    - blockquote -> lq
+ *    - hr 移除，del 保留，由 convertInlineDecorations 转换为 line-through
+ *    - img 保留，由 extractImages 处理
+ * 3. 移除块级元素之间的换行空白
+ *
+ * @param {string} markdown - Markdown 文本
+ * @returns {string} - 规范化后的HTML
+ */
+function markdownToHtml(markdown) {
+    if (!markdown) return '';
+
+    const html = marked.parse(markdown);
+    const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
+    const document = dom.window.document;
+
+    // 代码块: <pre><code class="language-xx"> -> <codeblock outputclass="language-xx">
+    document.querySelectorAll('pre').forEach(pre => {
+        const code = pre.querySelector('code');
+        const codeblock = document.createElement('codeblock');
+        const language = code && (code.getAttribute('class') || '').match(/language-([\w+#-]+)/);
+        if (language) {
+            codeblock.setAttribute('outputclass', `language-${language[1]}`);
+        }
+        // 去掉围栏代码块末尾多余的换行
+        codeblock.textContent = (code || pre).textContent.replace(/\n$/, '');
+        pre.replaceWith(codeblock);
+    });
+
+    const renames = {
+        strong: 'b',
+        em: 'i',
+        code: 'codeph',
+        blockquote: 'lq',
+    };
+    Object.entries(renames).forEach(([from, to]) => {
+        document.querySelectorAll(from).forEach(element => {
+            const replacement = document.createElement(to);
+            while (element.firstChild) {
+                replacement.appendChild(element.firstChild);
+            }
+            element.replaceWith(replacement);
+        });
+    });
+
+    document.querySelectorAll('hr').forEach(element => element.remove());
+
+    // 移除块级元素之间的换行，其余文本中的换行视为空格 (代码块除外)
+    const walker = document.createTreeWalker(document.body, dom.window.NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+    textNodes.forEach(node => {
+        if (node.parentElement.closest('codeblock')) return;
+        if (!node.textContent.trim() && /\n/.test(node.textContent)) {
+            node.remove();
+        } else {
+            node.textContent = node.textContent.replace(/\s*\n\s*/g, ' ');
+        }
+    });
+
+    return document.body.innerHTML;
+}
+
+module.exports = {
+    markdownToHtml,
+};
@@ -0,0 +1,173 @@
+const { mergeLeadPhrases, matchLeadPhrase, stripLeadingText } = require('./leadPhraseUtils');
+
+/**
+ * 支持的注释类型 (DITA note 的 type 属性)
+ */
+const NOTE_TYPES = ['note', 'attention', 'caution', 'warning', 'danger', 'tip'];
+
+/**
+ * 注释类型 -> 引导词
+ * 段落以引导词加冒号开头时转换为对应类型的 <note>，可通过 options.noteLeadPhrases 替换
+ */
+const DEFAULT_NOTE_LEAD_PHRASES = {
+    note: ['说明', '备注', '注', 'Note', 'Notes'],
+    attention: ['注意', '重要', 'Attention', 'Important'],
+    caution: ['小心', 'Caution'],
+    warning: ['警告', 'Warning'],
+    danger: ['危险', 'Danger'],
+    tip: ['提示', '技巧', 'Tip', 'Tips']
+};
+
+// markShadedTables 添加的底纹标记
+const SHADING_ATTRIBUTE = 'dita-shaded';
+
+// 底纹颜色: bgcolor 属性，或 style 中的 background/background-color
+const SHADING_REGEX = /(?:\bbgcolor\s*=\s*["']?|(?:^|[\s;"'])background(?:-color)?\s*:\s*)(#?[\w]+)/gi;
+
+// 不算底纹的颜色
+const NO_SHADING_REGEX = /^(?:#?fff|#?ffffff|white|transparent|auto|none|inherit|initial|window)$/i;
+
+/**
+ * 标记有底纹的表格和单元格
+ * 在 cleanSelectiveStyles 清理背景色之前执行，convertNotes 据此只将带底纹的单格表格识别为注释
+ * @param {string} html
+ * @returns {string}
+ */
+function markShadedTables(html) {
+    if (!html || !/<t(?:able|d|h)\b/i.test(html)) return html;
+
+    return html.replace(/<(table|td|th)\b([^>]*)>/gi, (tag, tagName, attributes) => {
+        const colors = Array.from(attributes.matchAll(SHADING_REGEX), match => match[1]);
+        return colors.some(color => !NO_SHADING_REGEX.test(color))
+            ? `<${tagName} ${SHADING_ATTRIBUTE}="true"${attributes}>`
+            : tag;
+    });
+}
+
+/**
+ * 匹配注释引导词，返回 { type, phrase }
+ * 引导词后必须紧跟冒号，避免 "注意力"、"Note that" 这类正文被误判
+ */
+function matchNotePhrase(element, phrases) {
+    const text = element.textContent.replace(/^\s+/, '');
+    for (const type of NOTE_TYPES) {
+        const phrase = matchLeadPhrase(element, phrases[type] || []);
+        if (phrase && /^\s*[:：]/.test(text.slice(phrase.length))) {
+            return { type, phrase };
+        }
+    }
+    return null;
+}
+
+/**
+ * 识别注释 (note)
+ *
+ * 在 processTables 之前执行:
+ * 1. 以 "注意："、"Note:" 等引导词开头的段落 -> <note type="...">，移除引导词
+ * 2. 只有一个单元格、带底纹 (见 markShadedTables) 的表格 (Word 中常用的提示框) -> <note>，
+ *    类型取单元格第一段的引导词，没有引导词时为 note；没有底纹的单格表格 (如带边框的代码框)
+ *    只有以引导词开头时才转换
+ * 3. 以引导词开头的引用块 (Markdown 的 "> **Note:** ...") -> <note>
+ *
+ * @param {Document} document - 处理中的文档 (DOM 阶段)
+ * @param {Object} [options]
+ * @param {Object} [options.noteLeadPhrases] - 自定义引导词，见 DEFAULT_NOTE_LEAD_PHRASES
+ * @param {boolean} [options.noteTables=true] - 是否将单格表格转换为注释
+ */
+function convertNotes(document, options = {}) {
+    const phrases = mergeLeadPhrases(DEFAULT_NOTE_LEAD_PHRASES, options.noteLeadPhrases);
+
+    function createNote(type) {
+        const note = document.createElement('note');
+        note.setAttribute('type', type);
+        return note;
+    }
+
+    // 将段落替换为其内容，返回内容片段
+    function unwrap(element) {
+        const fragment = document.createDocumentFragment();
+        while (element.firstChild) {
+            fragment.appendChild(element.firstChild);
+        }
+        element.remove();
+        return fragment;
+    }
+
+    // 移除引导词；段落只剩引导词时整体删除
+    function stripNotePhrase(element, match) {
+        stripLeadingText(element, match.phrase.length);
+        if (!element.textContent.trim() && !element.querySelector('img')) {
+            element.remove();
+        }
+    }
+
+    // 1. 单格表格
+    if (options.noteTables !== false) {
+        Array.from(document.querySelectorAll('table')).reverse().forEach(table => {
+            const rows = table.querySelectorAll('tr');
+            const cells = table.querySelectorAll('td, th');
+            if (rows.length !== 1 || cells.length !== 1 || table.querySelector('table')) return;
+
+            const cell = cells[0];
+            if (!cell.textContent.trim() && !cell.querySelector('img')) return;
+
+            const first = cell.firstElementChild && cell.firstElementChild.tagName.toLowerCase() === 'p'
+                ? cell.firstElementChild
+                : cell;
+            const match = matchNotePhrase(first, phrases);
+            if (!match && !table.hasAttribute(SHADING_ATTRIBUTE) && !cell.hasAttribute(SHADING_ATTRIBUTE)) return;
+            if (match) stripNotePhrase(first, match);
+
+            const note = createNote(match ? match.type : 'note');
+            while (cell.firstChild) {
+                note.appendChild(cell.firstChild);
+            }
+            table.replaceWith(note);
+        });
+    }
+
+    // 2. 引用块
+    document.querySelectorAll('lq').forEach(quote => {
+        const first = quote.firstElementChild && quote.firstElementChild.tagName.toLowerCase() === 'p'
+            ? quote.firstElementChild
+            : quote;
+        const match = matchNotePhrase(first, phrases);
+        if (!match) return;
+
+        stripNotePhrase(first, match);
+        const note = createNote(match.type);
+        while (quote.firstChild) {
+            note.appendChild(quote.firstChild);
+        }
+        quote.replaceWith(note);
+    });
+
+    // 3. 引导词段落 (已在注释中的段落除外)
+    document.querySelectorAll('p').forEach(paragraph => {
+        if (!paragraph.isConnected || paragraph.closest('note')) return;
+        const match = matchNotePhrase(paragraph, phrases);
+        if (!match) return;
+
+        stripLeadingText(paragraph, match.phrase.length);
+        const note = createNote(match.type);
+        const next = paragraph.nextElementSibling;
+        if (!paragraph.textContent.trim() && !paragraph.querySelector('img')) {
+            // 引导词单独成段 ("注意：" 换行后再写内容)，使用下一个段落或列表作为注释内容
+            if (next && ['p', 'ul', 'ol'].includes(next.tagName.toLowerCase())) {
+                note.appendChild(next.tagName.toLowerCase() === 'p' ? unwrap(next) : next);
+            }
+        } else {
+            while (paragraph.firstChild) {
+                note.appendChild(paragraph.firstChild);
+            }
+        }
+        paragraph.replaceWith(note);
+    });
+}
+
+module.exports = {
+    NOTE_TYPES,
+    DEFAULT_NOTE_LEAD_PHRASES,
+    markShadedTables,
+    convertNotes,
+};
@@ -0,0 +1,236 @@
+const { isTopicType, isXmlName } = require('./ditaTopic');
+const { HEADING_MODES } = require('./headingUtils');
+const { NOTE_TYPES } = require('./noteUtils');
+const { STRIKETHROUGH_MODES, stageRegistry } = require('./htmlUtilsDita');
+const { LINE_BREAK_MODES } = require('./lineBreakUtils');
+const { loadStyleMapping, validateStyleMapping } = require('./styleMappingUtils');
+const { loadPipelineProfile } = require('./pipeline');
+
+// 标题 (title 参数) 的最大长度
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * 解析对象类型的参数
+ * @param {Object|string|undefined} value - 对象，或 multipart 表单中的 JSON 字符串
+ * @param {string} name - 参数名，用于错误信息
+ * @returns {{value: Object|undefined, error: string|null}}
+ */
+function parseObjectParam(value, name) {
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            return { value: undefined, error: `${name} 不是有效的 JSON` };
+        }
+    }
+    if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+        return { value: undefined, error: `${name} 必须是对象` };
+    }
+    return { value, error: null };
+}
+
+/**
+ * 解析可选的整数参数
+ * @param {number|string|undefined} value - multipart 表单中为字符串
+ * @param {string} name - 参数名，用于错误信息
+ * @param {number} min - 最小值
+ * @param {number} [max] - 最大值
+ * @returns {{value: number|undefined, error: string|null}}
+ */
+function parseIntegerParam(value, name, min, max = Infinity) {
+    if (value === undefined || value === '') {
+        return { value: undefined, error: null };
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        const range = max === Infinity ? `不小于 ${min} 的整数` : ` ${min}-${max} 的整数`;
+        return { value: undefined, error: `${name} 必须是${range}` };
+    }
+    return { value: number, error: null };
+}
+
+/**
+ * 解析字符串列表参数
+ * @param {string[]|string|undefined} value - 数组，或逗号、空白分隔的字符串 (multipart 表单)
+ * @param {string} name - 参数名，用于错误信息
+ * @returns {{value: string[]|undefined, error: string|null}}
+ */
+function parseListParam(value, name) {
+    if (value === undefined || value === '') {
+        return { value: undefined, error: null };
+    }
+    if (typeof value === 'string') {
+        value = value.split(/[\s,，;；]+/).filter(Boolean);
+    }
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return { value: undefined, error: `${name} 必须是字符串数组` };
+    }
+    return { value, error: null };
+}
+
+/**
+ * 解析样式映射参数
+ * @param {Object|string|undefined} value - 映射文件名 (server/styleMappings 下，不含 .json)，
+ *   或映射对象 (multipart 表单中为 JSON 字符串)
+ * @returns {{value: Object|undefined, error: string|null}}
+ */
+function parseStyleMappingParam(value) {
+    if (value === undefined || value === '') {
+        return { value: undefined, error: null };
+    }
+    if (typeof value === 'string' && !value.trim().startsWith('{')) {
+        return loadStyleMapping(value);
+    }
+
+    const mapping = parseObjectParam(value, 'styleMapping');
+    if (mapping.error) return mapping;
+    const error = validateStyleMapping(mapping.value);
+    return error ? { value: undefined, error } : mapping;
+}
+
+/**
+ * 解析流水线配置参数
+ * @param {Object|string|undefined} value - 配置文件名 (server/pipelineProfiles 下，不含 .json)，
+ *   或配置对象 (multipart 表单中为 JSON 字符串)
+ * @returns {{value: Object|undefined, error: string|null}}
+ */
+function parsePipelineProfileParam(value) {
+    if (value === undefined || value === '') {
+        return { value: undefined, error: null };
+    }
+    const profile = typeof value === 'string' && !value.trim().startsWith('{')
+        ? loadPipelineProfile(value)
+        : parseObjectParam(value, 'pipelineProfile');
+    if (profile.error) return profile;
+    const error = stageRegistry.validate(profile.value);
+    return error ? { value: undefined, error } : profile;
+}
+
+/**
+ * 从请求参数中解析 DITA 输出选项
+ * multipart 表单和命令行中的值都是字符串，这里统一转换布尔值
+ * @param {Object} params - req.body 或命令行选项
+ * @returns {{options: Object, error: string|null}}
+ */
+function parseOutputOptions(params) {
+    const toBoolean = value => value === true || value === 'true' || value === '1';
+    const {
+        topicType = 'topic', headingMode = 'flat', strikethrough = 'keep', lineBreaks = 'split', title, id
+    } = params;
+
+    if (!isTopicType(topicType)) {
+        return { options: {}, error: `不支持的主题类型: ${topicType}` };
+    }
+
+    // 标题: 去掉首尾空白，空字符串视为未传入
+    if (title !== undefined && typeof title !== 'string') {
+        return { options: {}, error: 'title 必须是字符串' };
+    }
+    const trimmedTitle = title === undefined ? undefined : title.trim() || undefined;
+    if (trimmedTitle && trimmedTitle.length > MAX_TITLE_LENGTH) {
+        return { options: {}, error: `title 不能超过 ${MAX_TITLE_LENGTH} 个字符` };
+    }
+
+    if (id !== undefined && id !== '' && !isXmlName(id)) {
+        return { options: {}, error: `id 必须是合法的 XML 名称 (以字母或下划线开头，不含空格): ${id}` };
+    }
+
+    if (!HEADING_MODES.includes(headingMode)) {
+        return { options: {}, error: `不支持的标题层级模式: ${headingMode}` };
+    }
+
+    if (!STRIKETHROUGH_MODES.includes(strikethrough)) {
+        return { options: {}, error: `不支持的删除线处理方式: ${strikethrough}` };
+    }
+
+    if (!LINE_BREAK_MODES.includes(lineBreaks)) {
+        return { options: {}, error: `不支持的换行处理方式: ${lineBreaks}` };
+    }
+
+    let shortdesc = params.shortdesc;
+    if (shortdesc === 'true' || shortdesc === true) {
+        shortdesc = true;
+    } else if (typeof shortdesc !== 'string' || shortdesc === 'false') {
+        shortdesc = undefined;
+    }
+
+    // 引导词表: JSON 请求中为对象，multipart 表单中为 JSON 字符串
+    const taskLeadPhrases = parseObjectParam(params.taskLeadPhrases, 'taskLeadPhrases');
+    if (taskLeadPhrases.error) {
+        return { options: {}, error: taskLeadPhrases.error };
+    }
+
+    const noteLeadPhrases = parseObjectParam(params.noteLeadPhrases, 'noteLeadPhrases');
+    if (noteLeadPhrases.error) {
+        return { options: {}, error: noteLeadPhrases.error };
+    }
+    const unknownNoteType = Object.keys(noteLeadPhrases.value || {}).find(type => !NOTE_TYPES.includes(type));
+    if (unknownNoteType) {
+        return { options: {}, error: `不支持的注释类型: ${unknownNoteType}` };
+    }
+
+    // 拆分级别: 未传入时不拆分
+    const splitLevel = parseIntegerParam(params.splitLevel, 'splitLevel', 1, 6);
+    if (splitLevel.error) {
+        return { options: {}, error: splitLevel.error };
+    }
+
+    // 定义列表识别阈值: 未传入时使用默认值
+    const definitionListMinEntries = parseIntegerParam(params.definitionListMinEntries, 'definitionListMinEntries', 1);
+    if (definitionListMinEntries.error) {
+        return { options: {}, error: definitionListMinEntries.error };
+    }
+    const definitionListMaxTermLength = parseIntegerParam(params.definitionListMaxTermLength, 'definitionListMaxTermLength', 1);
+    if (definitionListMaxTermLength.error) {
+        return { options: {}, error: definitionListMaxTermLength.error };
+    }
+
+    const styleMapping = parseStyleMappingParam(params.styleMapping);
+    if (styleMapping.error) {
+        return { options: {}, error: styleMapping.error };
+    }
+
+    const pipelineProfile = parsePipelineProfileParam(params.pipelineProfile);
+    if (pipelineProfile.error) {
+        return { options: {}, error: pipelineProfile.error };
+    }
+
+    // 同级站点域名: 未传入时使用环境变量 PEER_DOMAINS
+    const peerDomains = parseListParam(params.peerDomains === undefined ? process.env.PEER_DOMAINS : params.peerDomains, 'peerDomains');
+    if (peerDomains.error) {
+        return { options: {}, error: peerDomains.error };
+    }
+
+    return {
+        options: {
+            fullDocument: toBoolean(params.fullDocument),
+            topicType,
+            title: trimmedTitle,
+            id,
+            shortdesc,
+            taskLeadPhrases: taskLeadPhrases.value,
+            noteLeadPhrases: noteLeadPhrases.value,
+            // 默认将单格表格识别为注释，显式传入 false 时保留为表格
+            noteTables: params.noteTables === undefined || toBoolean(params.noteTables),
+            definitionLists: toBoolean(params.definitionLists),
+            definitionListMinEntries: definitionListMinEntries.value,
+            definitionListMaxTermLength: definitionListMaxTermLength.value,
+            headingMode,
+            // 默认移除标题编号，显式传入 false 时保留
+            stripHeadingNumbers: params.stripHeadingNumbers === undefined || toBoolean(params.stripHeadingNumbers),
+            strikethrough,
+            lineBreaks,
+            styleMapping: styleMapping.value,
+            pipelineProfile: pipelineProfile.value,
+            splitLevel: splitLevel.value,
+            peerDomains: peerDomains.value,
+            // 返回每个处理阶段之后的 HTML，用于页面上的逐阶段检查
+            snapshots: toBoolean(params.snapshots)
+        },
+        error: null
+    };
+}
+
+module.exports = {
+    parseOutputOptions,
+};
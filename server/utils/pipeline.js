@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { JSDOM } = require('jsdom');
+
+// 自定义处理阶段 (插件) 所在目录，可通过环境变量 WORD2DITA_PLUGIN_DIR 指定
+const PLUGIN_DIR = process.env.WORD2DITA_PLUGIN_DIR || path.join(__dirname, '..', '..', 'plugins');
+
+// 流水线配置文件所在目录，文件名 (不含 .json) 即配置名
+const PROFILE_DIR = path.join(__dirname, '..', 'pipelineProfiles');
+
+/**
+ * 处理阶段注册表
+ *
+ * 阶段分为两类，注册时指定:
+ * - name: 阶段名，唯一
+ * - run: 处理函数
+ *   - 字符串阶段 (默认): run(html, options)，返回处理后的 HTML，适合正则替换
+ *   - DOM 阶段 (dom: true): run(document, options)，直接修改 document.body，不需要返回值
+ * - dom: 是否为 DOM 阶段，默认 false。连续的 DOM 阶段共用同一个文档 (见 PipelineContent)
+ * - enabled: 是否默认执行，默认 true
+ * - markdown: 是否同样用于 Markdown 生成的 HTML，默认 false
+ *   (Markdown 的 HTML 结构规范，只执行表格、链接、标题等结构转换)
+ * - before / after: 插入到指定阶段之前或之后，都未指定时追加到末尾
+ * - description: 说明
+ *
+ * 阶段的执行顺序即注册表中的位置，可以通过流水线配置 (profile) 按请求调整，见 resolve。
+ */
+class StageRegistry {
+    constructor(stages = []) {
+        this.stages = [];
+        stages.forEach(stage => this.register(stage));
+    }
+
+    /**
+     * 注册处理阶段
+     * @param {Object} stage - 见类说明
+     * @param {string} [source] - 来源 (插件文件名)，用于列表展示
+     */
+    register(stage, source) {
+        if (!stage || typeof stage.name !== 'string' || !stage.name) {
+            throw new Error('处理阶段必须有名称');
+        }
+        if (typeof stage.run !== 'function') {
+            throw new Error(`处理阶段 ${stage.name} 缺少 run 函数`);
+        }
+        if (this.get(stage.name)) {
+            throw new Error(`处理阶段重名: ${stage.name}`);
+        }
+
+        const entry = {
+            name: stage.name,
+            run: stage.run,
+            dom: Boolean(stage.dom),
+            enabled: stage.enabled !== false,
+            markdown: Boolean(stage.markdown),
+            description: stage.description || '',
+            source: source || 'builtin'
+        };
+
+        const anchor = stage.before || stage.after;
+        const anchorIndex = anchor ? this.stages.findIndex(existing => existing.name === anchor) : -1;
+        if (anchor && anchorIndex === -1) {
+            throw new Error(`处理阶段 ${stage.name} 的插入位置不存在: ${anchor}`);
+        }
+        if (anchorIndex === -1) {
+            this.stages.push(entry);
+        } else {
+            this.stages.splice(stage.before ? anchorIndex : anchorIndex + 1, 0, entry);
+        }
+    }
+
+    get(name) {
+        return this.stages.find(stage => stage.name === name) || null;
+    }
+
+    /**
+     * 列出所有阶段 (不含处理函数)
+     * @returns {Array<{name: string, position: number, dom: boolean, enabled: boolean, markdown: boolean, description: string, source: string}>}
+     */
+    list() {
+        return this.stages.map((stage, index) => ({
+            name: stage.name,
+            position: index + 1,
+            dom: stage.dom,
+            enabled: stage.enabled,
+            markdown: stage.markdown,
+            description: stage.description,
+            source: stage.source
+        }));
+    }
+
+    /**
+     * 校验流水线配置
+     * @param {Object} profile
+     * @returns {string|null} - 错误信息
+     */
+    validate(profile) {
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            return '流水线配置必须是对象';
+        }
+        for (const key of ['stages', 'enable', 'disable']) {
+            const names = profile[key];
+            if (names === undefined) continue;
+            if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+                return `流水线配置的 ${key} 必须是字符串数组`;
+            }
+            const unknown = names.find(name => !this.get(name));
+            if (unknown) {
+                return `流水线配置中的处理阶段不存在: ${unknown}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 按流水线配置得到要执行的阶段
+     *
+     * 配置 (均可选):
+     * - stages: 阶段名数组，按此顺序执行 (未列出的阶段不执行)；省略时使用注册表中的顺序
+     * - enable: 额外开启的阶段 (如默认关闭的插件)
+     * - disable: 跳过的阶段
+     *
+     * @param {Object} [profile] - 流水线配置
+     * @param {string} [format='html'] - 输入格式，markdown 只执行 markdown 为 true 的阶段
+     * @returns {Object[]} - 按执行顺序排列的阶段
+     */
+    resolve(profile = {}, format = 'html') {
+        profile = profile || {};
+        const enable = new Set(profile.enable || []);
+        const disable = new Set(profile.disable || []);
+        const stages = profile.stages
+            ? profile.stages.map(name => this.get(name)).filter(Boolean)
+            : this.stages.filter(stage => stage.enabled || enable.has(stage.name));
+
+        return stages.filter(stage => !disable.has(stage.name) && (format !== 'markdown' || stage.markdown));
+    }
+}
+
+/**
+ * 流水线中处理中的内容，按阶段类型在 HTML 字符串和 DOM 之间转换
+ *
+ * DOM 阶段第一次访问 document 时解析 HTML，之后连续的 DOM 阶段共用同一个文档，
+ * 直到字符串阶段需要 HTML 时才序列化一次，避免每个阶段都重新解析和序列化。
+ * 解析时的 HTML 作为检查点，记录之后执行过的 DOM 阶段，某个阶段出错时从检查点重建文档 (见 rollback)。
+ */
+class PipelineContent {
+    constructor(html) {
+        this.html = html;
+        this.dom = null;
+        this.checkpoint = html;
+        this.applied = [];
+    }
+
+    get document() {
+        if (!this.dom) {
+            this.dom = new JSDOM(`<!DOCTYPE html><html><body>${this.html}</body></html>`);
+            this.checkpoint = this.html;
+            this.applied = [];
+            this.html = null;
+        }
+        return this.dom.window.document;
+    }
+
+    /**
+     * 当前的 HTML，处于 DOM 状态时序列化并释放文档
+     */
+    toHtml() {
+        if (this.dom) {
+            this.html = this.dom.window.document.body.innerHTML;
+            this.dom.window.close();
+            this.dom = null;
+        }
+        return this.html;
+    }
+
+    setHtml(html) {
+        if (this.dom) {
+            this.dom.window.close();
+            this.dom = null;
+        }
+        this.html = html;
+    }
+
+    /**
+     * 当前的 HTML，不释放文档 (用于快照)
+     */
+    serialize() {
+        return this.dom ? this.dom.window.document.body.innerHTML : this.html;
+    }
+
+    /**
+     * 执行 DOM 阶段，并记录供出错时重放
+     */
+    runDom(stage, options) {
+        stage.run(this.document, options);
+        this.applied.push(stage);
+    }
+
+    /**
+     * 撤销出错的 DOM 阶段对文档的修改: 从检查点重新解析，重放之前成功的 DOM 阶段
+     */
+    rollback(options) {
+        if (!this.dom) return;
+        const applied = this.applied;
+        this.setHtml(this.checkpoint);
+        applied.forEach(stage => this.runDom(stage, options));
+    }
+}
+
+/**
+ * 记录处理阶段的快照 (options.snapshots 为数组时)
+ * 与上一个快照相同时不重复保存 HTML，只记录 changed: false
+ * @param {Object} options - 转换选项
+ * @param {string} stage - 阶段名
+ * @param {string} html - 该阶段之后的 HTML
+ * @param {number} [startTime] - 阶段开始时间 (performance.now())，省略时耗时为 0
+ * @param {number} [endTime] - 阶段结束时间，默认为当前时间
+ */
+function recordSnapshot(options, stage, html, startTime, endTime = performance.now()) {
+    const snapshots = options.snapshots;
+    if (!Array.isArray(snapshots)) return;
+
+    const duration = startTime === undefined ? 0 : Math.round((endTime - startTime) * 100) / 100;
+    const previous = [...snapshots].reverse().find(snapshot => snapshot.html !== undefined);
+    if (previous && previous.html === html) {
+        snapshots.push({ stage, changed: false, duration });
+    } else {
+        snapshots.push({ stage, changed: true, duration, html });
+    }
+}
+
+/**
+ * 依次执行处理阶段
+ * 单个阶段出错时跳过该阶段 (撤销其修改) 继续执行，并记录到 options.warnings；
+ * options.snapshots 为数组时记录每个阶段之后的 HTML 和耗时 (见 recordSnapshot)
+ * @param {Object[]} stages - resolve 的结果
+ * @param {string} html
+ * @param {Object} [options] - 转换选项，传给每个阶段
+ * @param {boolean} [options.sharedDom=true] - 连续的 DOM 阶段是否共用同一个文档；
+ *   false 时每个 DOM 阶段单独解析和序列化，用于性能对比和排查问题
+ * @param {Function} [options.onStage] - 每个阶段完成后调用，参数为 {stage, index, total, duration}，用于报告进度
+ * @returns {string}
+ */
+function runStages(stages, html, options = {}) {
+    const content = new PipelineContent(html);
+    for (const [index, stage] of stages.entries()) {
+        const startTime = performance.now();
+        try {
+            if (stage.dom) {
+                content.runDom(stage, options);
+                if (options.sharedDom === false) content.toHtml();
+            } else {
+                const result = stage.run(content.toHtml(), options);
+                if (typeof result === 'string') {
+                    content.setHtml(result);
+                } else {
+                    (options.warnings || []).push(`处理阶段 ${stage.name} 没有返回 HTML，已跳过`);
+                }
+            }
+        } catch (error) {
+            console.error(`处理阶段 ${stage.name} 错误:`, error);
+            (options.warnings || []).push(`处理阶段 ${stage.name} 出错，已跳过: ${error.message}`);
+            if (stage.dom) content.rollback(options);
+        }
+        // 快照的序列化不计入阶段耗时
+        const endTime = performance.now();
+        if (Array.isArray(options.snapshots)) {
+            recordSnapshot(options, stage.name, content.serialize(), startTime, endTime);
+        }
+        if (typeof options.onStage === 'function') {
+            const duration = Math.round((endTime - startTime) * 100) / 100;
+            options.onStage({ stage: stage.name, index: index + 1, total: stages.length, duration });
+        }
+    }
+    return content.toHtml();
+}
+
+/**
+ * 加载插件目录中的自定义处理阶段
+ * 每个 .js 文件导出一个阶段或阶段数组 (格式见 StageRegistry)，按文件名顺序注册；
+ * 加载失败的插件只记录错误，不影响其他阶段
+ * @param {StageRegistry} registry
+ * @param {string} [dir] - 插件目录
+ */
+function loadPlugins(registry, dir = PLUGIN_DIR) {
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+        // 没有插件目录
+        return;
+    }
+
+    files.forEach(file => {
+        try {
+            const exported = require(path.join(dir, file));
+            (Array.isArray(exported) ? exported : [exported]).forEach(stage => registry.register(stage, file));
+        } catch (error) {
+            console.error(`插件加载错误 (${file}):`, error);
+        }
+    });
+}
+
+/**
+ * 列出可用的流水线配置文件
+ * @returns {string[]} - 配置名
+ */
+function listPipelineProfiles() {
+    try {
+        return fs.readdirSync(PROFILE_DIR)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * 读取流水线配置文件
+ * @param {string} name - 配置名 (pipelineProfiles 目录下的文件名，不含 .json)
+ * @returns {{value: Object|undefined, error: string|null}}
+ */
+function loadPipelineProfile(name) {
+    if (!listPipelineProfiles().includes(name)) {
+        return { value: undefined, error: `找不到流水线配置: ${name}` };
+    }
+    try {
+        return { value: JSON.parse(fs.readFileSync(path.join(PROFILE_DIR, `${name}.json`), 'utf8')), error: null };
+    } catch (error) {
+        return { value: undefined, error: `流水线配置 ${name} 不是有效的 JSON` };
+    }
+}
+
+module.exports = {
+    StageRegistry,
+    runStages,
+    recordSnapshot,
+    loadPlugins,
+    listPipelineProfiles,
+    loadPipelineProfile,
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// 样式映射文件所在目录，文件名 (不含 .json) 即映射名
+const STYLE_MAPPING_DIR = path.join(__dirname, '..', 'styleMappings');
+
+// 映射目标，如 "filepath"、"note[type=warning]"、"p[outputclass='step result']"
+const TARGET_REGEX = /^([a-z][\w.-]*)((?:\[[a-z][\w:.-]*=(?:"[^"]*"|'[^']*'|[^\]"']*)\])*)$/i;
+const TARGET_ATTRIBUTE_REGEX = /\[([a-z][\w:.-]*)=(?:"([^"]*)"|'([^']*)'|([^\]"']*))\]/gi;
+
+// 行内元素: 映射到段落样式时包裹段落内容，而不是替换段落
+const INLINE_TARGETS = new Set([
+    'ph', 'b', 'i', 'u', 'sup', 'sub', 'line-through', 'overline', 'tt', 'q', 'term', 'keyword', 'cite',
+    'uicontrol', 'wintitle', 'menucascade', 'shortcut', 'filepath', 'cmdname', 'varname', 'userinput',
+    'systemoutput', 'codeph', 'apiname', 'parmname', 'option', 'msgph', 'msgnum'
+]);
+
+// 连续多个段落使用同一样式时合并的容器元素，合并后每段为一个 <p>
+const CONTAINER_TARGETS = new Set(['note', 'lq', 'example', 'section']);
+
+// 段落类 HTML 元素，可以被映射的块级元素替换
+const PARAGRAPH_SOURCES = new Set(['p', 'div', 'blockquote']);
+// 列表项、单元格: 映射的元素包裹其内容，不替换结构
+const CONTAINER_SOURCES = new Set(['li', 'td', 'th']);
+
+// HTML 解析器会特殊处理的 DITA 元素，使用 dita-* 占位，在 restoreDitaTags 中还原
+const PLACEHOLDER_TARGETS = new Set(['title', 'body', 'image']);
+
+/**
+ * 规范化样式名: 忽略大小写、空格和标点，以及 Word 加在内置样式 class 上的 Mso 前缀
+ * Word 复制的 HTML 中，样式 "UI Control" 的 class 为 "UIControl"，内置样式 "Quote" 为 "MsoQuote"
+ */
+function normalizeStyleName(name) {
+    return String(name).replace(/[^\p{L}\p{N}]/gu, '').replace(/^mso/i, '').toLowerCase();
+}
+
+/**
+ * 解析映射目标
+ * @param {string} target - 如 "note[type=warning]"
+ * @returns {{tagName: string, attributes: Object}|null} - 格式无效时返回 null
+ */
+function parseTarget(target) {
+    const match = typeof target === 'string' && target.trim().match(TARGET_REGEX);
+    if (!match) return null;
+
+    const attributes = {};
+    for (const attribute of match[2].matchAll(TARGET_ATTRIBUTE_REGEX)) {
+        attributes[attribute[1]] = attribute[2] ?? attribute[3] ?? attribute[4].trim();
+    }
+    return { tagName: match[1].toLowerCase(), attributes };
+}
+
+/**
+ * 校验样式映射
+ * @param {Object} mapping - Word 样式名 -> DITA 元素
+ * @returns {string|null} - 错误信息
+ */
+function validateStyleMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return '样式映射必须是对象';
+    }
+    const invalid = Object.entries(mapping).find(([, target]) => !parseTarget(target));
+    return invalid ? `样式映射中的元素无效: ${invalid[0]} -> ${invalid[1]}` : null;
+}
+
+/**
+ * 列出可用的样式映射文件
+ * @returns {string[]} - 映射名
+ */
+function listStyleMappings() {
+    try {
+        return fs.readdirSync(STYLE_MAPPING_DIR)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length));
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * 读取样式映射文件
+ * @param {string} name - 映射名 (styleMappings 目录下的文件名，不含 .json)
+ * @returns {{value: Object|undefined, error: string|null}}
+ */
+function loadStyleMapping(name) {
+    if (!listStyleMappings().includes(name)) {
+        return { value: undefined, error: `找不到样式映射: ${name}` };
+    }
+
+    let mapping;
+    try {
+        mapping = JSON.parse(fs.readFileSync(path.join(STYLE_MAPPING_DIR, `${name}.json`), 'utf8'));
+    } catch (error) {
+        return { value: undefined, error: `样式映射 ${name} 不是有效的 JSON` };
+    }
+
+    const error = validateStyleMapping(mapping);
+    return error ? { value: undefined, error } : { value: mapping, error: null };
+}
+
+/**
+ * 按样式映射将 Word 段落样式和字符样式转换为 DITA 元素
+ *
+ * 在 basicTextCleanup 之后、removeUnwantedTags 和 cleanClassAndIdAttributes 清理 class 之前执行。
+ * Word 复制的 HTML 中样式名保存在 class 上 (段落样式在 <p> 上，字符样式在 <span> 上)，
+ * docx 转换时同样输出 class。
+ * - 段落映射为块级元素 (如 note[type=warning]): 替换段落；连续段落映射为 note、lq 等容器时合并为一个元素
+ * - 段落映射为行内元素 (如 filepath): 包裹段落内容
+ * - 字符样式: 替换 span
+ * - 列表项、单元格: 包裹其内容
+ * 中文等非 ASCII 样式名在 Word 复制的 HTML 中使用自动生成的 class，只能通过 docx 上传匹配。
+ *
+ * @param {string} html - 要处理的HTML
+ * @param {Object} [options]
+ * @param {Object} [options.styleMapping] - Word 样式名 -> DITA 元素，如 { "File Path": "filepath" }
+ * @returns {string} - 处理后的HTML
+ */
+function applyStyleMapping(html, options = {}) {
+    const mapping = options.styleMapping;
+    if (!html || !mapping || !Object.keys(mapping).length || !/\sclass=/i.test(html)) return html;
+
+    const targets = new Map();
+    Object.entries(mapping).forEach(([styleName, target]) => {
+        const parsed = parseTarget(target);
+        if (parsed) targets.set(normalizeStyleName(styleName), { ...parsed, styleName });
+    });
+
+    try {
+        const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
+        const document = dom.window.document;
+        // 由映射生成的元素 -> 样式名，用于合并连续段落
+        const created = new Map();
+        let changed = false;
+
+        // Word 的字符样式 class 可能带有 Char 后缀 (段落样式的链接样式)
+        function findTarget(element) {
+            const classes = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+            for (const className of classes) {
+                const name = normalizeStyleName(className);
+                const target = targets.get(name) || targets.get(name.replace(/char$/, ''));
+                if (target) return target;
+            }
+            return null;
+        }
+
+        // style 为被替换元素的样式，保留供后续阶段转换加粗、斜体等
+        function createElement(target, style) {
+            const tagName = PLACEHOLDER_TARGETS.has(target.tagName) ? `dita-${target.tagName}` : target.tagName;
+            const element = document.createElement(tagName);
+            if (style) element.setAttribute('style', style);
+            Object.entries(target.attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            return element;
+        }
+
+        function moveChildren(from, to) {
+            while (from.firstChild) {
+                to.appendChild(from.firstChild);
+            }
+        }
+
+        // 容器中的内容包裹为段落
+        function wrapInParagraph(container) {
+            if (Array.from(container.children).some(child => child.tagName.toLowerCase() === 'p')) return;
+            const paragraph = document.createElement('p');
+            moveChildren(container, paragraph);
+            container.appendChild(paragraph);
+        }
+
+        Array.from(document.body.querySelectorAll('[class]')).forEach(source => {
+            const target = findTarget(source);
+            if (!target) return;
+
+            const sourceTag = source.tagName.toLowerCase();
+            const isBlockSource = PARAGRAPH_SOURCES.has(sourceTag);
+            if (CONTAINER_SOURCES.has(sourceTag) || (isBlockSource && INLINE_TARGETS.has(target.tagName))) {
+                const element = createElement(target, null);
+                moveChildren(source, element);
+                source.appendChild(element);
+                changed = true;
+                return;
+            }
+
+            const previous = source.previousElementSibling;
+            if (isBlockSource && previous && created.get(previous) === target.styleName) {
+                if (CONTAINER_TARGETS.has(target.tagName)) {
+                    wrapInParagraph(previous);
+                    const paragraph = document.createElement('p');
+                    moveChildren(source, paragraph);
+                    previous.appendChild(paragraph);
+                    source.remove();
+                    changed = true;
+                    return;
+                }
+                if (target.tagName === 'codeblock') {
+                    previous.appendChild(document.createTextNode('\n'));
+                    moveChildren(source, previous);
+                    source.remove();
+                    changed = true;
+                    return;
+                }
+            }
+
+            const element = createElement(target, source.getAttribute('style'));
+            moveChildren(source, element);
+            source.replaceWith(element);
+            created.set(element, target.styleName);
+            changed = true;
+        });
+
+        return changed ? document.body.innerHTML : html;
+    } catch (error) {
+        console.error('样式映射错误:', error);
+        return html;
+    }
+}
+
+module.exports = {
+    validateStyleMapping,
+    loadStyleMapping,
+    applyStyleMapping,
+};
@@ -0,0 +1,24 @@
+const { parentPort } = require('worker_threads');
+const { transformContent, batchContent } = require('../services/transformService');
+
+/**
+ * 转换任务的工作线程，由 jobService 创建，一次执行一个任务
+ *
+ * 接收: {jobId, type: 'transform', content, options} 或 {jobId, type: 'batch', files, options}
+ * 发送: {jobId, type: 'stage', stage: {stage, index, total, duration}} - 每个处理阶段完成后 (transform)
+ *       {jobId, type: 'file', file: {file, index, total, status, duration}} - 每个文件完成后 (batch)
+ *       {jobId, type: 'result', result} - transformContent 或 batchContent 的返回值
+ */
+parentPort.on('message', async ({ jobId, type, content, files, options }) => {
+    let result;
+    if (type === 'batch') {
+        // 结构化克隆后 Buffer 变为 Uint8Array
+        const buffers = files.map(file => ({ name: file.name, data: Buffer.from(file.data.buffer, file.data.byteOffset, file.data.byteLength) }));
+        const onFile = file => parentPort.postMessage({ jobId, type: 'file', file });
+        result = await batchContent(buffers, options, onFile);
+    } else {
+        const onStage = stage => parentPort.postMessage({ jobId, type: 'stage', stage });
+        result = await transformContent(content, { ...options, onStage });
+    }
+    parentPort.postMessage({ jobId, type: 'result', result });
+});
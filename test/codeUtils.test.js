@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cleanHtml } = require('../server/utils/htmlUtilsDita');
+
+function convert(body) {
+    return cleanHtml(`<html><body>${body}</body></html>`, { warnings: [] });
+}
+
+test('代码样式的段落转换为 codeblock', () => {
+    for (const className of ['MsoPlainText', 'HTMLPreformatted', 'Code', 'CodeBlock', '代码']) {
+        const result = convert(`<p class=${className}>x = 1</p><p class=MsoNormal>text</p>`);
+        assert.match(result, /<codeblock>x = 1<\/codeblock>/, className);
+        assert.match(result, /<p>text<\/p>/, className);
+    }
+});
+
+test('只是包含 "code" 的 class 不是代码样式', () => {
+    for (const className of ['MsoBarcode', 'Postcode', 'Encoded']) {
+        const result = convert(`<p class=${className}>x = 1</p>`);
+        assert.doesNotMatch(result, /codeblock/, className);
+        assert.match(result, /<p>x = 1<\/p>/, className);
+    }
+});
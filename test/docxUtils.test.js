@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const transformController = require('../server/controllers/transformController');
+const { docxToHtml } = require('../server/utils/docxUtils');
+
+const WORD_NAMESPACE = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+/**
+ * 生成只包含正文和样式表的 docx
+ */
+function createDocx(bodyXml, stylesXml) {
+    const zip = new JSZip();
+    zip.file('word/document.xml', `<w:document ${WORD_NAMESPACE}><w:body>${bodyXml}</w:body></w:document>`);
+    zip.file('word/styles.xml', `<w:styles ${WORD_NAMESPACE}>${stylesXml}</w:styles>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * 调用 handleDocxUpload，返回状态码和 JSON 响应
+ */
+async function uploadDocx(buffer) {
+    const response = { status: 200, body: null };
+    const res = {
+        status(code) {
+            response.status = code;
+            return this;
+        },
+        json(body) {
+            response.body = body;
+            return this;
+        }
+    };
+    await transformController.handleDocxUpload({ file: { originalname: 'test.docx', buffer }, body: {} }, res);
+    return response;
+}
+
+test('不是 zip 的 docx 返回 400', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { status, body } = await uploadDocx(Buffer.from('not a zip file'));
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.success, false);
+    assert.strictEqual(body.code, 'INVALID_DOCX');
+    assert.match(body.error, /^无效的 docx 文件/);
+});
+
+test('缺少 word/document.xml 的 docx 返回 400', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const zip = new JSZip();
+    zip.file('readme.txt', 'hello');
+    const { status, body } = await uploadDocx(await zip.generateAsync({ type: 'nodebuffer' }));
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /^无效的 docx 文件: 缺少 word\/document\.xml/);
+});
+
+test('粗体、斜体按样式链继承', async () => {
+    const styles = `
+        <w:style w:type="character" w:styleId="Strong"><w:name w:val="Strong"/><w:rPr><w:b/></w:rPr></w:style>
+        <w:style w:type="character" w:styleId="StrongEmphasis"><w:name w:val="Strong Emphasis"/><w:basedOn w:val="Strong"/><w:rPr><w:i/></w:rPr></w:style>
+        <w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:rPr><w:i/></w:rPr></w:style>
+        <w:style w:type="paragraph" w:styleId="QuotePlain"><w:name w:val="Quote Plain"/><w:basedOn w:val="Quote"/><w:rPr><w:i w:val="0"/></w:rPr></w:style>
+        <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:rPr><w:b/></w:rPr></w:style>`;
+    const body = `
+        <w:p><w:r><w:rPr><w:rStyle w:val="Strong"/></w:rPr><w:t>strong</w:t></w:r></w:p>
+        <w:p><w:r><w:rPr><w:rStyle w:val="StrongEmphasis"/></w:rPr><w:t>both</w:t></w:r></w:p>
+        <w:p><w:pPr><w:pStyle w:val="Quote"/></w:pPr><w:r><w:t>quote</w:t></w:r><w:r><w:rPr><w:i w:val="0"/></w:rPr><w:t>upright</w:t></w:r></w:p>
+        <w:p><w:pPr><w:pStyle w:val="QuotePlain"/></w:pPr><w:r><w:t>plain</w:t></w:r></w:p>
+        <w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Title</w:t></w:r></w:p>`;
+    const html = await docxToHtml(await createDocx(body, styles));
+
+    assert.match(html, /<b><span class="Strong">strong<\/span><\/b>/);
+    assert.match(html, /<i><b><span class="StrongEmphasis">both<\/span><\/b><\/i>/);
+    assert.match(html, /<i>quote<\/i>/);
+    assert.match(html, />upright</);
+    assert.doesNotMatch(html, /<i>upright/);
+    assert.doesNotMatch(html, /<i>plain/);
+    assert.match(html, /<h1>Title<\/h1>/);
+});
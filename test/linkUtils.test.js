@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cleanHtml } = require('../server/utils/htmlUtilsDita');
+
+function convert(body) {
+    const warnings = [];
+    const html = cleanHtml(`<html><body>${body}</body></html>`, { warnings });
+    return { html, warnings };
+}
+
+test('指向不存在的隐藏书签的链接保留为文字，不记录警告', () => {
+    for (const name of ['_Toc123456', '_Ref98765', '_GoBack']) {
+        const { html, warnings } = convert(`<p>见 <a href="#${name}">第 2 节</a></p>`);
+        assert.match(html, /<p>见 第 2 节<\/p>/, name);
+        assert.doesNotMatch(html, /xref/, name);
+        assert.deepStrictEqual(warnings, [], name);
+    }
+});
+
+test('指向不存在的用户书签的链接记录警告', () => {
+    const { html, warnings } = convert('<p>见 <a href="#安装步骤">安装</a></p>');
+    assert.match(html, /<p>见 安装<\/p>/);
+    assert.deepStrictEqual(warnings, ['找不到链接目标，已保留为文本: #安装步骤']);
+});
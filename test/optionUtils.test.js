@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseOutputOptions } = require('../server/utils/optionUtils');
+
+test('title 去掉首尾空白，空白标题视为未传入', () => {
+    assert.strictEqual(parseOutputOptions({ title: '  安装指南 ' }).options.title, '安装指南');
+    assert.strictEqual(parseOutputOptions({ title: '   ' }).options.title, undefined);
+    assert.strictEqual(parseOutputOptions({}).options.title, undefined);
+});
+
+test('title 不是字符串或过长时返回错误', () => {
+    for (const title of [123, ['标题'], { text: '标题' }, null]) {
+        const { error } = parseOutputOptions({ title });
+        assert.strictEqual(error, 'title 必须是字符串', JSON.stringify(title));
+    }
+    assert.match(parseOutputOptions({ title: 'a'.repeat(201) }).error, /title 不能超过 200 个字符/);
+    assert.strictEqual(parseOutputOptions({ title: 'a'.repeat(200) }).error, null);
+});